@@ -133,6 +133,8 @@ async function checkApiStatus() {
     );
     
     updateConnectionStatus(hasConnection);
+    renderProviderHealth(statusData?.providers);
+    renderCredits();
     
     // Load saved API key from localStorage
     loadSavedApiKey();
@@ -151,6 +153,89 @@ async function checkApiStatus() {
   }
 }
 
+// Provider names shown in the health table
+const PROVIDER_LABELS = {
+  openai: 'OpenAI',
+  anthropic: 'Anthropic',
+  google: 'Google',
+  mistral: 'Mistral',
+  together: 'Together'
+};
+
+// Render the probed availability of each provider
+function renderProviderHealth(providers) {
+  const tbody = document.querySelector('#provider-health-table tbody');
+  if (!tbody || !providers) return;
+  
+  tbody.innerHTML = '';
+  for (const [id, health] of Object.entries(providers)) {
+    const row = document.createElement('tr');
+    const badge = health.available
+      ? '<span class="badge bg-success">Available</span>'
+      : '<span class="badge bg-danger">Unavailable</span>';
+    
+    row.innerHTML = `
+      <td>${PROVIDER_LABELS[id] || id}</td>
+      <td>${badge}</td>
+      <td>${health.latency != null ? `${health.latency}ms` : '-'}</td>
+      <td>${health.uptime != null ? `${Number(health.uptime).toFixed(1)}%` : '-'}</td>
+      <td>${health.checkedAt ? new Date(health.checkedAt).toLocaleTimeString() : '-'}</td>
+    `;
+    if (health.error) {
+      row.title = health.error;
+    }
+    tbody.appendChild(row);
+  }
+}
+
+// Format an amount in USD, keeping precision for sub-cent call costs
+function formatUsd(amount) {
+  return `$${Number(amount).toFixed(Math.abs(amount) < 0.01 ? 6 : 2)}`;
+}
+
+// Show the account's remaining credit
+async function renderCredits() {
+  const badge = document.getElementById('credit-balance');
+  if (!badge) return;
+  
+  const credits = await dashboardOneAPIConnector.fetchCredits();
+  if (!credits) {
+    badge.textContent = '-';
+    badge.className = 'badge bg-secondary rounded-pill';
+    badge.title = 'Credit balance unavailable';
+    return;
+  }
+  
+  badge.textContent = formatUsd(credits.remaining);
+  badge.className = `badge ${credits.remaining > 0 ? 'bg-success' : 'bg-danger'} rounded-pill`;
+  badge.title = `${formatUsd(credits.totalUsage)} used of ${formatUsd(credits.totalCredits)}`;
+}
+
+// Show the true cost of a call, as recorded by OpenRouter for its generation
+async function renderCallCost(result) {
+  const badge = document.getElementById('last-call-cost');
+  if (!badge || !result || typeof result !== 'object') return;
+  
+  let cost = null;
+  if (typeof result.id === 'string' && result.id.startsWith('gen-')) {
+    cost = await dashboardOneAPIConnector.fetchGenerationCost(result.id);
+  }
+  // Fall back to the cost the server worked out from the reported usage
+  cost ??= result.cost?.total ?? null;
+  
+  badge.textContent = cost != null ? formatUsd(cost) : '-';
+  badge.className = `badge ${cost != null ? 'bg-info' : 'bg-secondary'} rounded-pill`;
+
+  // The call was charged, so the balance has moved
+  await renderCredits();
+}
+
+// Probe the providers again when asked
+document.getElementById('refresh-provider-health')?.addEventListener('click', async () => {
+  const status = await dashboardOneAPIConnector.fetchProviderHealth(true);
+  renderProviderHealth(status?.providers);
+});
+
 // Function to update connection status indicator
 function updateConnectionStatus(isConnected) {
   if (!connectionStatus) return;
@@ -812,6 +897,7 @@ async function executeFunction(functionName) {
         
         // Display result in a toast
         showToast('Success', `Function executed: ${result}`, 'success');
+        renderCallCost(result);
         
         // Close the modal
         const modal = bootstrap.Modal.getInstance(document.getElementById('function-modal'));
@@ -892,6 +978,7 @@ function registerDefaultProvider() {
                     // Call the API
                     const response = await dashboardOneAPIConnector.executeAgent(agentType, apiParams);
                     console.log('API response:', response);
+                    renderCallCost(response);
                     
                     // Return the API response if available
                     if (response && (response.result || response.response || response.content)) {
@@ -0,0 +1,83 @@
+/**
+ * Replay check: OneAPI runs offline from a recorded cassette
+ *
+ * scripts/cassettes/chat-completion.json holds a completion, the model list
+ * fetched to price it, and a streamed completion. Replaying it must give the
+ * recorded answers and costs without a network connection or an API key.
+ *
+ * Run with `node scripts/check-cassette-replay.js`; exits non-zero on failure.
+ */
+import assert from 'assert';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getOneAPI, resetOneAPI } from '../src/oneapi.js';
+import { createReplayTransport, loadCassette } from '../src/utils/cassette.js';
+
+const MODEL = 'openai/gpt-4o-mini';
+const CASSETTE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'cassettes', 'chat-completion.json');
+
+const QUESTION = [{ role: 'user', content: 'What is the capital of France? Answer in one word.' }];
+const COUNT = [{ role: 'user', content: 'Count to three.' }];
+
+function createOneAPI(cassette) {
+  resetOneAPI();
+  return getOneAPI({
+    openRouterApiKey: 'test',
+    transport: createReplayTransport(cassette ? { cassette } : { cassettePath: CASSETTE }),
+    maxRetries: 0,
+    logLevel: 'error'
+  });
+}
+
+const checks = {
+  'completion replays with its recorded cost': async () => {
+    const oneAPI = createOneAPI();
+    const response = await oneAPI.createChatCompletion({ model: MODEL, messages: QUESTION, temperature: 0 });
+    assert.strictEqual(response.choices[0].message.content, 'Paris.');
+    // 14 prompt and 2 completion tokens at the recorded catalog prices
+    assert.ok(Math.abs(response.cost.total - 0.0000033) < 1e-12);
+  },
+
+  'stream replays chunk by chunk': async () => {
+    const oneAPI = createOneAPI();
+    let done = null;
+    for await (const event of await oneAPI.streamChatCompletion({ model: MODEL, messages: COUNT, temperature: 0 })) {
+      if (event.type === 'done') {
+        done = event.response;
+      }
+    }
+    assert.strictEqual(done.choices[0].message.content, 'One, two, three.');
+    assert.strictEqual(done.usage.total_tokens, 18);
+  },
+
+  'cassette recorded without the model list': async () => {
+    const cassette = loadCassette(CASSETTE);
+    cassette.interactions = cassette.interactions.filter(({ request }) => request.path !== '/models');
+    const oneAPI = createOneAPI(cassette);
+    const response = await oneAPI.createChatCompletion({ model: MODEL, messages: QUESTION, temperature: 0 });
+    assert.strictEqual(response.choices[0].message.content, 'Paris.');
+    assert.strictEqual(oneAPI.catalog.getStats().lastError, null);
+  },
+
+  'unrecorded request misses': async () => {
+    const oneAPI = createOneAPI();
+    await assert.rejects(
+      oneAPI.createChatCompletion({ model: MODEL, messages: [{ role: 'user', content: 'Not recorded' }], temperature: 0 }),
+      { status: 404 }
+    );
+  }
+};
+
+let failed = 0;
+for (const [name, check] of Object.entries(checks)) {
+  try {
+    await check();
+    console.log(`ok - ${name}`);
+  } catch (error) {
+    failed++;
+    console.error(`not ok - ${name}: ${error.message}`);
+  }
+}
+
+resetOneAPI();
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,157 @@
+/**
+ * Regression check: calls hand back their interceptor leases
+ *
+ * A chat completion takes a throttle slot (and, when configured, a budget
+ * reservation and a circuit probe) before the request is sent. The leases
+ * must be released even when a stream is created but never read, and
+ * pricing a call must not wait on its own lease.
+ *
+ * Run with `node scripts/check-stream-leases.js`; exits non-zero on failure.
+ */
+import assert from 'assert';
+import { getOneAPI, resetOneAPI } from '../src/oneapi.js';
+
+const MODEL = 'openai/gpt-4o-mini';
+
+// Requests answered with a server error before the transport recovers
+let failures = 0;
+
+// Answers every chat completion with a one-chunk stream, after any failures
+const transport = async (url, init) => {
+  if (String(url).endsWith('/models')) {
+    return Response.json({ data: [{ id: MODEL, pricing: { prompt: '0.00001', completion: '0.00002' } }] });
+  }
+  if (failures > 0) {
+    failures--;
+    return new Response(JSON.stringify({ error: { message: 'Upstream error' } }), { status: 500 });
+  }
+  if (!JSON.parse(init.body).stream) {
+    // No `usage.cost`, so the call is priced from the model list
+    return Response.json({
+      id: 'gen-1',
+      model: MODEL,
+      choices: [{ index: 0, message: { role: 'assistant', content: 'hi' } }],
+      usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+    });
+  }
+  return new Response(
+    `data: ${JSON.stringify({ id: 'gen-1', model: MODEL, choices: [{ index: 0, delta: { content: 'hi' } }] })}\n\n` +
+    'data: [DONE]\n\n',
+    { status: 200, headers: { 'content-type': 'text/event-stream' } }
+  );
+};
+
+/**
+ * Fail if a promise has not settled within a deadline
+ *
+ * @param {Promise<any>} promise - Promise to wait for
+ * @param {string} label - What was awaited, for the failure message
+ * @returns {Promise<any>} Promise result
+ */
+function within(promise, label, ms = 2000) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`${label} did not settle within ${ms}ms`)), ms);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+function createOneAPI(config = {}) {
+  resetOneAPI();
+  return getOneAPI({ openRouterApiKey: 'test', transport, maxRetries: 0, logLevel: 'error', ...config });
+}
+
+const checks = {
+  'created but never iterated, then return()': async () => {
+    const oneAPI = createOneAPI({ throttle: { maxConcurrent: 1 } });
+    const stream = await oneAPI.createChatCompletionStream({ model: MODEL, messages: [{ role: 'user', content: 'hi' }] });
+    await stream.return();
+    assert.strictEqual(oneAPI.throttler.getStats().inFlight, 0);
+
+    const next = await within(oneAPI.createChatCompletionStream({ model: MODEL, messages: [{ role: 'user', content: 'hi' }] }), 'next stream');
+    await next.return();
+  },
+
+  'created but never iterated, then aborted': async () => {
+    const oneAPI = createOneAPI({ throttle: { maxConcurrent: 1 } });
+    const controller = new AbortController();
+    const stream = await oneAPI.createChatCompletionStream({
+      model: MODEL,
+      messages: [{ role: 'user', content: 'hi' }],
+      signal: controller.signal
+    });
+    controller.abort();
+    await assert.rejects(stream.next(), { code: 'request_aborted' });
+    assert.strictEqual(oneAPI.throttler.getStats().inFlight, 0);
+  },
+
+  'half-open probe created but never iterated': async () => {
+    const oneAPI = createOneAPI({ circuitBreaker: { minRequests: 1, openMs: 50 } });
+    failures = 1;
+    await assert.rejects(oneAPI.createChatCompletion({ model: MODEL, messages: [{ role: 'user', content: 'hi' }] }));
+    assert.ok(oneAPI.getCircuitStatus().some(circuit => circuit.state === 'open'));
+    await new Promise(resolve => setTimeout(resolve, 60));
+
+    // Takes the probe slot of the half-open circuits
+    const probe = await oneAPI.createChatCompletionStream({ model: MODEL, messages: [{ role: 'user', content: 'hi' }] });
+    await probe.return();
+    // The dropped probe proved nothing, so the next call probes instead
+    assert.ok(oneAPI.getCircuitStatus().every(circuit => circuit.state === 'half_open'));
+
+    const stream = await oneAPI.createChatCompletionStream({ model: MODEL, messages: [{ role: 'user', content: 'hi' }] });
+    for await (const chunk of stream) {
+      assert.ok(chunk);
+    }
+    assert.ok(oneAPI.getCircuitStatus().every(circuit => circuit.state === 'closed'));
+  },
+
+  'budget reservation of a stream created but never iterated': async () => {
+    // Each call reserves about $0.02, so a second reservation would not fit
+    const oneAPI = createOneAPI({ budgets: [{ id: 'total', limit: 0.03 }] });
+    const stream = await oneAPI.createChatCompletionStream({ model: MODEL, messages: [{ role: 'user', content: 'hi' }], maxTokens: 1000 });
+    await stream.return();
+
+    const [{ usage }] = await oneAPI.getBudgets();
+    assert.ok(usage.every(bucket => bucket.reserved === 0));
+
+    const next = await oneAPI.createChatCompletionStream({ model: MODEL, messages: [{ role: 'user', content: 'hi' }], maxTokens: 1000 });
+    await next.return();
+  },
+
+  'call priced from the model list while its lease is held': async () => {
+    const oneAPI = createOneAPI({ throttle: { maxConcurrent: 1 } });
+    const response = await within(
+      oneAPI.openRouter.createChatCompletion({ model: MODEL, messages: [{ role: 'user', content: 'hi' }] }),
+      'priced completion'
+    );
+    assert.ok(response.cost.total > 0);
+    assert.strictEqual(oneAPI.throttler.getStats().inFlight, 0);
+  },
+
+  'read to the end': async () => {
+    const oneAPI = createOneAPI({ throttle: { maxConcurrent: 1 } });
+    const stream = await oneAPI.createChatCompletionStream({ model: MODEL, messages: [{ role: 'user', content: 'hi' }] });
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    assert.strictEqual(chunks.length, 1);
+    assert.strictEqual(oneAPI.throttler.getStats().inFlight, 0);
+  }
+};
+
+let failed = 0;
+for (const [name, check] of Object.entries(checks)) {
+  try {
+    await check();
+    console.log(`ok - ${name}`);
+  } catch (error) {
+    failed++;
+    console.error(`not ok - ${name}: ${error.message}`);
+  }
+}
+
+resetOneAPI();
+process.exit(failed > 0 ? 1 : 0);
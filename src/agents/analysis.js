@@ -5,6 +5,35 @@
  */
 
 import oneapiModule from '../oneapi.js';
+import { createRunId } from '../utils/budget-manager.js';
+
+/**
+ * JSON Schema for structured analysis results
+ */
+const ANALYSIS_SCHEMA = {
+  type: 'object',
+  properties: {
+    insights: {
+      type: 'array',
+      items: { type: 'string' }
+    },
+    summary: { type: 'string' },
+    visualizations: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          type: { type: 'string' },
+          description: { type: 'string' }
+        },
+        required: ['type', 'description'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['insights', 'summary', 'visualizations'],
+  additionalProperties: false
+};
 
 export class AnalysisAgent {
   constructor() {
@@ -23,6 +52,7 @@ export class AnalysisAgent {
    * @param {boolean} options.visualize - Generate visualization suggestions
    * @param {string} options.model - LLM model to use
    * @param {number} options.temperature - Temperature for generation
+   * @param {AbortSignal} options.signal - Signal to cancel in-flight model calls
    * @returns {Promise<Object>} Analysis results
    */
   async execute({ 
@@ -32,7 +62,8 @@ export class AnalysisAgent {
     model,
     temperature = 0.2,
     maxTokens = 2000,
-    format = 'json'
+    format = 'json',
+    signal
   }) {
     console.log(`Analyzing data with metrics: ${metrics}, visualize: ${visualize}`);
     
@@ -47,6 +78,7 @@ export class AnalysisAgent {
         
       // Use OneAPI to analyze data
       const useModel = model || this.defaultModel;
+      const runId = createRunId('analysis');
       
       // Construct system prompt for data analysis
       const systemPrompt = `You are a data analyst with expertise in statistics and data science.
@@ -68,45 +100,56 @@ export class AnalysisAgent {
         }
       ];
       
-      // Get response from OneAPI
-      const response = await this.oneAPI.createChatCompletion({
-        model: useModel,
-        messages,
-        temperature,
-        maxTokens
-      });
-      
-      // Extract and process content
-      const analysisContent = response.choices[0].message.content;
-      
-      // Try to parse JSON if format is JSON
-      let parsedAnalysis = {
-        insights: analysisContent,
-        summary: 'Analysis complete',
-        visualizations: []
-      };
+      // Get response from OneAPI, validated against the analysis schema in JSON mode
+      let response;
+      let cost;
+      let parsedAnalysis = null;
       
       if (format === 'json') {
         try {
-          // Try to extract JSON from the response
-          const jsonMatch = analysisContent.match(/```json\n([\s\S]*?)\n```/) || 
-                         analysisContent.match(/({[\s\S]*})/); 
+          const result = await this.oneAPI.createStructured({
+            model: useModel,
+            messages,
+            temperature,
+            maxTokens,
+            signal,
+            agent: 'analysis',
+            runId
+          }, ANALYSIS_SCHEMA, { name: 'analysis' });
           
-          if (jsonMatch && jsonMatch[1]) {
-            parsedAnalysis = JSON.parse(jsonMatch[1]);
-          } else {
-            // Try to parse the entire response as JSON
-            parsedAnalysis = JSON.parse(analysisContent);
-          }
+          response = result.response;
+          cost = result.cost;
+          parsedAnalysis = result.data;
         } catch (error) {
-          console.warn('Could not parse analysis as JSON, using raw content', error);
-          // Fall back to raw content
-          parsedAnalysis = {
-            insights: analysisContent,
-            summary: 'Analysis complete (JSON parsing failed)',
-            visualizations: []
-          };
+          if (error.code !== 'schema_validation_error') {
+            throw error;
+          }
+          
+          console.warn('Analysis did not match the expected schema, using raw content', error);
+          response = error.data.response;
+          cost = error.data.cost;
         }
+      } else {
+        response = await this.oneAPI.createChatCompletion({
+          model: useModel,
+          messages,
+          temperature,
+          maxTokens,
+          signal,
+          agent: 'analysis',
+          runId
+        });
+      }
+      
+      // Extract and process content
+      const analysisContent = response.choices[0].message.content;
+      
+      if (!parsedAnalysis) {
+        parsedAnalysis = {
+          insights: analysisContent,
+          summary: format === 'json' ? 'Analysis complete (JSON parsing failed)' : 'Analysis complete',
+          visualizations: []
+        };
       }
       
       return {
@@ -118,7 +161,8 @@ export class AnalysisAgent {
         summary: parsedAnalysis.summary || 'Analysis complete',
         rawContent: analysisContent,
         timestamp: new Date().toISOString(),
-        usage: response.usage
+        usage: response.usage,
+        cost: cost ?? response.cost ?? null
       };
     } catch (error) {
       console.error('Analysis agent error:', error);
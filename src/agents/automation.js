@@ -6,6 +6,36 @@
  */
 
 import oneapiModule from '../oneapi.js';
+import { sumCosts } from '../utils/cost.js';
+
+/**
+ * JSON Schema for structured execution plans
+ */
+const EXECUTION_PLAN_SCHEMA = {
+  type: 'object',
+  properties: {
+    executionPlan: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: ['string', 'integer'] },
+          dependencies: {
+            type: 'array',
+            items: { type: ['string', 'integer'] }
+          },
+          executionOrder: { type: 'integer' },
+          estimatedTime: { type: ['string', 'number'] }
+        },
+        required: ['id', 'dependencies', 'executionOrder', 'estimatedTime'],
+        additionalProperties: false
+      }
+    },
+    summary: { type: 'string' }
+  },
+  required: ['executionPlan', 'summary'],
+  additionalProperties: false
+};
 
 export class AutomationAgent {
   constructor(config = {}) {
@@ -14,7 +44,7 @@ export class AutomationAgent {
     // Will be set by OneAPI after initialization to avoid circular dependency
     this.oneAPI = null;
     this.defaultModel = config.defaultModel || 'openai/gpt-4-turbo'; // Use GPT-4 for complex automation tasks
-    this.fallbackModels = config.fallbackModels || ['anthropic/claude-3-opus', 'google/gemini-pro'];
+    this.fallbackModels = config.fallbackModels || null; // null uses the OneAPI fallback chain
     this.metricsEnabled = config.trackMetrics !== false; // Enable metrics by default
     this.metadata = {
       agentType: 'automation',
@@ -35,6 +65,7 @@ export class AutomationAgent {
    * @param {boolean} options.planOnly - Only generate plan without execution
    * @param {boolean} options.trackMetrics - Whether to track metrics for this automation
    * @param {Object} options.metadata - Additional metadata for metrics tracking
+   * @param {AbortSignal} options.signal - Signal to cancel in-flight model calls
    * @returns {Promise<Object>} Automation results
    */
   async execute({ 
@@ -46,7 +77,8 @@ export class AutomationAgent {
     maxTokens = 2000,
     planOnly = false,
     trackMetrics = this.metricsEnabled,
-    metadata = {}
+    metadata = {},
+    signal
   }) {
     console.log(`Executing automation with ${typeof tasks === 'string' ? 'string' : 'object'} tasks, parallel: ${parallel}`);
     
@@ -109,71 +141,82 @@ export class AutomationAgent {
         }
       ];
       
-      // Get response from OneAPI for planning with fallback handling
+      // Get response from OneAPI for planning, falling back to other models on transient failures
       let planResponse;
-      let attemptedModels = [];
-      let lastError = null;
-      
-      // Try primary model first, then fallbacks if needed
-      const modelsToTry = [useModel, ...this.fallbackModels];
+      let planCost = null;
+      let plan = null;
+      let planError = null;
+      let fallback;
       
-      for (const modelToTry of modelsToTry) {
-        try {
-          attemptedModels.push(modelToTry);
-          
-          // Update tracking if using fallback
-          if (trackMetrics && attemptedModels.length > 1) {
-            this.oneAPI.updateMetric({
-              trackingId,
-              status: 'retry',
-              model: modelToTry,
-              metadata: {
-                ...combinedMetadata,
-                attemptedModels,
-                failedModel: attemptedModels[attemptedModels.length - 2],
-                error: lastError?.message || 'Unknown error',
-                stage: 'planning'
-              }
-            });
-          }
-          
-          planResponse = await this.oneAPI.createChatCompletion({
-            model: modelToTry,
-            messages,
-            temperature,
-            maxTokens,
-            metadata: trackMetrics ? {
-              trackingId,
-              ...combinedMetadata
-            } : undefined
-          });
-          
-          // If we got here, the model worked
-          break;
-          
-        } catch (error) {
-          lastError = error;
-          console.warn(`Model ${modelToTry} failed for planning, trying next fallback if available`, error);
-          
-          // If this is the last model to try, throw the error
-          if (modelToTry === modelsToTry[modelsToTry.length - 1]) {
+      try {
+        const result = await this.oneAPI.withFallback({
+          model: useModel,
+          fallbackModels: this.fallbackModels,
+          signal,
+          onFallback: attempt => {
+            console.warn(`Model ${attempt.model} failed for planning (${attempt.reason}), trying next fallback`);
+            
+            // Update tracking when moving to a fallback model
             if (trackMetrics) {
               this.oneAPI.updateMetric({
                 trackingId,
-                status: 'error',
-                error: error.message,
+                status: 'retry',
                 metadata: {
                   ...combinedMetadata,
-                  attemptedModels,
-                  failedAllModels: true,
+                  failedModel: attempt.model,
+                  error: attempt.message,
+                  reason: attempt.reason,
                   stage: 'planning'
                 }
               });
             }
-            throw error;
           }
+        }, params => this.oneAPI.createStructured({
+          ...params,
+          messages,
+          temperature,
+          maxTokens,
+          signal,
+          agent: 'automation',
+          runId: trackingId,
+          metadata: trackMetrics ? {
+            trackingId,
+            ...combinedMetadata
+          } : undefined
+        }, EXECUTION_PLAN_SCHEMA, { name: 'execution_plan' }));
+        
+        planResponse = result.result.response;
+        planCost = result.result.cost;
+        plan = result.result.data;
+        fallback = { model: result.model, ...result.fallback };
+      } catch (error) {
+        // The model answered but never produced a valid plan; fall back to a mock plan below
+        if (error.code === 'schema_validation_error') {
+          planResponse = error.data.response;
+          planCost = error.data.cost;
+          planError = error;
+          
+          // The last attempt answered; only the ones before it fell back
+          const { attempts = [], ...report } = error.fallback || {};
+          fallback = { model: planResponse?.model || attempts.at(-1)?.model, ...report, attempts: attempts.slice(0, -1) };
+        } else {
+          if (trackMetrics) {
+            this.oneAPI.updateMetric({
+              trackingId,
+              status: 'error',
+              error: error.message,
+              metadata: {
+                ...combinedMetadata,
+                attempts: error.fallback?.attempts,
+                failedAllModels: true,
+                stage: 'planning'
+              }
+            });
+          }
+          throw error;
         }
       }
+      const usedFallback = fallback.attempts.length > 0;
       
       // Track success of planning stage if tracking is enabled
       if (trackMetrics) {
@@ -181,11 +224,11 @@ export class AutomationAgent {
           trackingId,
           status: 'success',
           stage: 'planning',
-          model: attemptedModels[attemptedModels.length - 1],
+          model: fallback.model,
           metadata: {
             ...combinedMetadata,
-            attemptedModels,
-            usedFallback: attemptedModels.length > 1,
+            attempts: fallback.attempts,
+            usedFallback,
             promptTokens: planResponse.usage?.prompt_tokens || 0,
             completionTokens: planResponse.usage?.completion_tokens || 0
           }
@@ -195,38 +238,27 @@ export class AutomationAgent {
       // Extract and process execution plan
       const planContent = planResponse.choices[0].message.content;
       
-      // Try to parse the execution plan
+      // Use the validated plan, or fall back to a mock plan
       let executionPlan = [];
       let planSummary = '';
       
-      try {
-        // Try to extract JSON from the response
-        const jsonMatch = planContent.match(/```json\n([\s\S]*?)\n```/) || 
-                          planContent.match(/({[\s\S]*})/); 
-        
-        if (jsonMatch && jsonMatch[1]) {
-          const parsed = JSON.parse(jsonMatch[1]);
-          executionPlan = parsed.executionPlan || [];
-          planSummary = parsed.summary || '';
-        } else {
-          // Try to parse the entire response as JSON
-          const parsed = JSON.parse(planContent);
-          executionPlan = parsed.executionPlan || [];
-          planSummary = parsed.summary || '';
-        }
-      } catch (error) {
-        console.warn('Could not parse execution plan as JSON, using mock plan', error);
+      if (plan) {
+        executionPlan = plan.executionPlan;
+        planSummary = plan.summary;
+      } else {
+        console.warn('Could not get a valid execution plan, using mock plan', planError);
         
         // Track parsing error if tracking is enabled
         if (trackMetrics) {
           this.oneAPI.trackEvent({
             type: 'plan_parsing_error',
             trackingId,
-            error: error.message,
+            error: planError.message,
             metadata: {
               ...combinedMetadata,
               contentLength: planContent?.length || 0,
-              errorType: error.name || 'JSONParseError'
+              errorType: planError.code,
+              validationErrors: planError.data.errors
             }
           });
         }
@@ -246,16 +278,16 @@ export class AutomationAgent {
           this.oneAPI.completeMetric({
             trackingId,
             status: 'success',
-            model: attemptedModels[attemptedModels.length - 1],
+            model: fallback.model,
             duration,
             outputTokens: planResponse.usage?.completion_tokens || 0,
             inputTokens: planResponse.usage?.prompt_tokens || 0,
             totalTokens: planResponse.usage?.total_tokens || 0,
             metadata: {
               ...combinedMetadata,
-              attemptedModels,
-              usedFallback: attemptedModels.length > 1,
-              finalModel: attemptedModels[attemptedModels.length - 1],
+              attempts: fallback.attempts,
+              usedFallback,
+              finalModel: fallback.model,
               taskCount: executionPlan.length,
               stageCompleted: 'planning',
               planOnly: true
@@ -269,12 +301,13 @@ export class AutomationAgent {
           executionPlan: executionPlan,
           summary: planSummary,
           parallelExecution: parallel,
-          model: attemptedModels[attemptedModels.length - 1],
+          model: fallback.model,
           timestamp: new Date().toISOString(),
           trackingId: trackMetrics ? trackingId : undefined,
-          fallback: attemptedModels.length > 1 ? attemptedModels : undefined,
+          fallback: usedFallback ? fallback : undefined,
           duration: new Date() - startTime,
-          usage: planResponse.usage
+          usage: planResponse.usage,
+          cost: planCost
         };
       }
       
@@ -294,7 +327,7 @@ export class AutomationAgent {
       
       // Execute the tasks (in a real implementation, this would actually execute them)
       // For demo purposes, we'll simulate execution with our mock results
-      const results = await this._simulateExecution(parsedTasks, executionPlan, attemptedModels[attemptedModels.length - 1], trackMetrics, trackingId, combinedMetadata);
+      const results = await this._simulateExecution(parsedTasks, executionPlan, fallback.model, trackMetrics, trackingId, combinedMetadata, signal);
       
       // Finalize metrics if tracking is enabled
       if (trackMetrics) {
@@ -304,16 +337,16 @@ export class AutomationAgent {
         this.oneAPI.completeMetric({
           trackingId,
           status: 'success',
-          model: attemptedModels[attemptedModels.length - 1],
+          model: fallback.model,
           duration,
           outputTokens: planResponse.usage?.completion_tokens || 0,
           inputTokens: planResponse.usage?.prompt_tokens || 0,
           totalTokens: planResponse.usage?.total_tokens || 0,
           metadata: {
             ...combinedMetadata,
-            attemptedModels,
-            usedFallback: attemptedModels.length > 1,
-            finalModel: attemptedModels[attemptedModels.length - 1],
+            attempts: fallback.attempts,
+            usedFallback,
+            finalModel: fallback.model,
             taskCount: executionPlan.length,
             successfulTasks: Object.values(results).filter(r => r.status === 'completed').length,
             failedTasks: Object.values(results).filter(r => r.status === 'failed').length
@@ -328,12 +361,13 @@ export class AutomationAgent {
         summary: planSummary,
         results: results,
         parallelExecution: parallel,
-        model: attemptedModels[attemptedModels.length - 1],
+        model: fallback.model,
         timestamp: new Date().toISOString(),
         trackingId: trackMetrics ? trackingId : undefined,
-        fallback: attemptedModels.length > 1 ? attemptedModels : undefined,
+        fallback: usedFallback ? fallback : undefined,
         duration: new Date() - startTime,
-        usage: planResponse.usage
+        usage: planResponse.usage,
+        cost: sumCosts([planCost, ...Object.values(results).map(result => result.cost)])
       };
     } catch (error) {
       const endTime = new Date();
@@ -421,10 +455,11 @@ export class AutomationAgent {
    * @param {boolean} trackMetrics - Whether to track metrics
    * @param {string} parentTrackingId - Parent automation tracking ID
    * @param {Object} parentMetadata - Parent metadata
+   * @param {AbortSignal} signal - Signal to cancel in-flight model calls
    * @returns {Promise<Object>} Execution results
    * @private
    */
-  async _simulateExecution(tasks, executionPlan, model, trackMetrics = false, parentTrackingId = null, parentMetadata = {}) {
+  async _simulateExecution(tasks, executionPlan, model, trackMetrics = false, parentTrackingId = null, parentMetadata = {}, signal = undefined) {
     if (!Array.isArray(tasks) || !Array.isArray(executionPlan)) return {};
     
     const results = {};
@@ -467,6 +502,11 @@ export class AutomationAgent {
     
     // Continue until all tasks are processed
     while (completedTasks + failedTasks < executionPlan.length) {
+      // Stop scheduling new tasks once the caller has cancelled
+      if (signal?.aborted) {
+        throw new Error('Automation was aborted');
+      }
+      
       // Get tasks that are ready to execute
       const readyTasks = getReadyTasks(completedTaskIds);
       
@@ -553,6 +593,7 @@ export class AutomationAgent {
           
           // Simulate task execution using OneAPI for complex tasks
           let taskOutput = `Executed task: ${taskDescription}`;
+          let taskCost = null;
           
           // For complex tasks, we can use OneAPI to generate a more realistic output
           if (taskDescription.includes('analyze') || taskDescription.includes('generate') || 
@@ -573,6 +614,9 @@ export class AutomationAgent {
                 ],
                 temperature: 0.4,
                 maxTokens: 150,
+                signal,
+                agent: 'automation',
+                runId: parentTrackingId,
                 metadata: trackMetrics ? {
                   trackingId: taskTrackingId,
                   parentTrackingId,
@@ -581,6 +625,7 @@ export class AutomationAgent {
               });
               
               taskOutput = taskResponse.choices[0].message.content;
+              taskCost = taskResponse.cost ?? null;
             } catch (generationError) {
               console.warn(`Could not generate detailed output for task ${taskId}, using default output`, generationError);
               // Fall back to default output, but don't fail the task
@@ -599,7 +644,8 @@ export class AutomationAgent {
             executionTime: executionTime,
             startTime: taskStartTime.toISOString(),
             endTime: taskEndTime.toISOString(),
-            duration: taskEndTime - taskStartTime
+            duration: taskEndTime - taskStartTime,
+            cost: taskCost
           };
           
           // Track task completion if metrics enabled
@@ -6,17 +6,38 @@
  */
 
 import oneapiModule from '../oneapi.js';
+import { ContextManager, formatTranscript } from '../utils/context-manager.js';
+import { createRunId } from '../utils/budget-manager.js';
 
 export class ChatAgent {
+  /**
+   * Create a new chat agent
+   * @param {Object} config - Agent configuration
+   * @param {Array<string>} config.fallbackModels - Models tried when the chat model fails (defaults to the OneAPI chain)
+   * @param {string} config.contextStrategy - 'sliding-window', 'last-turns' or 'summarize'
+   * @param {number} config.maxTurns - Turns kept by the 'last-turns' strategy
+   * @param {string} config.summaryModel - Model that writes conversation summaries (defaults to the chat model)
+   * @param {number} config.defaultContextLength - Context length assumed for models missing from the model list
+   * @param {number} config.maxOutputTokens - Upper bound for automatically sized replies
+   */
   constructor(config = {}) {
     this.name = 'Chat Agent';
     this.description = 'AI Agent that maintains context and engages in conversation';
     this.conversationHistory = new Map(); // Map to store conversation contexts
+    this.conversationSummaries = new Map(); // Rolling summaries of turns dropped from each session
     // Will be set by OneAPI after initialization to avoid circular dependency
     this.oneAPI = null;
     this.defaultModel = config.defaultModel || 'openai/gpt-3.5-turbo';
-    this.fallbackModels = config.fallbackModels || ['anthropic/claude-instant-1', 'google/gemini-pro'];
+    this.fallbackModels = config.fallbackModels || null;
     this.metricsEnabled = config.trackMetrics !== false; // Enable metrics by default
+    this.summaryModel = config.summaryModel || null;
+    this.defaultContextLength = config.defaultContextLength || 8192;
+    this.contextManager = new ContextManager({
+      strategy: config.contextStrategy || 'sliding-window',
+      maxTurns: config.maxTurns,
+      maxOutputTokens: config.maxOutputTokens,
+      summarize: (options) => this.summarizeTurns(options)
+    });
     this.metadata = {
       agentType: 'chat',
       version: '1.1.0',
@@ -32,11 +53,12 @@ export class ChatAgent {
    * @param {string} options.personality - Agent personality type
    * @param {string} options.model - LLM model to use (with provider prefix)
    * @param {number} options.temperature - Temperature for response generation
-   * @param {number} options.maxTokens - Maximum tokens for response
+   * @param {number} options.maxTokens - Maximum tokens for response (sized from the remaining context if omitted)
    * @param {boolean} options.stream - Whether to stream the response
-   * @param {string} options.sessionId - Optional session identifier for conversation tracking
+   * @param {string} options.sessionId - Optional session identifier; the session's history is used when no context is given
    * @param {boolean} options.trackMetrics - Whether to track metrics for this interaction
    * @param {Object} options.metadata - Additional metadata for metrics tracking
+   * @param {AbortSignal} options.signal - Signal to cancel in-flight model calls
    * @returns {Promise<Object>} Chat response
    */
   async execute({ 
@@ -45,16 +67,18 @@ export class ChatAgent {
     personality = 'helpful', 
     model, 
     temperature = 0.7, 
-    maxTokens = 1000,
+    maxTokens,
     stream = false,
     sessionId = null,
     trackMetrics = this.metricsEnabled,
-    metadata = {}
+    metadata = {},
+    signal
   }) {
     console.log(`Processing chat message with personality: ${personality}`);
     
     // Generate tracking ID for this interaction
     const trackingId = sessionId || `chat_${Date.now()}_${Math.random().toString(36).substring(2, 10)}`;
+    const runId = createRunId('chat');
     const startTime = new Date();
     
     // Combine metadata
@@ -107,6 +131,9 @@ export class ChatAgent {
           // Fall back to empty messages array
           messages = [];
         }
+      } else if (sessionId && this.conversationHistory.has(sessionId)) {
+        // Continue the stored session
+        messages = [...this.conversationHistory.get(sessionId)];
       }
       
       // Add system message with personality if no system message exists
@@ -135,108 +162,109 @@ export class ChatAgent {
         });
       }
       
-      // Get response from OneAPI with fallback handling
-      let response;
-      let attemptedModels = [];
-      let lastError = null;
-      
-      // Try primary model first, then fallbacks if needed
-      const modelsToTry = [useModel, ...this.fallbackModels];
-      
-      for (const modelToTry of modelsToTry) {
-        try {
-          attemptedModels.push(modelToTry);
-          
-          if (stream) {
-            response = await this.oneAPI.createChatCompletionStream({
-              model: modelToTry,
-              messages,
-              temperature,
-              maxTokens,
-              metadata: trackMetrics ? {
-                trackingId,
-                ...combinedMetadata
-              } : undefined
-            });
-            
-            // For streaming, return the stream directly with tracking info
-            if (trackMetrics && this.oneAPI && this.oneAPI.trackMetric) {
-              this.oneAPI.trackMetric({
-                type: 'chat_stream',
-                provider: modelToTry.split('/')[0],
-                model: modelToTry,
-                trackingId,
-                status: 'success',
-                metadata: {
-                  ...combinedMetadata,
-                  attemptedModels,
-                  usedFallback: attemptedModels.length > 1
-                }
-              });
-            }
-            
-            return {
-              stream: response,
-              messages,
-              model: modelToTry,
-              personality,
-              timestamp: new Date().toISOString(),
-              trackingId: trackMetrics ? trackingId : undefined,
-              fallback: attemptedModels.length > 1 ? attemptedModels : undefined
-            };
-          } else {
-            response = await this.oneAPI.createChatCompletion({
-              model: modelToTry,
-              messages,
-              temperature,
-              maxTokens,
-              metadata: trackMetrics ? {
-                trackingId,
-                ...combinedMetadata
-              } : undefined
-            });
-        
-            // If we got here, the model worked
-            break;
+      // Get response from OneAPI, falling back to other models on transient failures
+      let fitted;
+      let result;
+      try {
+        result = await this.oneAPI.withFallback({
+          model: useModel,
+          fallbackModels: this.fallbackModels,
+          signal,
+          onFallback: attempt => {
+            console.warn(`Model ${attempt.model} failed (${attempt.reason}), trying next fallback`);
           }
-        } catch (error) {
-          lastError = error;
-          console.warn(`Model ${modelToTry} failed, trying next fallback if available`, error);
+        }, async params => {
+          // Trim the conversation to this model's context window
+          fitted = await this.fitContext(messages, params.model, {
+            maxTokens,
+            summary: sessionId ? this.conversationSummaries.get(sessionId) : null,
+            signal,
+            attribution: { sessionId, agent: 'chat', runId }
+          });
           
-          // If this is the last model to try, throw the error
-          if (modelToTry === modelsToTry[modelsToTry.length - 1]) {
-            if (trackMetrics && this.oneAPI && this.oneAPI.trackMetric) {
-              this.oneAPI.trackMetric({
-                type: 'chat_error',
-                provider: modelToTry.split('/')[0],
-                model: modelToTry,
-                trackingId,
-                status: 'error',
-                error: {
-                  message: error.message,
-                  code: error.code || 'unknown'
-                },
-                metadata: {
-                  ...combinedMetadata,
-                  attemptedModels,
-                  failedAllModels: true
-                }
-              });
+          const request = {
+            ...params,
+            messages: fitted.messages,
+            temperature,
+            maxTokens: fitted.maxTokens,
+            signal,
+            sessionId,
+            agent: 'chat',
+            runId,
+            metadata: trackMetrics ? {
+              trackingId,
+              ...combinedMetadata
+            } : undefined
+          };
+          
+          return stream
+            ? this.oneAPI.createChatCompletionStream(request)
+            : this.oneAPI.createChatCompletion(request);
+        });
+      } catch (error) {
+        if (trackMetrics && this.oneAPI && this.oneAPI.trackMetric) {
+          const failedModel = error.fallback?.attempts.at(-1)?.model || useModel;
+          
+          this.oneAPI.trackMetric({
+            type: 'chat_error',
+            provider: failedModel.split('/')[0],
+            model: failedModel,
+            trackingId,
+            status: 'error',
+            error: {
+              message: error.message,
+              code: error.code || 'unknown'
+            },
+            metadata: {
+              ...combinedMetadata,
+              attempts: error.fallback?.attempts,
+              failedAllModels: true
             }
-            throw error;
-          }
-          // Otherwise continue to the next model
+          });
         }
+        throw error;
+      }
+      
+      const response = result.result;
+      const fallback = { model: result.model, ...result.fallback };
+      const usedFallback = fallback.attempts.length > 0;
+      
+      if (stream) {
+        // For streaming, return the stream directly with tracking info
+        if (trackMetrics && this.oneAPI && this.oneAPI.trackMetric) {
+          this.oneAPI.trackMetric({
+            type: 'chat_stream',
+            provider: fallback.model.split('/')[0],
+            model: fallback.model,
+            trackingId,
+            status: 'success',
+            metadata: {
+              ...combinedMetadata,
+              attempts: fallback.attempts,
+              usedFallback
+            }
+          });
+        }
+        
+        return {
+          stream: response,
+          messages: fitted.messages,
+          model: fallback.model,
+          personality,
+          timestamp: new Date().toISOString(),
+          trackingId: trackMetrics ? trackingId : undefined,
+          fallback: usedFallback ? fallback : undefined
+        };
       }
       
       // Extract the assistant's message
       const assistantMessage = response.choices[0].message.content;
       
-      // Add the response to messages
-      messages.push({
+      // Continue from the trimmed history and add the response
+      messages = [...fitted.history, {
         role: 'assistant',
         content: assistantMessage
-      });
+      }];
       
       // Convert messages back to context format if needed
       const newContext = messages.map(m => {
@@ -249,18 +277,19 @@ export class ChatAgent {
       // Store conversation history if sessionId provided
       if (sessionId) {
         this.conversationHistory.set(sessionId, messages);
+        if (fitted.summary) {
+          this.conversationSummaries.set(sessionId, fitted.summary);
+        }
       }
       
       // Finalize metrics if tracking is enabled
       if (trackMetrics && this.oneAPI && this.oneAPI.trackMetric) {
         const endTime = new Date();
         const duration = endTime - startTime;
-        const finalModel = attemptedModels[attemptedModels.length - 1];
-        
         this.oneAPI.trackMetric({
           type: 'chat_completion',
-          provider: finalModel.split('/')[0],
-          model: finalModel,
+          provider: fallback.model.split('/')[0],
+          model: fallback.model,
           trackingId,
           status: 'success',
           processingTime: duration,
@@ -270,9 +299,9 @@ export class ChatAgent {
           },
           metadata: {
             ...combinedMetadata,
-            attemptedModels,
-            usedFallback: attemptedModels.length > 1,
-            finalModel
+            attempts: fallback.attempts,
+            usedFallback,
+            finalModel: fallback.model
           }
         });
       }
@@ -281,12 +310,15 @@ export class ChatAgent {
         message: assistantMessage,
         context: newContext,
         messages,
-        model: attemptedModels[attemptedModels.length - 1],
+        summary: fitted.summary || undefined,
+        droppedTurns: fitted.dropped,
+        model: fallback.model,
         personality,
         timestamp: new Date().toISOString(),
         usage: response.usage,
+        cost: response.cost ?? null,
         trackingId: trackMetrics ? trackingId : undefined,
-        fallback: attemptedModels.length > 1 ? attemptedModels : undefined,
+        fallback: usedFallback ? fallback : undefined,
         duration: new Date() - startTime
       };
     } catch (error) {
@@ -295,14 +327,12 @@ export class ChatAgent {
       
       // Record error metrics if tracking is enabled
       if (trackMetrics && this.oneAPI && this.oneAPI.trackMetric) {
+        const failedModel = error.fallback?.attempts.at(-1)?.model || model || this.defaultModel;
+        
         this.oneAPI.trackMetric({
           type: 'chat_error',
-          provider: (attemptedModels && attemptedModels.length > 0) ? 
-            attemptedModels[attemptedModels.length - 1].split('/')[0] : 
-            useModel.split('/')[0],
-          model: (attemptedModels && attemptedModels.length > 0) ? 
-            attemptedModels[attemptedModels.length - 1] : 
-            useModel,
+          provider: failedModel.split('/')[0],
+          model: failedModel,
           trackingId,
           status: 'error',
           processingTime: duration,
@@ -312,7 +342,7 @@ export class ChatAgent {
           },
           metadata: {
             ...combinedMetadata,
-            attemptedModels: attemptedModels || [useModel]
+            attempts: error.fallback?.attempts
           }
         });
       }
@@ -322,6 +352,65 @@ export class ChatAgent {
     }
   }
 
+  /**
+   * Fit messages into a model's context window
+   * @param {Array<Object>} messages - Conversation messages
+   * @param {string} model - Model ID
+   * @param {Object} options - Fit options
+   * @param {number} options.maxTokens - Requested reply size
+   * @param {string} options.summary - Summary of earlier turns
+   * @param {AbortSignal} options.signal - Signal to cancel model list loading and summarization
+   * @param {Object} options.attribution - Session, agent and run the summarization call is billed to
+   * @returns {Promise<Object>} Result of ContextManager.fit
+   */
+  async fitContext(messages, model, { maxTokens, summary, signal, attribution } = {}) {
+    const modelInfo = this.oneAPI?.getModelInfo
+      ? await this.oneAPI.getModelInfo(model, { signal })
+      : null;
+    
+    return this.contextManager.fit(messages, {
+      model,
+      contextLength: modelInfo?.context_length || this.defaultContextLength,
+      maxCompletionTokens: modelInfo?.top_provider?.max_completion_tokens,
+      maxTokens,
+      summary,
+      signal,
+      attribution
+    });
+  }
+
+  /**
+   * Fold older turns into the rolling conversation summary
+   * @param {Object} options - Summarization options
+   * @param {string} options.summary - Previous summary, if any
+   * @param {Array<Object>} options.messages - Messages being dropped from the context
+   * @param {string} options.model - Chat model
+   * @param {AbortSignal} options.signal - Signal to cancel the request
+   * @param {Object} options.attribution - Session, agent and run the call is billed to
+   * @returns {Promise<string>} Updated summary
+   */
+  async summarizeTurns({ summary, messages, model, signal, attribution = {} }) {
+    const response = await this.oneAPI.createChatCompletion({
+      ...attribution,
+      model: this.summaryModel || model,
+      temperature: 0,
+      maxTokens: this.contextManager.summaryTokens,
+      signal,
+      messages: [
+        {
+          role: 'system',
+          content: 'Summarize the conversation for your own memory. Keep names, facts, decisions and open questions. Reply with the summary only.'
+        },
+        {
+          role: 'user',
+          content: `${summary ? `Summary so far:\n${summary}\n\n` : ''}Conversation to add:\n${formatTranscript(messages)}`
+        }
+      ]
+    });
+    
+    return response.choices[0].message.content.trim();
+  }
+
   /**
    * Clear conversation history for a specific session
    * @param {string} sessionId - Session identifier
@@ -344,6 +433,7 @@ export class ChatAgent {
       }
       
       this.conversationHistory.delete(sessionId);
+      this.conversationSummaries.delete(sessionId);
       return true;
     }
     return false;
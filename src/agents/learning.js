@@ -5,6 +5,7 @@
  */
 
 import oneapiModule from '../oneapi.js';
+import { createRunId } from '../utils/budget-manager.js';
 
 export class LearningAgent {
   constructor() {
@@ -22,6 +23,7 @@ export class LearningAgent {
    * @param {string} options.input - Input data or query
    * @param {string} options.feedback - Previous interaction feedback
    * @param {string} options.modelPath - Path to trained model
+   * @param {AbortSignal} options.signal - Signal to cancel in-flight model calls
    * @returns {Promise<Object>} Learning agent results
    */
   async execute({ 
@@ -31,7 +33,8 @@ export class LearningAgent {
     model,
     temperature = 0.4,
     maxTokens = 1000,
-    sessionId = null
+    sessionId = null,
+    signal
   }) {
     console.log(`Processing learning agent input with ${feedback ? 'feedback' : 'no feedback'}`);
     
@@ -70,7 +73,11 @@ export class LearningAgent {
         model: useModel,
         messages,
         temperature,
-        maxTokens
+        maxTokens,
+        signal,
+        sessionId,
+        agent: 'learning',
+        runId: createRunId('learning')
       });
       
       // Extract the content
@@ -94,7 +101,8 @@ export class LearningAgent {
         },
         learningProgress: this._getLearningProgress(),
         timestamp: new Date().toISOString(),
-        usage: response.usage
+        usage: response.usage,
+        cost: response.cost ?? null
       };
     } catch (error) {
       console.error('Learning agent error:', error);
@@ -16,7 +16,7 @@ export class ResearchAgent {
     // Will be set by OneAPI after initialization to avoid circular dependency
     this.oneAPI = null;
     this.defaultModel = config.defaultModel || 'openai/gpt-4-turbo'; // More powerful model for research
-    this.fallbackModels = config.fallbackModels || ['anthropic/claude-3-opus', 'google/gemini-pro'];
+    this.fallbackModels = config.fallbackModels || null; // null uses the OneAPI fallback chain
     this.metricsEnabled = config.trackMetrics !== false; // Enable metrics by default
     this.metadata = {
       agentType: 'research',
@@ -37,6 +37,7 @@ export class ResearchAgent {
    * @param {Array} options.searchResults - Optional search results to use as context
    * @param {boolean} options.trackMetrics - Whether to track metrics for this research task
    * @param {Object} options.metadata - Additional metadata for metrics tracking
+   * @param {AbortSignal} options.signal - Signal to cancel in-flight model calls
    * @returns {Promise<Object>} Research results
    */
   async execute({ 
@@ -48,7 +49,8 @@ export class ResearchAgent {
     maxTokens = 2000,
     searchResults = null,
     trackMetrics = this.metricsEnabled,
-    metadata = {}
+    metadata = {},
+    signal
   }) {
     console.log(`Researching topic: ${topic} with depth ${depth} and format ${format}`);
     
@@ -115,69 +117,57 @@ export class ResearchAgent {
         }
       ];
       
-      // Get response from OneAPI with fallback handling
+      // Get response from OneAPI, falling back to other models on transient failures
       let response;
-      let attemptedModels = [];
-      let lastError = null;
-      
-      // Try primary model first, then fallbacks if needed
-      const modelsToTry = [useModel, ...this.fallbackModels];
-      
-      for (const modelToTry of modelsToTry) {
-        try {
-          attemptedModels.push(modelToTry);
-          
-          // Update tracking if using fallback
-          if (trackMetrics && attemptedModels.length > 1) {
-            this.oneAPI.updateMetric({
-              trackingId,
-              status: 'retry',
-              model: modelToTry,
-              metadata: {
-                ...combinedMetadata,
-                attemptedModels,
-                failedModel: attemptedModels[attemptedModels.length - 2],
-                error: lastError?.message || 'Unknown error'
-              }
-            });
-          }
-          
-          response = await this.oneAPI.createChatCompletion({
-            model: modelToTry,
-            messages,
-            temperature,
-            maxTokens,
-            metadata: trackMetrics ? {
-              trackingId,
-              ...combinedMetadata
-            } : undefined
-          });
-          
-          // If we got here, the model worked
-          break;
-          
-        } catch (error) {
-          lastError = error;
-          console.warn(`Model ${modelToTry} failed, trying next fallback if available`, error);
-          
-          // If this is the last model to try, throw the error
-          if (modelToTry === modelsToTry[modelsToTry.length - 1]) {
+      try {
+        response = await this.oneAPI.createChatCompletionWithFallback({
+          model: useModel,
+          fallbackModels: this.fallbackModels,
+          messages,
+          temperature,
+          maxTokens,
+          signal,
+          agent: 'research',
+          runId: trackingId,
+          metadata: trackMetrics ? {
+            trackingId,
+            ...combinedMetadata
+          } : undefined,
+          onFallback: attempt => {
+            console.warn(`Model ${attempt.model} failed (${attempt.reason}), trying next fallback`);
+            
+            // Update tracking when moving to a fallback model
             if (trackMetrics) {
               this.oneAPI.updateMetric({
                 trackingId,
-                status: 'error',
-                error: error.message,
+                status: 'retry',
                 metadata: {
                   ...combinedMetadata,
-                  attemptedModels,
-                  failedAllModels: true
+                  failedModel: attempt.model,
+                  error: attempt.message,
+                  reason: attempt.reason
                 }
               });
             }
-            throw error;
           }
+        });
+      } catch (error) {
+        if (trackMetrics) {
+          this.oneAPI.updateMetric({
+            trackingId,
+            status: 'error',
+            error: error.message,
+            metadata: {
+              ...combinedMetadata,
+              attempts: error.fallback?.attempts,
+              failedAllModels: true
+            }
+          });
         }
+        throw error;
       }
+      const { fallback } = response;
+      const usedFallback = fallback.attempts.length > 0;
       
       // Extract and process content
       const researchContent = response.choices[0].message.content;
@@ -193,16 +183,16 @@ export class ResearchAgent {
         this.oneAPI.completeMetric({
           trackingId,
           status: 'success',
-          model: attemptedModels[attemptedModels.length - 1],
+          model: fallback.model,
           duration,
           outputTokens: response.usage?.completion_tokens || 0,
           inputTokens: response.usage?.prompt_tokens || 0,
           totalTokens: response.usage?.total_tokens || 0,
           metadata: {
             ...combinedMetadata,
-            attemptedModels,
-            usedFallback: attemptedModels.length > 1,
-            finalModel: attemptedModels[attemptedModels.length - 1],
+            attempts: fallback.attempts,
+            usedFallback,
+            finalModel: fallback.model,
             extractedSourceCount: extractedSources.length
           }
         });
@@ -212,7 +202,7 @@ export class ResearchAgent {
         topic,
         depth: normalizedDepth,
         format: normalizedFormat,
-        model: attemptedModels[attemptedModels.length - 1],
+        model: fallback.model,
         sources: extractedSources.length > 0 ? extractedSources : 
           (searchResults || [
             { url: 'ai-generated', title: 'AI Synthesized Information' }
@@ -221,9 +211,10 @@ export class ResearchAgent {
         rawResponse: response,
         timestamp: new Date().toISOString(),
         trackingId: trackMetrics ? trackingId : undefined,
-        fallback: attemptedModels.length > 1 ? attemptedModels : undefined,
+        fallback: usedFallback ? fallback : undefined,
         duration: new Date() - startTime,
-        usage: response.usage
+        usage: response.usage,
+        cost: response.cost ?? null
       };
     } catch (error) {
       const endTime = new Date();
@@ -238,7 +229,7 @@ export class ResearchAgent {
           error: error.message,
           metadata: {
             ...combinedMetadata,
-            attemptedModels: attemptedModels || [useModel],
+            attempts: error.fallback?.attempts,
             errorType: error.name || 'UnknownError'
           }
         });
@@ -3,6 +3,9 @@
  * Frontend client for interacting with the OneAPI backend services
  */
 
+import { parseChatCompletionStream } from '../utils/sse-parser.js';
+import { accumulateStream } from '../utils/stream-accumulator.js';
+
 class OneAPIClient {
   constructor(baseUrl = '') {
     this.baseUrl = baseUrl;
@@ -201,6 +204,76 @@ class OneAPIClient {
     }
   }
 
+  /**
+   * Get the provider endpoints serving a model
+   * @param {string} modelId Model ID in author/slug form
+   * @returns {Promise<Object>} Promise resolving to the model and its endpoints
+   */
+  async getModelEndpoints(modelId) {
+    try {
+      const response = await fetch(`${this.baseUrl}/api/v1/models/${modelId}/endpoints`);
+      if (!response.ok) {
+        throw new Error(`Failed to fetch model endpoints: ${response.status} ${response.statusText}`);
+      }
+      return await response.json();
+    } catch (error) {
+      console.error('Error fetching model endpoints:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get limits and usage for the server's OpenRouter key
+   * @returns {Promise<Object>} Promise resolving to key information
+   */
+  async getKeyInfo() {
+    try {
+      const response = await fetch(`${this.baseUrl}/api/account/key`);
+      if (!response.ok) {
+        throw new Error(`Failed to fetch key info: ${response.status} ${response.statusText}`);
+      }
+      return await response.json();
+    } catch (error) {
+      console.error('Error fetching key info:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get OpenRouter account credits, usage and remaining balance
+   * @returns {Promise<Object>} Promise resolving to credit totals
+   */
+  async getCredits() {
+    try {
+      const response = await fetch(`${this.baseUrl}/api/account/credits`);
+      if (!response.ok) {
+        throw new Error(`Failed to fetch credits: ${response.status} ${response.statusText}`);
+      }
+      return await response.json();
+    } catch (error) {
+      console.error('Error fetching credits:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get native token counts and cost for a generation
+   * @param {string} id Generation ID
+   * @returns {Promise<Object>} Promise resolving to generation stats
+   */
+  async getGeneration(id) {
+    try {
+      const response = await fetch(`${this.baseUrl}/api/generations/${encodeURIComponent(id)}`);
+      if (!response.ok) {
+        throw new Error(`Failed to fetch generation stats: ${response.status} ${response.statusText}`);
+      }
+      return await response.json();
+    } catch (error) {
+      console.error('Error fetching generation stats:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get SDK functions
    * @returns {Promise<Array>} Promise resolving to array of SDK functions
@@ -270,6 +343,16 @@ class OneAPIClient {
     }
   }
 
+  /**
+   * Stream a chat completion as content and complete tool call events
+   * @param {Object} params Chat completion parameters
+   * @returns {AsyncGenerator<Object>} Events of type 'content', 'reasoning', 'tool_call' and finally 'done' with the full response
+   */
+  async *streamChatCompletion(params) {
+    const response = await this.createChatCompletionStream(params);
+    yield* accumulateStream(parseChatCompletionStream(response.body));
+  }
+
   /**
    * Compare models for the same prompt
    * @param {Object} params Model comparison parameters
@@ -197,7 +197,13 @@ class DashboardOneAPIConnector {
    */
   async fetchSystemStatus() {
     try {
-      // First try to check if we have an API key as a basic connectivity test
+      // Ask the dashboard server to probe the providers, when it is the one serving us
+      const health = await this.fetchProviderHealth();
+      if (health) {
+        return health;
+      }
+      
+      // Otherwise fall back to checking if we have an API key as a basic connectivity test
       const apiKey = localStorage.getItem('openrouter_api_key');
       const hasApiKey = !!apiKey;
       
@@ -238,6 +244,98 @@ class DashboardOneAPIConnector {
     }
   }
   
+  /**
+   * Fetch live provider availability from the dashboard server's health probes
+   * @param {boolean} refresh - Probe again instead of reusing recent results
+   * @returns {Promise<Object|null>} Status with per-provider `providers` details, or null if the server is unreachable
+   */
+  async fetchProviderHealth(refresh = false) {
+    try {
+      const response = await fetch(`/api/status${refresh ? '?refresh=true' : ''}`);
+      if (!response.ok) {
+        return null;
+      }
+      
+      const status = await response.json();
+      if (!status.providers) {
+        return null;
+      }
+      
+      const available = id => !!status.providers[id]?.available;
+      return {
+        openai: available('openai'),
+        anthropic: available('anthropic'),
+        gemini: available('google'),
+        mistral: available('mistral'),
+        together: available('together'),
+        providers: status.providers,
+        circuits: status.circuits || [],
+        version: '1.0.0',
+        status: 'ok',
+        hasApiKey: !!localStorage.getItem('openrouter_api_key')
+      };
+    } catch (error) {
+      console.warn('Provider health unavailable:', error.message);
+      return null;
+    }
+  }
+  
+  /**
+   * Fetch the account's credit balance from the dashboard server
+   * @returns {Promise<Object|null>} `{ totalCredits, totalUsage, remaining }` in USD, or null if unavailable
+   */
+  async fetchCredits() {
+    try {
+      const response = await fetch('/api/account/credits');
+      if (!response.ok) {
+        return null;
+      }
+      
+      const credits = await response.json();
+      return {
+        totalCredits: credits.total_credits,
+        totalUsage: credits.total_usage,
+        remaining: credits.total_credits - credits.total_usage
+      };
+    } catch (error) {
+      console.warn('Credit balance unavailable:', error.message);
+      return null;
+    }
+  }
+  
+  /**
+   * Fetch the true cost of a generation from the dashboard server
+   *
+   * OpenRouter answers 404 until the generation's stats are recorded, so a
+   * few attempts are made before giving up.
+   * @param {string} generationId The `id` of a completion response
+   * @param {number} attempts How many times to ask before giving up
+   * @returns {Promise<number|null>} Cost in USD, or null if unavailable
+   */
+  async fetchGenerationCost(generationId, attempts = 3) {
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      try {
+        const response = await fetch(`/api/generations/${encodeURIComponent(generationId)}`);
+        if (response.ok) {
+          const generation = await response.json();
+          return generation.total_cost ?? null;
+        }
+        if (response.status !== 404) {
+          return null;
+        }
+      } catch (error) {
+        console.warn('Generation cost unavailable:', error.message);
+        return null;
+      }
+      
+      if (attempt < attempts) {
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+    
+    return null;
+  }
+  
   /**
    * Get status (alias for fetchSystemStatus)
    */
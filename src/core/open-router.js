@@ -6,6 +6,67 @@
  */
 
 import OpenRouterError from '../errors/openrouter-error.js';
+import { MemoryCache } from '../utils/memory-cache.js';
+import { createCacheKey } from '../utils/cache-key.js';
+import { KeyPool, KEY_FAILURE_STATUSES } from '../utils/key-pool.js';
+import { StructuredOutput } from '../utils/structured-output.js';
+import { getRequiredModalities, assertModelSupportsMessages } from '../utils/message-builder.js';
+import { fitsContext } from '../utils/token-counter.js';
+import { ModelCatalog } from '../utils/model-catalog.js';
+import { calculateCost, countRequestImages, zeroCost } from '../utils/cost.js';
+import { parseChatCompletionStream } from '../utils/sse-parser.js';
+import {
+  retryWithStrategy,
+  isRetryableError,
+  getRetryAfterDelay,
+  parseRetryAfterHeader
+} from '../utils/retry.js';
+
+/**
+ * Endpoints whose responses carry a `cost`
+ */
+const COSTED_ENDPOINTS = ['/chat/completions', '/embeddings'];
+
+/**
+ * Read a model list response, which is 304 when a conditional refresh finds no change
+ * 
+ * @param {Response} response - Fetch response
+ * @returns {Promise<{data: Array<Object>, etag: string|null}|{notModified: true}>} New list, or notModified
+ */
+async function readModelList(response) {
+  if (response.status === 304) {
+    return { notModified: true };
+  }
+  
+  const body = await response.json();
+  return { data: body.data || [], etag: response.headers?.get('etag') || null };
+}
+
+/**
+ * Create the summary passed to afterResponse hooks for a stream
+ * 
+ * @returns {{id: string|null, model: string|null, usage: Object|null, cost: Object|null,
+ *   chunkCount: number, completed: boolean}} Empty stream summary
+ */
+function createStreamSummary() {
+  return { id: null, model: null, usage: null, cost: null, chunkCount: 0, completed: false };
+}
+
+/**
+ * Middleware that observes or transforms OpenRouter traffic
+ * 
+ * Hooks run in registration order, instance interceptors before per-call
+ * ones. Each hook may return a replacement value or nothing to keep the
+ * current one. Every call ends in exactly one of `afterResponse` or
+ * `onError`. Responses served from the cache only reach `afterResponse`,
+ * with `context.cached` set and a zero cost.
+ * 
+ * @typedef {Object} Interceptor
+ * @property {Function} [beforeRequest] - `(context) => context|void`; may change endpoint, method, headers or body
+ * @property {Function} [afterResponse] - `(context, response) => response|void`; for streams, receives a summary once the stream ends
+ * @property {Function} [onError] - `(context, error) => Error|void`; may replace the thrown error
+ * @property {Function} [onStreamChunk] - `(context, chunk) => chunk|null|void`; returning null drops the chunk
+ */
 
 /**
  * OpenRouter class for interacting with the OpenRouter API
@@ -16,19 +77,76 @@ export class OpenRouter {
    * 
    * @param {Object} config - Configuration options
    * @param {string} config.apiKey - OpenRouter API key
+   * @param {Array<string|Object>} config.apiKeys - Pool of keys as strings or `{ key, weight, label }` objects
+   * @param {string} config.keyStrategy - Pool selection strategy: 'round-robin', 'least-used' or 'sticky' (by request `user`)
+   * @param {number} config.keyCooldown - How long a key failing with 401/402/429 is benched in milliseconds
    * @param {string} config.baseUrl - Base URL for the OpenRouter API
    * @param {number} config.timeout - Request timeout in milliseconds
    * @param {Object} config.defaultParams - Default parameters to include in requests
+   * @param {number} config.maxRetries - Maximum number of retries for transient failures
+   * @param {Object} config.retry - Retry policy overrides
+   * @param {number} config.retry.initialDelay - Base delay for exponential backoff in milliseconds
+   * @param {number} config.retry.maxDelay - Maximum delay between attempts in milliseconds; a longer `Retry-After` is not waited out
+   * @param {number} config.retry.totalTimeout - Deadline for all attempts combined in milliseconds (0 for none)
+   * @param {Function} config.onRetry - Hook called with retry details before each retry
+   * @param {Function} config.transport - Fetch-compatible `(url, init) => Promise<Response>` used for HTTP requests (defaults to global fetch)
+   * @param {Array<Interceptor>} config.interceptors - Interceptors applied to every request
+   * @param {string} config.appUrl - Site URL sent as `HTTP-Referer` for app attribution (null to omit)
+   * @param {string} config.appName - App name sent as `X-Title` for app attribution (null to omit)
+   * @param {Object} config.headers - Additional headers sent with every request
+   * @param {boolean} config.enableCaching - Cache deterministic chat completions and embeddings
+   * @param {number} config.cacheTTL - Cache entry lifetime in milliseconds
+   * @param {number} config.cacheMaxEntries - Maximum number of cached entries
+   * @param {boolean} config.checkModalities - Reject image, audio and file inputs the target model cannot accept (default true)
+   * @param {string} config.modelCachePath - File the model catalog is persisted to (Node only)
+   * @param {number} config.modelCacheTTL - How long the model list is used before a conditional refresh, in milliseconds
+   * @param {number} config.endpointCacheTTL - How long a model's endpoint list is reused by the catalog, in milliseconds
+   * @param {boolean} config.includeUsage - Send `usage: { include: true }` with chat completions so OpenRouter reports the exact cost
    */
   constructor(config = {}) {
     // Handle both browser and Node.js environments
     const envApiKey = typeof process !== 'undefined' && process.env ? 
       process.env.OPENROUTER_API_KEY : undefined;
     
-    this.apiKey = config.apiKey || envApiKey;
+    this.keyPool = config.apiKeys?.length
+      ? new KeyPool(config.apiKeys, { strategy: config.keyStrategy, cooldown: config.keyCooldown })
+      : null;
+    this.apiKey = config.apiKey || this.keyPool?.entries[0]?.key || envApiKey;
     this.baseUrl = config.baseUrl || 'https://openrouter.ai/api/v1';
     this.timeout = config.timeout || 60000;
     this.defaultParams = config.defaultParams || {};
+    this.retryPolicy = {
+      maxRetries: config.maxRetries ?? 2,
+      initialDelay: 500,
+      maxDelay: 30000,
+      totalTimeout: 0,
+      ...(config.retry || {})
+    };
+    this.onRetry = config.onRetry || null;
+    this.transport = config.transport || ((url, init) => fetch(url, init));
+    this.interceptors = [...(config.interceptors || [])];
+    this.appUrl = config.appUrl === undefined ? 'https://openrouter-sdk.example.com' : config.appUrl;
+    this.appName = config.appName === undefined ? 'OpenRouter SDK' : config.appName;
+    this.headers = config.headers || {};
+    this.cache = config.enableCaching
+      ? new MemoryCache(config.cacheTTL ?? 60 * 60 * 1000, config.cacheMaxEntries ?? 1000)
+      : null;
+    this.cacheStats = { hits: 0, misses: 0, bypassed: 0 };
+    this.checkModalities = config.checkModalities ?? true;
+    this.includeUsage = !!config.includeUsage;
+    this.catalog = new ModelCatalog({
+      // Outside the interceptor chain: pricing loads the catalog while the
+      // priced call still holds its interceptor leases
+      fetchModels: options => this._requestWithRetry('/models', {
+        signal: options.signal,
+        headers: options.etag ? { 'If-None-Match': options.etag } : {},
+        acceptNotModified: true
+      }, readModelList),
+      cachePath: config.modelCachePath || null,
+      ttl: config.modelCacheTTL ?? 60 * 60 * 1000,
+      fetchEndpoints: (modelId, options) => this.listModelEndpoints(modelId, options),
+      endpointTTL: config.endpointCacheTTL ?? 5 * 60 * 1000
+    });
     
     // Validate API key
     if (!this.apiKey) {
@@ -45,42 +163,500 @@ export class OpenRouter {
     return !!this.apiKey;
   }
 
+  /**
+   * Get response cache statistics
+   * 
+   * Embedding lookups are counted per input item.
+   * 
+   * @returns {{enabled: boolean, hits: number, misses: number, bypassed: number, hitRate: number, size: number}} Cache statistics
+   */
+  getCacheStats() {
+    const lookups = this.cacheStats.hits + this.cacheStats.misses;
+    
+    return {
+      enabled: !!this.cache,
+      ...this.cacheStats,
+      hitRate: lookups > 0 ? this.cacheStats.hits / lookups : 0,
+      size: this.cache ? this.cache.size() : 0
+    };
+  }
+
+  /**
+   * Get per-key usage and health for the key pool
+   * 
+   * @returns {Array<Object>} Key statistics with keys masked (empty without a pool)
+   */
+  getKeyStats() {
+    return this.keyPool ? this.keyPool.getStats() : [];
+  }
+
+  /**
+   * Clear the response cache
+   */
+  clearCache() {
+    if (this.cache) {
+      this.cache.clear();
+    }
+  }
+
+  /**
+   * Register an interceptor for all requests made by this client
+   * 
+   * @param {Interceptor} interceptor - Interceptor to add
+   * @returns {Function} Function that removes the interceptor again
+   */
+  use(interceptor) {
+    this.interceptors.push(interceptor);
+    
+    return () => {
+      const index = this.interceptors.indexOf(interceptor);
+      if (index !== -1) {
+        this.interceptors.splice(index, 1);
+      }
+    };
+  }
+
   /**
    * Create headers for OpenRouter API requests
    * 
    * @param {Object} additionalHeaders - Additional headers to include
+   * @param {string} apiKey - Key to authenticate with (defaults to the client's key)
    * @returns {Object} Headers object
    */
-  createHeaders(additionalHeaders = {}) {
+  createHeaders(additionalHeaders = {}, apiKey = this.apiKey) {
     const headers = {
       'Content-Type': 'application/json',
-      'Authorization': `Bearer ${this.apiKey}`,
-      'HTTP-Referer': 'https://openrouter-sdk.example.com',
-      'X-Title': 'OpenRouter SDK',
-      ...additionalHeaders
+      'Authorization': `Bearer ${apiKey}`
     };
     
-    return headers;
+    if (this.appUrl) {
+      headers['HTTP-Referer'] = this.appUrl;
+    }
+    if (this.appName) {
+      headers['X-Title'] = this.appName;
+    }
+    
+    return {
+      ...headers,
+      ...this.headers,
+      ...additionalHeaders
+    };
   }
 
   /**
    * Make a request to the OpenRouter API
    * 
+   * Transient failures are retried according to the client's retry policy.
+   * 
    * @param {string} endpoint - API endpoint
    * @param {Object} options - Request options
+   * @param {string} options.method - HTTP method
+   * @param {Object} options.body - JSON request body
+   * @param {Object} options.headers - Additional headers
+   * @param {number} options.timeout - Per-attempt timeout override in milliseconds
+   * @param {Object|boolean} options.retry - Retry policy overrides, or false to disable retries
+   * @param {Function} options.onRetry - Per-call retry hook
+   * @param {AbortSignal} options.signal - Signal that cancels the request and any pending retries
+   * @param {Array<Interceptor>} options.interceptors - Interceptors for this call only
+   * @param {Object} options.metadata - Values exposed to interceptors as `context.metadata`
    * @returns {Promise<Object>} Response data
    */
   async request(endpoint, options = {}) {
+    return this._intercept(endpoint, options, response => response.json());
+  }
+
+  /**
+   * Run a request through the interceptor chain
+   * 
+   * @param {string} endpoint - API endpoint
+   * @param {Object} options - Request options
+   * @param {Function} handleResponse - Converts a successful response into the result
+   * @returns {Promise<any>} Result of handleResponse after interceptors
+   * @private
+   */
+  async _intercept(endpoint, options, handleResponse) {
+    const interceptors = [...this.interceptors, ...(options.interceptors || [])];
+    let context = this._createContext(endpoint, options);
+    let result;
+    
+    try {
+      for (const interceptor of interceptors) {
+        if (interceptor.beforeRequest) {
+          context = (await interceptor.beforeRequest(context)) || context;
+        }
+      }
+      
+      result = await this._requestWithRetry(context.endpoint, {
+        ...options,
+        method: context.method,
+        headers: context.headers,
+        body: context.body
+      }, handleResponse);
+    } catch (error) {
+      throw await this._runErrorInterceptors(interceptors, context, error);
+    }
+    
+    if (context.stream) {
+      return this._interceptStream(result, interceptors, context);
+    }
+    
+    if (COSTED_ENDPOINTS.includes(context.endpoint) && result?.usage) {
+      result = { ...result, cost: await this._priceCall(context, result.usage, result.model) };
+    }
+    
+    return this._runAfterResponse(interceptors, context, result);
+  }
+
+  /**
+   * Report a response served from the cache to the afterResponse hooks
+   * 
+   * No request is sent, so only afterResponse runs, with the context marked
+   * `cached: true`. The response should carry a zero cost.
+   * 
+   * @param {string} endpoint - API endpoint the response would have come from
+   * @param {Object} options - Request options, including the request body
+   * @param {Object} result - Cached response
+   * @returns {Promise<Object>} Response after interceptors
+   * @private
+   */
+  async _interceptCacheHit(endpoint, options, result) {
+    const interceptors = [...this.interceptors, ...(options.interceptors || [])];
+    const context = { ...this._createContext(endpoint, options), cached: true };
+    return this._runAfterResponse(interceptors, context, result);
+  }
+
+  /**
+   * Create the context passed to interceptors
+   * 
+   * @param {string} endpoint - API endpoint
+   * @param {Object} options - Request options
+   * @returns {Object} Request context
+   * @private
+   */
+  _createContext(endpoint, options) {
+    return {
+      endpoint,
+      method: options.method || 'GET',
+      headers: { ...(options.headers || {}) },
+      body: options.body,
+      stream: !!options.stream,
+      signal: options.signal,
+      metadata: { ...(options.metadata || {}) },
+      startTime: Date.now()
+    };
+  }
+
+  /**
+   * Pass a response through the afterResponse hooks
+   * 
+   * @param {Array<Interceptor>} interceptors - Active interceptors
+   * @param {Object} context - Request context
+   * @param {Object} result - Response
+   * @returns {Promise<Object>} Response, or the replacement returned by a hook
+   * @private
+   */
+  async _runAfterResponse(interceptors, context, result) {
+    for (const interceptor of interceptors) {
+      if (interceptor.afterResponse) {
+        const replacement = await interceptor.afterResponse(context, result);
+        if (replacement !== undefined) {
+          result = replacement;
+        }
+      }
+    }
+    
+    return result;
+  }
+
+  /**
+   * Pass an error through the onError hooks
+   * 
+   * @param {Array<Interceptor>} interceptors - Active interceptors
+   * @param {Object} context - Request context
+   * @param {Error} error - Error raised by the request
+   * @returns {Promise<Error>} Error to throw
+   * @private
+   */
+  async _runErrorInterceptors(interceptors, context, error) {
+    let current = error;
+    
+    for (const interceptor of interceptors) {
+      if (interceptor.onError) {
+        current = (await interceptor.onError(context, current)) || current;
+      }
+    }
+    
+    return current;
+  }
+
+  /**
+   * Apply onStreamChunk hooks to a stream and report its outcome
+   * 
+   * `afterResponse` receives a summary of the stream (last id and model,
+   * usage and cost if usage was reported, chunk count, and whether it ran
+   * to completion).
+   * 
+   * Interceptors may hold leases from `beforeRequest` (throttle slots,
+   * budget reservations, circuit probes) until the stream is settled, so a
+   * stream that is never read is settled as well: when the consumer calls
+   * `return()` or `throw()` before the first `next()`, or when the request
+   * signal aborts first.
+   * 
+   * @param {AsyncIterable<Object>} stream - Parsed chat completion chunks
+   * @param {Array<Interceptor>} interceptors - Active interceptors
+   * @param {Object} context - Request context
+   * @returns {AsyncIterableIterator<Object>} Intercepted chunks
+   * @private
+   */
+  _interceptStream(stream, interceptors, context) {
+    const chunks = this._readInterceptedStream(stream, interceptors, context);
+    let started = false;
+    let closing = null;
+    let closeError = null;
+    
+    const close = (error) => {
+      if (!closing) {
+        closeError = error;
+        context.signal?.removeEventListener('abort', onAbort);
+        closing = (async () => {
+          await stream.cancel?.();
+          if (error) {
+            throw await this._runErrorInterceptors(interceptors, context, error);
+          }
+          await this._finishStream(interceptors, context, createStreamSummary());
+        })();
+      }
+      return closing;
+    };
+    
+    const onAbort = () => {
+      close(OpenRouterError.abortError('Stream was aborted')).catch(() => {});
+    };
+    
+    if (context.signal?.aborted) {
+      onAbort();
+    } else {
+      context.signal?.addEventListener('abort', onAbort, { once: true });
+    }
+    
+    return {
+      next: async (value) => {
+        if (closing) {
+          await closing.catch(() => {});
+          if (closeError) {
+            throw closeError;
+          }
+          return { done: true, value: undefined };
+        }
+        if (!started) {
+          started = true;
+          context.signal?.removeEventListener('abort', onAbort);
+        }
+        return chunks.next(value);
+      },
+      return: async (value) => {
+        if (!started) {
+          await close().catch(() => {});
+          return { done: true, value };
+        }
+        return chunks.return(value);
+      },
+      throw: async (error) => {
+        if (!started) {
+          await close(error).catch(() => {});
+          throw error;
+        }
+        return chunks.throw(error);
+      },
+      [Symbol.asyncIterator]() {
+        return this;
+      }
+    };
+  }
+
+  /**
+   * Read a stream through the onStreamChunk hooks
+   * 
+   * @param {AsyncIterable<Object>} stream - Parsed chat completion chunks
+   * @param {Array<Interceptor>} interceptors - Active interceptors
+   * @param {Object} context - Request context
+   * @returns {AsyncGenerator<Object>} Intercepted chunks
+   * @private
+   */
+  async *_readInterceptedStream(stream, interceptors, context) {
+    const summary = createStreamSummary();
+    let failed = false;
+    
+    try {
+      for await (const received of stream) {
+        summary.chunkCount++;
+        summary.id = received.id || summary.id;
+        summary.model = received.model || summary.model;
+        summary.usage = received.usage || summary.usage;
+        
+        let chunk = received;
+        for (const interceptor of interceptors) {
+          if (interceptor.onStreamChunk && chunk !== null) {
+            const replacement = await interceptor.onStreamChunk(context, chunk);
+            if (replacement !== undefined) {
+              chunk = replacement;
+            }
+          }
+        }
+        
+        if (chunk !== null) {
+          yield chunk;
+        }
+      }
+      
+      summary.completed = true;
+    } catch (error) {
+      failed = true;
+      throw await this._runErrorInterceptors(interceptors, context, error);
+    } finally {
+      // Also reached when the consumer stops reading early
+      if (!failed) {
+        await this._finishStream(interceptors, context, summary);
+      }
+    }
+  }
+
+  /**
+   * Price a finished stream and pass its summary to the afterResponse hooks
+   * 
+   * @param {Array<Interceptor>} interceptors - Active interceptors
+   * @param {Object} context - Request context
+   * @param {Object} summary - Stream summary
+   * @returns {Promise<void>} Resolves once every hook has run
+   * @private
+   */
+  async _finishStream(interceptors, context, summary) {
+    if (summary.usage) {
+      summary.cost = await this._priceCall(context, summary.usage, summary.model);
+    }
+    
+    for (const interceptor of interceptors) {
+      if (interceptor.afterResponse) {
+        await interceptor.afterResponse(context, summary);
+      }
+    }
+  }
+
+  /**
+   * Run request attempts under the retry policy
+   * 
+   * A server-requested wait (`Retry-After`) is honoured up to
+   * `retry.maxDelay`; a longer one fails straight away with the error, so
+   * the caller is not put to sleep for as long as the server asks.
+   * 
+   * @param {string} endpoint - API endpoint
+   * @param {Object} options - Request options
+   * @param {Function} handleResponse - Converts a successful response into the result
+   * @returns {Promise<any>} Result of handleResponse
+   * @private
+   */
+  async _requestWithRetry(endpoint, options, handleResponse) {
+    const policy = options.retry === false
+      ? { ...this.retryPolicy, maxRetries: 0 }
+      : { ...this.retryPolicy, ...(options.retry || {}) };
+    const startTime = Date.now();
+    
+    return retryWithStrategy(
+      () => this._attempt(endpoint, options, handleResponse),
+      {
+        maxRetries: policy.maxRetries,
+        retryCondition: (error) => this._canRotateKey(error) ||
+          (isRetryableError(error) && !(getRetryAfterDelay(error) > policy.maxDelay)),
+        delayFn: (retryCount, error) => {
+          // Move on to another key straight away
+          if (this._canRotateKey(error)) {
+            return 0;
+          }
+          
+          const retryAfter = getRetryAfterDelay(error);
+          if (retryAfter !== null) {
+            return retryAfter;
+          }
+          
+          const delay = Math.min(policy.initialDelay * Math.pow(2, retryCount - 1), policy.maxDelay);
+          return delay + delay * 0.2 * Math.random();
+        },
+        deadline: policy.totalTimeout > 0 ? startTime + policy.totalTimeout : null,
+        signal: options.signal,
+        onRetry: (error, attempt, delay) => {
+          const details = {
+            endpoint,
+            model: options.body?.model,
+            attempt,
+            delay,
+            error
+          };
+          
+          if (this.onRetry) {
+            this.onRetry(details);
+          }
+          if (options.onRetry) {
+            options.onRetry(details);
+          }
+        }
+      }
+    );
+  }
+
+  /**
+   * Check whether an error can be avoided by retrying on another pooled key
+   * 
+   * @param {Error} error - Error from the failed attempt
+   * @returns {boolean} True if the key was at fault and another key is available
+   * @private
+   */
+  _canRotateKey(error) {
+    return !!this.keyPool && KEY_FAILURE_STATUSES.includes(error?.status) &&
+      error.data?.keyRotated === true && this.keyPool.hasAvailable();
+  }
+
+  /**
+   * Make a single request attempt
+   * 
+   * For streaming requests (`options.stream`), the caller's signal stays
+   * linked to the connection until the returned stream has been consumed,
+   * so aborting it also stops reading the response body.
+   * 
+   * @param {string} endpoint - API endpoint
+   * @param {Object} options - Request options
+   * @param {Function} handleResponse - Converts a successful response into the result
+   * @returns {Promise<any>} Result of handleResponse
+   * @private
+   */
+  async _attempt(endpoint, options, handleResponse) {
     const url = `${this.baseUrl}${endpoint}`;
     const method = options.method || 'GET';
-    const headers = this.createHeaders(options.headers);
     const body = options.body ? JSON.stringify(options.body) : undefined;
+    const timeout = options.timeout || this.timeout;
+    const { signal } = options;
+    
+    if (signal?.aborted) {
+      throw OpenRouterError.abortError();
+    }
+    
+    const keyEntry = this.keyPool ? this.keyPool.select({ user: options.body?.user }) : null;
+    if (this.keyPool && !keyEntry) {
+      throw OpenRouterError.rateLimitError(
+        'All API keys are cooling down',
+        Math.ceil(this.keyPool.getNextAvailableDelay() / 1000)
+      );
+    }
+    const headers = this.createHeaders(options.headers, keyEntry ? keyEntry.key : this.apiKey);
     
-    // Create AbortController for timeout
+    // Create AbortController for timeout and caller cancellation
     const controller = new AbortController();
     const timeoutId = setTimeout(() => {
       controller.abort();
-    }, options.timeout || this.timeout);
+    }, timeout);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    const unlinkSignal = () => signal?.removeEventListener('abort', onAbort);
+    let keepLinked = false;
     
     const requestOptions = {
       method,
@@ -90,25 +666,43 @@ export class OpenRouter {
     };
     
     try {
-      const response = await fetch(url, requestOptions);
+      const response = await this.transport(url, requestOptions);
       
-      // Handle non-OK responses
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new OpenRouterError(
+      // Handle non-OK responses; 304 answers a conditional request
+      if (!response.ok && !(response.status === 304 && options.acceptNotModified)) {
+        const errorData = (await response.json().catch(() => null)) || {};
+        const retryAfter = parseRetryAfterHeader(response.headers?.get('retry-after'));
+        if (retryAfter !== null && errorData.retryAfter === undefined) {
+          errorData.retryAfter = retryAfter;
+        }
+        
+        const error = new OpenRouterError(
           errorData.error?.message || `OpenRouter API error: ${response.status} ${response.statusText}`,
           response.status,
           errorData
         );
+        
+        if (keyEntry) {
+          errorData.keyRotated = this.keyPool.recordError(keyEntry, error, getRetryAfterDelay(error));
+        }
+        
+        throw error;
+      }
+      
+      if (options.stream) {
+        keepLinked = true;
+        return handleResponse(response, unlinkSignal);
       }
       
-      // Parse and return response data
-      const data = await response.json();
-      return data;
+      return await handleResponse(response);
     } catch (error) {
+      if (signal?.aborted) {
+        throw OpenRouterError.abortError();
+      }
+      
       if (error.name === 'AbortError') {
         throw new OpenRouterError(
-          `OpenRouter request timed out after ${this.timeout}ms`,
+          `OpenRouter request timed out after ${timeout}ms`,
           408,
           { originalError: error }
         );
@@ -126,130 +720,499 @@ export class OpenRouter {
       );
     } finally {
       clearTimeout(timeoutId);
+      if (!keepLinked) {
+        unlinkSignal();
+      }
+    }
+  }
+
+  /**
+   * Read parsed chunks from a streaming response body
+   * 
+   * @param {ReadableStream} body - Response body
+   * @param {AbortSignal} signal - Caller's abort signal, if any
+   * @param {Function} unlinkSignal - Detaches the caller's signal from the connection
+   * @returns {AsyncGenerator<Object>} Parsed chat completion chunks
+   * @private
+   */
+  async *_readStream(body, signal, unlinkSignal) {
+    try {
+      yield* parseChatCompletionStream(body);
+    } catch (error) {
+      if (signal?.aborted) {
+        throw OpenRouterError.abortError('Stream was aborted');
+      }
+      
+      if (error instanceof OpenRouterError) {
+        throw error;
+      }
+      
+      throw new OpenRouterError(
+        `OpenRouter stream failed: ${error.message}`,
+        0,
+        { originalError: error }
+      );
+    } finally {
+      unlinkSignal();
     }
   }
 
   /**
    * List available models
    * 
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Signal to cancel the request
+   * @param {Array<Interceptor>} options.interceptors - Interceptors for this call only
    * @returns {Promise<Object>} List of available models
    */
-  async listModels() {
-    return this.request('/models');
+  async listModels(options = {}) {
+    return this.request('/models', options);
+  }
+
+  /**
+   * Fetch the model list, sending an ETag for a conditional refresh
+   * 
+   * @param {Object} options - Request options
+   * @param {string} options.etag - ETag of the list already held, if any
+   * @param {AbortSignal} options.signal - Signal to cancel the request
+   * @returns {Promise<{data: Array<Object>, etag: string|null}|{notModified: true}>} New list, or notModified
+   */
+  async fetchModelList({ etag, signal } = {}) {
+    return this._intercept('/models', {
+      signal,
+      headers: etag ? { 'If-None-Match': etag } : {},
+      acceptNotModified: true
+    }, readModelList);
+  }
+
+  /**
+   * Look up a model in the model catalog
+   * 
+   * @param {string} modelId - Model ID
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Signal to cancel loading the catalog
+   * @returns {Promise<Object|null>} Model entry, or null if the model is not listed
+   */
+  async getModelInfo(modelId, options = {}) {
+    await this.catalog.load({ signal: options.signal });
+    return this.catalog.get(modelId);
+  }
+
+  /**
+   * Check whether a chat request fits in its model's context window
+   * 
+   * Prompt tokens are estimated locally; `max_tokens` (or
+   * `options.reserveOutput`) is kept free for the reply.
+   * 
+   * @param {Object} params - Chat completion parameters including `model` and `messages`
+   * @param {Object} options - Options
+   * @param {number} options.reserveOutput - Tokens to keep free for the reply
+   * @param {AbortSignal} options.signal - Signal to cancel loading the model list
+   * @returns {Promise<{fits: boolean, promptTokens: number, contextLength: number, reserveOutput: number,
+   *   availableOutputTokens: number}|null>} Fit result, or null if the model's context length is unknown
+   */
+  async checkContextWindow(params, options = {}) {
+    const body = { ...this.defaultParams, ...params };
+    const model = await this.getModelInfo(body.model, options);
+    if (!model?.context_length) {
+      return null;
+    }
+    
+    return fitsContext(body, model.context_length, { reserveOutput: options.reserveOutput });
+  }
+
+  /**
+   * Ask OpenRouter to report usage and cost when `includeUsage` is set
+   * 
+   * @param {Object} body - Chat completion body
+   * @returns {Object} Body, with `usage: { include: true }` unless it sets `usage` itself
+   * @private
+   */
+  _withUsage(body) {
+    return this.includeUsage && body.usage === undefined
+      ? { ...body, usage: { include: true } }
+      : body;
+  }
+
+  /**
+   * Work out what a call cost
+   * 
+   * Uses `usage.cost` when OpenRouter reported it, otherwise the catalog
+   * pricing of the model that answered. The catalog is only fetched when
+   * there is no reported cost to fall back on.
+   * 
+   * @param {Object} context - Request context
+   * @param {Object} usage - Usage reported for the call
+   * @param {string} modelId - Model that answered, if reported
+   * @returns {Promise<Object|null>} Cost as returned by calculateCost
+   * @private
+   */
+  async _priceCall(context, usage, modelId) {
+    let model = null;
+    
+    if (typeof usage.cost !== 'number' || this.catalog.models.length > 0) {
+      try {
+        await this.catalog.load({ signal: context.signal });
+        const id = [modelId, context.body?.model].map(candidate => this.catalog.resolve(candidate)).find(Boolean);
+        model = id ? this.catalog.get(id) : null;
+      } catch (error) {
+        // Price what we can without the catalog
+      }
+    }
+    
+    return calculateCost(model, usage, { images: countRequestImages(context.body) });
+  }
+
+  /**
+   * Fail early if a request sends input its models cannot accept
+   * 
+   * Only requests with image, audio or file parts are checked. Models that
+   * are not listed (such as `openrouter/auto`) and failures to load the
+   * model list are let through.
+   * 
+   * @param {Object} body - Chat completion request body
+   * @param {Object} options - Request options
+   * @throws {OpenRouterError} Validation error naming the unsupported input
+   */
+  async _checkModalities(body, options) {
+    if (!this.checkModalities) {
+      return;
+    }
+    
+    const needsCheck = getRequiredModalities(body.messages).some(modality => modality !== 'text');
+    const modelIds = [body.model, ...(body.models || [])].filter(Boolean);
+    if (!needsCheck || modelIds.length === 0) {
+      return;
+    }
+    
+    let models;
+    try {
+      models = await Promise.all(modelIds.map(id => this.getModelInfo(id, options)));
+    } catch (error) {
+      return;
+    }
+    
+    models.filter(Boolean).forEach(model => assertModelSupportsMessages(model, body.messages));
+  }
+
+  /**
+   * List the provider endpoints serving a model
+   * 
+   * @param {string} modelId - Model ID in `author/slug` form
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Signal to cancel the request
+   * @returns {Promise<{id: string, name: string, endpoints: Array<Object>}>} Model with its endpoints,
+   *   each carrying provider_name, context_length, pricing, quantization and supported_parameters
+   */
+  async listModelEndpoints(modelId, options = {}) {
+    const [author, ...slug] = String(modelId || '').split('/');
+    if (!author || slug.length === 0) {
+      throw OpenRouterError.validationError('Model ID must be in author/slug form', 'modelId');
+    }
+    
+    const path = `/models/${encodeURIComponent(author)}/${slug.map(encodeURIComponent).join('/')}/endpoints`;
+    const response = await this.request(path, options);
+    return response.data;
+  }
+
+  /**
+   * Get limits and usage for the current API key
+   * 
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Signal to cancel the request
+   * @returns {Promise<{label: string, limit: number|null, usage: number, limit_remaining: number|null,
+   *   is_free_tier: boolean, rate_limit: {requests: number, interval: string}}>} Key information (amounts in USD)
+   */
+  async getKeyInfo(options = {}) {
+    const response = await this.request('/key', options);
+    return response.data;
+  }
+
+  /**
+   * Get the account's purchased credits and total usage
+   * 
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Signal to cancel the request
+   * @returns {Promise<{total_credits: number, total_usage: number}>} Credit totals in USD
+   */
+  async getCredits(options = {}) {
+    const response = await this.request('/credits', options);
+    return response.data;
+  }
+
+  /**
+   * Get stats for a completed generation
+   * 
+   * Stats become available shortly after a generation finishes; until then
+   * the API answers with 404.
+   * 
+   * @param {string} id - Generation ID (the `id` of a chat completion response)
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Signal to cancel the request
+   * @returns {Promise<{id: string, model: string, provider_name: string, total_cost: number,
+   *   tokens_prompt: number, tokens_completion: number, native_tokens_prompt: number,
+   *   native_tokens_completion: number, latency: number, generation_time: number,
+   *   finish_reason: string}>} Generation stats (cost in USD)
+   */
+  async getGeneration(id, options = {}) {
+    if (!id) {
+      throw OpenRouterError.validationError('Generation ID is required', 'id');
+    }
+    
+    const response = await this.request(`/generation?id=${encodeURIComponent(id)}`, options);
+    return response.data;
   }
 
   /**
    * Create a chat completion
    * 
    * @param {Object} params - Chat completion parameters
-   * @returns {Promise<Object>} Chat completion response
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Signal to cancel the request
+   * @param {Array<Interceptor>} options.interceptors - Interceptors for this call only
+   * @param {Object} options.headers - Additional headers for this call
+   * @param {boolean} options.cache - true to cache even when sampling is non-deterministic, false to skip the cache
+   * @returns {Promise<Object>} Chat completion response, with `cache` set to 'hit', 'miss' or 'bypass'
+   *   and `cost` in USD (zero for cache hits, null when the model's pricing is unknown)
    */
-  async createChatCompletion(params) {
-    const body = {
+  async createChatCompletion(params, options = {}) {
+    const body = this._withUsage({
       ...this.defaultParams,
       ...params
-    };
+    });
+    
+    await this._checkModalities(body, options);
+    
+    // Only temperature 0 is deterministic; an omitted temperature uses the provider default
+    const cacheable = this.cache && options.cache !== false &&
+      (options.cache === true || body.temperature === 0);
+    
+    if (!cacheable) {
+      this.cacheStats.bypassed++;
+      const response = await this.request('/chat/completions', {
+        ...options,
+        method: 'POST',
+        body
+      });
+      return { ...response, cache: 'bypass' };
+    }
+    
+    const key = createCacheKey('chat', body);
+    const cached = this.cache.get(key);
+    if (cached) {
+      this.cacheStats.hits++;
+      return this._interceptCacheHit('/chat/completions', { ...options, method: 'POST', body }, {
+        ...structuredClone(cached),
+        cost: zeroCost(),
+        cache: 'hit'
+      });
+    }
     
-    return this.request('/chat/completions', {
+    this.cacheStats.misses++;
+    const response = await this.request('/chat/completions', {
+      ...options,
       method: 'POST',
       body
     });
+    this.cache.set(key, structuredClone(response));
+    
+    return { ...response, cache: 'miss' };
+  }
+
+  /**
+   * Create a chat completion whose output is validated against a JSON Schema
+   * 
+   * Sends a `json_schema` response format and, when the output does not
+   * parse or validate, re-asks the model with the validation errors.
+   * 
+   * @param {Object} params - Chat completion parameters
+   * @param {Object} schema - JSON Schema the output must match
+   * @param {Object} options - Request options, plus:
+   * @param {string} options.name - Schema name sent to the model
+   * @param {boolean} options.strict - Ask the provider to enforce the schema (default true)
+   * @param {number} options.maxRepairs - How many times to re-ask after invalid output (default 2)
+   * @returns {Promise<{data: any, response: Object, attempts: number}>} Validated data and the final response
+   * @throws {OpenRouterError} With code `schema_validation_error` and `data.errors` if no attempt matched
+   */
+  async createStructured(params, schema, options = {}) {
+    const { name, strict, maxRepairs, ...requestOptions } = options;
+    
+    return StructuredOutput.generate(
+      completionParams => this.createChatCompletion(completionParams, requestOptions),
+      params,
+      schema,
+      { name, strict, maxRepairs }
+    );
+  }
+
+  /**
+   * Stream a chat completion that must match a JSON Schema
+   * 
+   * Yields `{ type: 'partial', value }` as the object grows and
+   * `{ type: 'complete', value, usage }` once the validated object is done.
+   * 
+   * @param {Object} params - Chat completion parameters
+   * @param {Object} schema - JSON Schema the output must match
+   * @param {Object} options - Structured output options (`name`, `strict`) plus request options
+   * @returns {Promise<AsyncGenerator<Object>>} Partial and complete events
+   */
+  async streamStructured(params, schema, options = {}) {
+    const { name, strict, ...requestOptions } = options;
+    
+    return StructuredOutput.stream(
+      streamParams => this.createChatCompletionStream(streamParams, requestOptions),
+      params,
+      schema,
+      { name, strict }
+    );
   }
 
   /**
    * Create a streaming chat completion
    * 
+   * The returned iterable yields parsed `chat.completion.chunk` objects and
+   * completes when the server sends `[DONE]`. Errors reported mid-stream are
+   * thrown from the iterator as OpenRouterError instances.
+   * 
+   * Aborting `options.signal` cancels the upstream generation, including
+   * while the stream is being read.
+   * 
    * @param {Object} params - Chat completion parameters
-   * @returns {Promise<ReadableStream>} Stream of chat completion chunks
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Signal to cancel the request
+   * @param {Array<Interceptor>} options.interceptors - Interceptors for this call only
+   * @param {Object} options.headers - Additional headers for this call
+   * @returns {Promise<AsyncIterable<Object>>} Stream of chat completion chunks
    */
-  async createChatCompletionStream(params) {
-    const body = {
+  async createChatCompletionStream(params, options = {}) {
+    const body = this._withUsage({
       ...this.defaultParams,
       ...params,
       stream: true
-    };
-    
-    const url = `${this.baseUrl}/chat/completions`;
-    const headers = this.createHeaders();
+    });
     
-    // Create AbortController for timeout
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => {
-      controller.abort();
-    }, this.timeout);
+    await this._checkModalities(body, options);
     
-    try {
-      const response = await fetch(url, {
-        method: 'POST',
-        headers,
-        body: JSON.stringify(body),
-        signal: controller.signal
-      });
-      
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new OpenRouterError(
-          errorData.error?.message || `OpenRouter API error: ${response.status} ${response.statusText}`,
-          response.status,
-          errorData
-        );
-      }
-      
-      return response.body;
-    } catch (error) {
-      if (error.name === 'AbortError') {
-        throw new OpenRouterError(
-          `OpenRouter streaming request timed out after ${this.timeout}ms`,
-          408,
-          { originalError: error }
-        );
-      }
-      
-      if (error instanceof OpenRouterError) {
-        throw error;
+    // Only establishing the connection is retried; the timeout stops
+    // applying once the response headers have arrived
+    return this._intercept('/chat/completions', {
+      ...options,
+      method: 'POST',
+      body,
+      stream: true
+    }, (response, unlinkSignal) => Object.assign(this._readStream(response.body, options.signal, unlinkSignal), {
+      // Releases the connection of a stream that is dropped before it is read
+      cancel: async () => {
+        unlinkSignal();
+        try {
+          await response.body?.cancel?.();
+        } catch (error) {
+          // The connection is already gone
+        }
       }
-      
-      throw new OpenRouterError(
-        `OpenRouter streaming request failed: ${error.message}`,
-        0,
-        { originalError: error }
-      );
-    } finally {
-      clearTimeout(timeoutId);
-    }
+    }));
   }
 
   /**
    * Create embeddings
    * 
    * @param {Object} params - Embedding parameters
-   * @returns {Promise<Object>} Embedding response
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Signal to cancel the request
+   * @param {Array<Interceptor>} options.interceptors - Interceptors for this call only
+   * @param {boolean} options.cache - false to skip the cache
+   * @returns {Promise<Object>} Embedding response, with `cache` set to 'hit', 'partial', 'miss' or 'bypass'
+   *   and `cost` in USD for the inputs that were not cached
    */
-  async createEmbeddings(params) {
+  async createEmbeddings(params, options = {}) {
     const body = {
       ...this.defaultParams,
       ...params
     };
     
-    return this.request('/embeddings', {
-      method: 'POST',
-      body
-    });
+    if (!this.cache || options.cache === false) {
+      this.cacheStats.bypassed++;
+      const response = await this.request('/embeddings', {
+        ...options,
+        method: 'POST',
+        body
+      });
+      return { ...response, cache: 'bypass' };
+    }
+    
+    // Embeddings are cached per input item so overlapping batches share entries
+    const { input, ...rest } = body;
+    const isBatch = Array.isArray(input);
+    const inputs = isBatch ? input : [input];
+    const keys = inputs.map(item => createCacheKey('embedding', { ...rest, input: item }));
+    const embeddings = keys.map(key => this.cache.get(key));
+    const missing = embeddings
+      .map((embedding, index) => (embedding === null ? index : -1))
+      .filter(index => index !== -1);
+    
+    this.cacheStats.hits += inputs.length - missing.length;
+    this.cacheStats.misses += missing.length;
+    
+    let response = null;
+    if (missing.length > 0) {
+      response = await this.request('/embeddings', {
+        ...options,
+        method: 'POST',
+        body: {
+          ...rest,
+          input: isBatch ? missing.map(index => inputs[index]) : input
+        }
+      });
+      
+      response.data.forEach(item => {
+        const index = missing[item.index];
+        embeddings[index] = item.embedding;
+        this.cache.set(keys[index], item.embedding);
+      });
+    }
+    
+    let cache = 'partial';
+    if (missing.length === 0) {
+      cache = 'hit';
+    } else if (missing.length === inputs.length) {
+      cache = 'miss';
+    }
+    
+    const result = {
+      object: 'list',
+      ...(response || {}),
+      model: response?.model ?? body.model,
+      data: embeddings.map((embedding, index) => ({
+        object: 'embedding',
+        embedding: embedding.slice(),
+        index
+      })),
+      usage: response?.usage ?? { prompt_tokens: 0, total_tokens: 0 },
+      cost: response ? response.cost ?? null : zeroCost(),
+      cache
+    };
+    
+    // A partial hit already went through the interceptors with its request
+    return response ? result : this._interceptCacheHit('/embeddings', { ...options, method: 'POST', body }, result);
   }
 
   /**
    * Create an image
    * 
    * @param {Object} params - Image generation parameters
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Signal to cancel the request
+   * @param {Array<Interceptor>} options.interceptors - Interceptors for this call only
    * @returns {Promise<Object>} Image generation response
    */
-  async createImage(params) {
+  async createImage(params, options = {}) {
     const body = {
       ...this.defaultParams,
       ...params
     };
     
     return this.request('/images/generations', {
+      ...options,
       method: 'POST',
       body
     });
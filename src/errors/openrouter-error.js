@@ -145,6 +145,90 @@ export class OpenRouterError extends Error {
       }
     });
   }
+
+  /**
+   * Create an error for a request cancelled by the caller
+   * 
+   * Uses the non-standard 499 (Client Closed Request) status so that
+   * aborted requests are never mistaken for retryable network failures.
+   * 
+   * @param {string} message - Error message
+   * @returns {OpenRouterError} New error instance
+   */
+  static abortError(message = 'Request was aborted') {
+    return new OpenRouterError(message, 499, {
+      error: {
+        code: 'request_aborted',
+        message,
+        param: null,
+        type: 'abort_error'
+      }
+    });
+  }
+
+  /**
+   * Create an error for a structured output that does not match its schema
+   * 
+   * @param {string} message - Error message
+   * @param {Array<{path: string, keyword: string, message: string}>} errors - Schema validation errors
+   * @param {Object} details - Additional context, such as the raw content and last response
+   * @returns {OpenRouterError} New error instance
+   */
+  static schemaValidationError(message = 'Output does not match schema', errors = [], details = {}) {
+    return new OpenRouterError(message, 422, {
+      error: {
+        code: 'schema_validation_error',
+        message,
+        param: errors[0]?.path || null,
+        type: 'validation_error'
+      },
+      errors,
+      ...details
+    });
+  }
+
+  /**
+   * Create an error for a request rejected because it would overspend a budget
+   * 
+   * Raised before the request is sent, so nothing has been charged.
+   * 
+   * @param {string} message - Error message
+   * @param {Object} details - Budget ID, scope, subject, window, spent, reserved, limit and estimate
+   * @returns {OpenRouterError} New error instance
+   */
+  static budgetExceededError(message = 'Budget exceeded', details = {}) {
+    return new OpenRouterError(message, 402, {
+      error: {
+        code: 'budget_exceeded',
+        message,
+        param: null,
+        type: 'budget_error'
+      },
+      ...details
+    });
+  }
+
+  /**
+   * Create an error for a request refused because its circuit is open
+   * 
+   * Raised before the request is sent, while the provider or model is
+   * considered unhealthy.
+   * 
+   * @param {string} message - Error message
+   * @param {Object} details - Circuit key, state and when the next probe is allowed
+   * @returns {OpenRouterError} New error instance
+   */
+  static circuitOpenError(message = 'Circuit is open', details = {}) {
+    return new OpenRouterError(message, 503, {
+      error: {
+        code: 'circuit_open',
+        message,
+        param: null,
+        type: 'circuit_error'
+      },
+      ...details
+    });
+  }
 }
 
 export default OpenRouterError;
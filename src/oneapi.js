@@ -6,6 +6,18 @@
  */
 
 import { OpenRouter } from './core/open-router.js';
+import { RequestThrottler } from './utils/request-throttler.js';
+import { BudgetManager } from './utils/budget-manager.js';
+import { accumulateStream } from './utils/stream-accumulator.js';
+import { StructuredOutput } from './utils/structured-output.js';
+import { countRequestTokens, countTextTokens } from './utils/token-counter.js';
+import { calculateCost, countRequestImages } from './utils/cost.js';
+import { runWithFallback, DEFAULT_FALLBACK_MODELS } from './utils/fallback.js';
+import { raceStreams } from './utils/request-race.js';
+import { CircuitBreaker } from './utils/circuit-breaker.js';
+import { HealthProber } from './utils/health-probe.js';
+import { ProviderRouting } from './utils/provider-routing.js';
+import { Logger } from './utils/logger.js';
 import { OpenAIProvider } from './providers/openai.js';
 import { AnthropicProvider } from './providers/anthropic.js';
 import { GeminiProvider } from './providers/google-gemini.js';
@@ -30,21 +42,23 @@ class OneAPI {
    * @param {Object} config - Configuration options
    */
   constructor(config = {}) {
-    // Safely access environment variables in Node.js or use empty string in browser
-    const env = typeof process !== 'undefined' && process.env ? process.env : {};
+    // Client-side limits shared by every outbound OpenRouter call
+    this.throttler = new RequestThrottler(getThrottleConfig(config));
+    
+    // Spending budgets checked before every outbound OpenRouter call
+    this.budgets = new BudgetManager(getBudgetConfig(config));
+    
+    // Health of providers and models, so calls skip unhealthy targets
+    this.circuits = new CircuitBreaker(config.circuitBreaker || {});
+    
+    // Models tried when a call's preferred model fails
+    this.fallback = getFallbackConfig(config);
     
     // Initialize OpenRouter with API key
-    this.openRouter = new OpenRouter({
-      apiKey: config.openRouterApiKey || env.OPENROUTER_API_KEY || '',
-      defaultModel: config.defaultModel || 'openai/gpt-3.5-turbo',
-      timeout: config.timeout || 30000,
-      maxRetries: config.maxRetries || 3,
-      logLevel: config.logLevel || 'info',
-      enableCaching: config.enableCaching !== false,
-      cacheTTL: config.cacheTTL || 60 * 60 * 1000, // Default 1 hour
-      rateLimitRPM: config.rateLimitRPM || 0,
-      headers: config.headers || {}
-    });
+    this.openRouter = createOpenRouterClient(this, config);
+    
+    // Live provider availability, probed on demand and cached briefly
+    this.health = createHealthProber(this, config);
     
     // Initialize provider mapping layers with oneAPI reference
     this.providers = {
@@ -94,15 +108,22 @@ class OneAPI {
     // Keep track of the current provider being used
     this.currentProvider = null;
     
+    // Debug output for tracked metrics and retries, shown with logLevel 'debug'
+    this.logger = new Logger(config.logLevel || 'info');
+    
     // Initialize metrics
     this.metrics = {
       totalRequests: 0,
       inputTokens: 0,
       outputTokens: 0,
       totalTime: 0,
+      totalCost: 0,
+      retries: 0,
       operations: [],
       errors: [],
-      providers: {}
+      providers: {},
+      costs: { models: {}, providers: {}, users: {}, sessions: {} },
+      races: createRaceMetrics()
     };
   }
 
@@ -143,15 +164,40 @@ class OneAPI {
   /**
    * Track a metric for an operation
    * @param {Object} metric - Metric data for the operation
+   * @param {number} metric.cost - Cost of the operation in USD
+   * @param {string} metric.userId - User the operation is attributed to
+   * @param {string} metric.sessionId - Session the operation is attributed to
+   * @param {boolean} metric.cached - Whether the response was served from the cache
    */
   trackMetric(metric) {
     // Increment total metrics
     this.metrics.totalRequests++;
     const inputTokens = metric.tokenUsage?.input || 0;
     const outputTokens = metric.tokenUsage?.output || 0;
+    const cost = metric.cost || 0;
     this.metrics.inputTokens += inputTokens;
     this.metrics.outputTokens += outputTokens;
     this.metrics.totalTime += metric.processingTime || 0;
+    this.metrics.totalCost += cost;
+    
+    // Break costs down by model, provider, user and session
+    if (cost > 0) {
+      const { costs } = this.metrics;
+      [
+        [costs.models, metric.model],
+        [costs.providers, metric.provider],
+        [costs.users, metric.userId],
+        [costs.sessions, metric.sessionId]
+      ].forEach(([totals, key]) => {
+        if (key) {
+          totals[key] = totals[key] || { requests: 0, cost: 0, inputTokens: 0, outputTokens: 0 };
+          totals[key].requests++;
+          totals[key].cost += cost;
+          totals[key].inputTokens += inputTokens;
+          totals[key].outputTokens += outputTokens;
+        }
+      });
+    }
     
     // Track provider-specific metrics
     const provider = metric.provider;
@@ -162,11 +208,14 @@ class OneAPI {
           inputTokens: 0,
           outputTokens: 0,
           totalTime: 0,
-          errors: 0
+          cost: 0,
+          errors: 0,
+          retries: 0
         };
       }
       
       this.metrics.providers[provider].requests++;
+      this.metrics.providers[provider].cost += cost;
       this.metrics.providers[provider].inputTokens += inputTokens;
       this.metrics.providers[provider].outputTokens += outputTokens;
       this.metrics.providers[provider].totalTime += metric.processingTime || 0;
@@ -187,8 +236,11 @@ class OneAPI {
       details: {
         inputTokens,
         outputTokens,
+        cost,
         processingTime: metric.processingTime || 0,
-        prompt: metric.prompt || null
+        prompt: metric.prompt || null,
+        generationId: metric.generationId || null,
+        cached: !!metric.cached
       }
     };
     
@@ -216,12 +268,79 @@ class OneAPI {
       }
     }
     
-    // Log the metric for debugging
-    console.debug(`Tracked metric for ${provider}/${metric.model}: ${inputTokens} in, ${outputTokens} out`);
+    this.logger.debug(`Tracked metric for ${provider}/${metric.model}: ${inputTokens} in, ${outputTokens} out, $${cost.toFixed(6)}`);
+  }
+  
+  /**
+   * Record a retry attempt made by the OpenRouter client
+   * @param {Object} details - Retry details from the OpenRouter onRetry hook
+   * @param {string} details.endpoint - API endpoint being retried
+   * @param {string} details.model - Model in the request body, if any
+   * @param {number} details.attempt - Retry number (1 for the first retry)
+   * @param {number} details.delay - Delay before the retry in milliseconds
+   * @param {Error} details.error - Error that triggered the retry
+   */
+  trackRetry(details) {
+    this.metrics.retries++;
+    
+    const provider = details.model ? details.model.split('/')[0] : null;
+    if (provider) {
+      if (!this.metrics.providers[provider]) {
+        this.metrics.providers[provider] = {
+          requests: 0,
+          inputTokens: 0,
+          outputTokens: 0,
+          totalTime: 0,
+          cost: 0,
+          errors: 0,
+          retries: 0
+        };
+      }
+      
+      this.metrics.providers[provider].retries = (this.metrics.providers[provider].retries || 0) + 1;
+    }
+    
+    this.logger.debug(`Retry ${details.attempt} for ${details.endpoint} after ${Math.round(details.delay)}ms: ${details.error?.message}`);
+  }
+  
+  /**
+   * Record the outcome of a raced or hedged request
+   * 
+   * The winner's tokens and cost are tracked as a normal request; tokens
+   * and cost spent by cancelled contenders are only counted here.
+   * @param {Object} race - Race report from raceChatCompletion
+   */
+  trackRace(race) {
+    const races = this.metrics.races;
+    races.total++;
+    
+    if (race.winner) {
+      races.wins[race.winner.model] = (races.wins[race.winner.model] || 0) + 1;
+    } else {
+      races.failed++;
+    }
+    
+    race.contenders.filter(contender => contender.wasted).forEach(({ model, wasted }) => {
+      races.wasted.inputTokens += wasted.inputTokens;
+      races.wasted.outputTokens += wasted.outputTokens;
+      races.wasted.cost += wasted.cost;
+      
+      const totals = races.wasted.byModel[model] = races.wasted.byModel[model] ||
+        { cancelled: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+      totals.cancelled++;
+      totals.inputTokens += wasted.inputTokens;
+      totals.outputTokens += wasted.outputTokens;
+      totals.cost += wasted.cost;
+    });
   }
   
   /**
    * Get metrics data for the dashboard
+   * 
+   * Costs are in USD; `costs` breaks them down by model, provider, user and
+   * session, each entry holding requests, cost and token totals. `races`
+   * counts raced requests, their winners by model, and the tokens and cost
+   * wasted on cancelled contenders, which `totalCost` does not include.
    * @returns {Object} Metrics data
    */
   getMetrics() {
@@ -239,7 +358,14 @@ class OneAPI {
         totalRequests: 0,
         inputTokens: 0,
         outputTokens: 0,
+        totalCost: 0,
+        costs: { byModel: {}, byProvider: {}, byUser: {}, bySession: {} },
+        races: this.metrics?.races || createRaceMetrics(),
         avgResponseTime: 0,
+        retries: this.metrics?.retries || 0,
+        cache: this.openRouter.getCacheStats(),
+        throttle: this.throttler.getStats(),
+        keys: this.openRouter.getKeyStats(),
         providers: defaultProviders,
         recentOperations: [],
         errors: []
@@ -263,8 +389,10 @@ class OneAPI {
         requests: data.requests,
         inputTokens: data.inputTokens,
         outputTokens: data.outputTokens,
+        cost: data.cost || 0,
         avgResponseTime: avgProviderResponseTime,
-        successRate: parseFloat(successRate.toFixed(1))
+        successRate: parseFloat(successRate.toFixed(1)),
+        retries: data.retries || 0
       });
     }
     
@@ -277,6 +405,7 @@ class OneAPI {
           requests: 0,
           inputTokens: 0,
           outputTokens: 0,
+          cost: 0,
           avgResponseTime: 0,
           successRate: 100
         });
@@ -287,325 +416,520 @@ class OneAPI {
       totalRequests: this.metrics.totalRequests,
       inputTokens: this.metrics.inputTokens,
       outputTokens: this.metrics.outputTokens,
+      totalCost: this.metrics.totalCost,
+      costs: {
+        byModel: this.metrics.costs.models,
+        byProvider: this.metrics.costs.providers,
+        byUser: this.metrics.costs.users,
+        bySession: this.metrics.costs.sessions
+      },
+      races: this.metrics.races,
       avgResponseTime,
+      retries: this.metrics.retries,
+      cache: this.openRouter.getCacheStats(),
+      throttle: this.throttler.getStats(),
+      keys: this.openRouter.getKeyStats(),
       providers: providersData,
       recentOperations: this.metrics.operations,
       errors: this.metrics.errors
     };
   }
 
+  /**
+   * Add or replace a spending budget
+   * @param {Object} budget - Budget definition: `{ id, scope, key, window, limit, hard, thresholds }`, where scope is
+   *   'global', 'user', 'session' or 'agent', window is 'daily', 'monthly' or 'run', and limit is in USD
+   * @returns {Promise<Object>} Normalized budget
+   */
+  async setBudget(budget) {
+    return this.budgets.setBudget(budget);
+  }
+  
+  /**
+   * Remove a spending budget
+   * @param {string} id - Budget ID
+   * @returns {Promise<boolean>} True if the budget existed
+   */
+  async removeBudget(id) {
+    return this.budgets.removeBudget(id);
+  }
+  
+  /**
+   * Get all budgets with their spend in the current windows
+   * @returns {Promise<Array<Object>>} Budget status
+   */
+  async getBudgets() {
+    return this.budgets.getStatus();
+  }
+
+  /**
+   * Get the state of the provider and model circuit breakers
+   * @returns {Array<Object>} Circuit states with their error and slow call rates
+   */
+  getCircuitStatus() {
+    return this.circuits.getStatus();
+  }
+
+  /**
+   * Probe whether each provider is answering, concurrently
+   * 
+   * Results younger than the probe TTL are reused (and marked `cached`).
+   * @param {Object} options - Probe options
+   * @param {boolean} options.refresh - Probe even if recent results are cached
+   * @param {AbortSignal} options.signal - Signal to stop waiting for the probes
+   * @returns {Promise<Object>} Health by provider ID: `{ available, latency, uptime, error, checkedAt, ... }`
+   */
+  async getProviderHealth(options = {}) {
+    return this.health.checkAll(options);
+  }
+
+  /**
+   * Probe whether one provider is answering
+   * @param {string} provider - Provider ID ('openai', 'anthropic', 'google', 'mistral' or 'together')
+   * @param {Object} options - Probe options, as for getProviderHealth
+   * @returns {Promise<Object>} Provider health
+   */
+  async checkProviderHealth(provider, options = {}) {
+    return this.health.check(provider, options);
+  }
+
+  /**
+   * Model catalog backed by OpenRouter's model list
+   * @returns {ModelCatalog} Model catalog
+   */
+  get catalog() {
+    return this.openRouter.catalog;
+  }
+
   /**
    * Get a list of all available models across all providers
-   * @returns {Array} List of available models
+   * 
+   * Served from the model catalog, which refreshes the list when it is stale.
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Signal to cancel the request
+   * @param {boolean} options.refresh - Refresh the list even if it is fresh
+   * @returns {Promise<{data: Array<Object>}>} List of available models
    */
-  async listModels() {
+  async listModels(options = {}) {
     try {
-      // Get models directly from OpenRouter
-      const models = await this.openRouter.listModels();
-      return models;
+      await this.catalog.load({ force: options.refresh, signal: options.signal });
+      return { data: this.catalog.models };
     } catch (error) {
       console.error('Error fetching models from OpenRouter:', error);
       return { data: [] };
     }
   }
 
+  /**
+   * Find models matching the given filters
+   * @param {Object} filters - Filters as for ModelCatalog.query: provider, inputModalities, outputModalities,
+   *   minContextLength, maxPromptPrice, maxCompletionPrice (USD per million tokens), supportedParameters,
+   *   variant, search, sortBy, order and limit
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Signal to cancel loading the catalog
+   * @returns {Promise<Array<Object>>} Matching models
+   */
+  async queryModels(filters = {}, options = {}) {
+    await this.catalog.load({ signal: options.signal });
+    return this.catalog.query(filters);
+  }
+
+  /**
+   * Get a model's entry from the model list
+   * @param {string} modelId - Model ID
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Signal to cancel the request
+   * @returns {Promise<Object|null>} Model with `context_length`, `pricing` and `architecture`, or null if unknown
+   */
+  async getModelInfo(modelId, options = {}) {
+    try {
+      return await this.openRouter.getModelInfo(modelId, { signal: options.signal });
+    } catch (error) {
+      console.warn(`Could not load model info for ${modelId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get the provider endpoints serving a model
+   * 
+   * Served from the model catalog, which keeps each model's list for a few minutes.
+   * @param {string} modelId - Model ID in author/slug form
+   * @param {Object} options - Request options
+   * @param {boolean} options.refresh - Fetch the list even if a cached one is fresh
+   * @param {AbortSignal} options.signal - Signal to cancel the request
+   * @returns {Promise<Object>} Model with its provider endpoints
+   */
+  async listModelEndpoints(modelId, options = {}) {
+    return this.catalog.getEndpoints(modelId, { force: options.refresh, signal: options.signal });
+  }
+
+  /**
+   * Build provider routing that only reaches the endpoints a predicate accepts
+   * 
+   * The predicate runs here against the model's endpoint list, and the
+   * providers it keeps become the `only` and `order` of the routing.
+   * @param {string} modelId - Model ID in author/slug form
+   * @param {Function} filterFn - `(endpoint) => boolean`, see ProviderRouting.filterProviders
+   * @param {Object} options - Filter options
+   * @param {string} options.rank - Order kept providers by 'price', 'uptime' or 'context' (defaults to the listed order)
+   * @param {boolean} options.allowFallbacks - Whether providers outside the order may serve the request
+   * @param {boolean} options.refresh - Fetch the endpoint list even if a cached one is fresh
+   * @param {AbortSignal} options.signal - Signal to cancel the request
+   * @returns {Promise<Object>} `provider` object for chat completion params
+   */
+  async filterProviders(modelId, filterFn, options = {}) {
+    const { endpoints = [] } = await this.listModelEndpoints(modelId, options);
+    return ProviderRouting.filterProviders(endpoints, filterFn, options).build();
+  }
+
+  /**
+   * Get limits and usage for the configured OpenRouter key
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Signal to cancel the request
+   * @returns {Promise<Object>} Key limits and usage in USD
+   */
+  async getKeyInfo(options = {}) {
+    return this.openRouter.getKeyInfo({ signal: options.signal });
+  }
+
+  /**
+   * Get purchased credits and total usage for the OpenRouter account
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Signal to cancel the request
+   * @returns {Promise<Object>} Credit totals and the remaining balance in USD
+   */
+  async getCredits(options = {}) {
+    const credits = await this.openRouter.getCredits({ signal: options.signal });
+    return {
+      ...credits,
+      remaining: credits.total_credits - credits.total_usage
+    };
+  }
+
+  /**
+   * Get native token counts and cost for a completed generation
+   * @param {string} id - Generation ID
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Signal to cancel the request
+   * @returns {Promise<Object>} Generation stats
+   */
+  async getGeneration(id, options = {}) {
+    return this.openRouter.getGeneration(id, { signal: options.signal });
+  }
+
   /**
    * Create a chat completion
    * @param {Object} options - Chat completion options
-   * @returns {Promise<Object>} Chat completion response
+   * @param {AbortSignal} options.signal - Signal to cancel the request
+   * @param {boolean} options.cache - true to cache even when temperature > 0, false to skip the cache
+   * @param {Object} options.usage - `{ include: true }` to have OpenRouter report the exact cost
+   * @param {string} options.user - End user the request is made for, for key selection and cost metrics
+   * @param {string} options.sessionId - Session the request belongs to, for cost metrics and budgets
+   * @param {string} options.agent - Agent type making the request, for budgets
+   * @param {string} options.runId - Agent run the request belongs to, for per-run budgets
+   * @param {Object} options.metadata - Metadata passed to interceptors (may carry `sessionId`, `userId`, `agent` and `runId`)
+   * @returns {Promise<Object>} Chat completion response, with `cost` in USD
    */
   async createChatCompletion(options) {
-    const startTime = Date.now();
+    // Metrics are recorded by the interceptor registered in createOpenRouterClient
+    return this.openRouter.createChatCompletion({
+      model: options.model,
+      messages: options.messages,
+      temperature: options.temperature ?? 0.7,
+      max_tokens: options.maxTokens || options.max_tokens || 1000,
+      top_p: options.top_p,
+      top_k: options.top_k,
+      stream: false,
+      transforms: options.transforms,
+      additional_stop_sequences: options.additional_stop_sequences,
+      response_format: options.response_format,
+      seed: options.seed,
+      tools: options.tools,
+      tool_choice: options.tool_choice,
+      parallel_tool_calls: options.parallel_tool_calls,
+      frequency_penalty: options.frequency_penalty,
+      presence_penalty: options.presence_penalty,
+      logit_bias: options.logit_bias,
+      repetition_penalty: options.repetition_penalty,
+      top_logprobs: options.top_logprobs,
+      min_p: options.min_p,
+      models: options.models,
+      provider: options.provider,
+      plugins: options.plugins,
+      reasoning: options.reasoning,
+      include_reasoning: options.include_reasoning,
+      usage: options.usage,
+      user: options.user
+    }, { signal: options.signal, cache: options.cache, metadata: requestMetadata(options) });
+  }
+
+  /**
+   * Run a model call with fallback to other models
+   * 
+   * The one place fallback chains are handled: with the 'client' strategy
+   * each model is called in turn, moving on only after rate limits,
+   * timeouts, server or network errors and unavailable models; with the
+   * 'server' strategy the chain goes to OpenRouter as the `models` array.
+   * Models whose circuit is open, and fallback models the loaded catalog
+   * does not list, are skipped.
+   * @param {Object} options - Fallback options
+   * @param {string} options.model - Preferred model
+   * @param {Array<string>} options.fallbackModels - Models to try next (defaults to the configured chain, [] for none)
+   * @param {string} options.fallbackStrategy - 'client' or 'server' (defaults to the configured strategy)
+   * @param {AbortSignal} options.signal - Signal that ends the chain once aborted
+   * @param {Function} options.onFallback - Called with each failed attempt before the next model is tried
+   * @param {Function} attempt - `({ model, models }) => Promise<any>` making the call for a model
+   * @returns {Promise<{result: any, model: string, fallback: Object}>} Call result, the model that
+   *   answered and `{ strategy, models, attempts }` describing the failed attempts
+   */
+  async withFallback(options, attempt) {
+    const catalog = this.catalog;
     
-    try {
-      // Forward request to OpenRouter
-      const response = await this.openRouter.createChatCompletion({
-        model: options.model,
-        messages: options.messages,
-        temperature: options.temperature || 0.7,
-        max_tokens: options.maxTokens || options.max_tokens || 1000,
-        top_p: options.top_p,
-        top_k: options.top_k,
-        stream: false,
-        transforms: options.transforms,
-        additional_stop_sequences: options.additional_stop_sequences,
-        response_format: options.response_format,
-        seed: options.seed,
-        tools: options.tools,
-        tool_choice: options.tool_choice,
-        frequency_penalty: options.frequency_penalty,
-        presence_penalty: options.presence_penalty,
-        logit_bias: options.logit_bias,
-        repetition_penalty: options.repetition_penalty,
-        top_logprobs: options.top_logprobs,
-        min_p: options.min_p,
-        models: options.models,
-        provider: options.provider,
-        plugins: options.plugins,
-        reasoning: options.reasoning,
-        include_reasoning: options.include_reasoning,
-        user: options.user
-      });
-      
-      // Track metrics
-      const endTime = Date.now();
-      const processingTime = endTime - startTime;
-      
-      this.trackMetric({
-        type: 'chat_completion',
-        provider: options.model.split('/')[0],
-        model: options.model,
-        processingTime,
-        tokenUsage: {
-          input: response.usage?.prompt_tokens || 0,
-          output: response.usage?.completion_tokens || 0
-        },
-        status: 'success'
-      });
-      
-      return response;
-    } catch (error) {
-      // Track error metrics
-      const endTime = Date.now();
-      const processingTime = endTime - startTime;
-      
-      this.trackMetric({
-        type: 'chat_completion',
-        provider: options.model.split('/')[0],
-        model: options.model,
-        processingTime,
-        status: 'error',
-        error: {
-          message: error.message,
-          code: error.code || 'unknown'
+    return runWithFallback({
+      model: options.model,
+      fallbackModels: options.fallbackModels ?? this.fallback.fallbackModels,
+      strategy: options.fallbackStrategy || this.fallback.fallbackStrategy,
+      signal: options.signal,
+      unavailable: model => {
+        if (!this.circuits.isAvailable({ model })) {
+          return 'circuit_open';
         }
-      });
-      
-      throw error;
-    }
+        return model !== options.model && catalog.models.length > 0 && !catalog.resolve(model) ? 'not_listed' : null;
+      },
+      onFallback: options.onFallback
+    }, attempt);
   }
 
   /**
-   * Create a streaming chat completion
-   * @param {Object} options - Chat completion options
-   * @returns {AsyncGenerator} Stream of chat completion chunks
+   * Create a chat completion, falling back to other models on transient failures
+   * @param {Object} options - Chat completion options, plus `fallbackModels` and `fallbackStrategy` (see withFallback)
+   * @returns {Promise<Object>} Chat completion response, with `fallback: { model, strategy, models, attempts }`
+   *   naming the model that answered and why earlier models failed
    */
-  async createChatCompletionStream(options) {
-    const startTime = Date.now();
-    let totalOutputTokens = 0;
+  async createChatCompletionWithFallback(options) {
+    const { result, model, fallback } = await this.withFallback(options,
+      params => this.createChatCompletion({ ...options, ...params }));
     
-    try {
-      // Forward request to OpenRouter
-      const stream = this.openRouter.createChatCompletionStream({
-        model: options.model,
-        messages: options.messages,
-        temperature: options.temperature || 0.7,
-        max_tokens: options.maxTokens || options.max_tokens || 1000,
-        top_p: options.top_p,
-        top_k: options.top_k,
-        transforms: options.transforms,
-        additional_stop_sequences: options.additional_stop_sequences,
-        response_format: options.response_format,
-        seed: options.seed,
-        tools: options.tools,
-        tool_choice: options.tool_choice,
-        frequency_penalty: options.frequency_penalty,
-        presence_penalty: options.presence_penalty,
-        logit_bias: options.logit_bias,
-        repetition_penalty: options.repetition_penalty,
-        top_logprobs: options.top_logprobs,
-        min_p: options.min_p,
-        models: options.models,
-        provider: options.provider,
-        plugins: options.plugins,
-        reasoning: options.reasoning,
-        include_reasoning: options.include_reasoning,
-        user: options.user
-      });
-      
-      // Create a wrapper that tracks metrics
-      return {
-        async next() {
-          try {
-            const { value, done } = await stream.next();
-            
-            if (done) {
-              // Track final metrics when stream is done
-              const endTime = Date.now();
-              const processingTime = endTime - startTime;
-              
-              this.trackMetric({
-                type: 'chat_completion_stream',
-                provider: options.model.split('/')[0],
-                model: options.model,
-                processingTime,
-                tokenUsage: {
-                  input: 0, // We don't know prompt tokens from stream
-                  output: totalOutputTokens
-                },
-                status: 'success'
-              });
-              
-              return { done: true, value: undefined };
-            }
-            
-            // Estimate tokens from content
-            if (value.choices?.[0]?.delta?.content) {
-              totalOutputTokens += value.choices[0].delta.content.length / 4;
-            }
-            
-            return { done: false, value };
-          } catch (error) {
-            // Track error metrics
-            const endTime = Date.now();
-            const processingTime = endTime - startTime;
-            
-            this.trackMetric({
-              type: 'chat_completion_stream',
-              provider: options.model.split('/')[0],
-              model: options.model,
-              processingTime,
-              status: 'error',
-              error: {
-                message: error.message,
-                code: error.code || 'unknown'
-              }
-            });
-            
-            throw error;
-          }
-        },
-        
-        [Symbol.asyncIterator]() {
-          return this;
+    return { ...result, fallback: { model, ...fallback } };
+  }
+
+  /**
+   * Send a chat request to several contenders and keep the first good answer
+   * 
+   * Contenders stream in parallel, or with `hedgeDelay` one after another
+   * when the running ones have not produced a first token in time. The
+   * losers are cancelled through their AbortControllers; the tokens they
+   * generated are priced as waste, charged to budgets and recorded in
+   * `getMetrics().races` rather than with the winner's cost.
+   * @param {Object} options - Chat completion options, as for createChatCompletionStream
+   * @param {Array<string|Object>} options.contenders - Models, or option overrides such as
+   *   `{ model, provider }` to race providers (defaults to `model` and the fallback chain)
+   * @param {number} options.hedgeDelay - Milliseconds to wait for a first token before starting the next contender (0 races all at once)
+   * @param {string} options.winOn - 'first-token' (default) or 'complete'
+   * @param {Function} options.accept - `(response) => boolean` rejecting unusable answers
+   * @returns {Promise<Object>} Winning chat completion, with `cost` and `race: { winner, contenders, wasted }`
+   */
+  async raceChatCompletion(options) {
+    const raceId = `race_${Date.now()}_${Math.random().toString(36).substring(2, 10)}`;
+    const contenders = (options.contenders || [options.model, ...this.fallback.fallbackModels])
+      .map(contender => (typeof contender === 'string' ? { model: contender } : contender));
+    
+    const summarize = async (outcome) => {
+      const report = await Promise.all(outcome.contenders.map(async ({ contender, generated, ...entry }) => {
+        const model = contender.model || options.model;
+        let wasted;
+        if (entry.status === 'cancelled') {
+          const usage = {
+            prompt_tokens: countRequestTokens({ model, messages: options.messages, tools: options.tools }),
+            completion_tokens: countTextTokens(generated, model)
+          };
+          const cost = await priceUsage(this, model, options.messages, usage);
+          wasted = { inputTokens: usage.prompt_tokens, outputTokens: usage.completion_tokens, cost: cost?.total ?? 0 };
+          await this.budgets.charge(requestMetadata({ ...options, ...contender }), wasted.cost);
         }
-      };
-    } catch (error) {
-      // Track error metrics for initial setup
-      const endTime = Date.now();
-      const processingTime = endTime - startTime;
+        return { ...entry, model, provider: contender.provider, wasted };
+      }));
       
-      this.trackMetric({
-        type: 'chat_completion_stream',
-        provider: options.model.split('/')[0],
-        model: options.model,
-        processingTime,
-        status: 'error',
-        error: {
-          message: error.message,
-          code: error.code || 'unknown'
-        }
+      const race = {
+        id: raceId,
+        winner: report.find(entry => entry.status === 'won') || null,
+        contenders: report,
+        wasted: report.filter(entry => entry.wasted).reduce((total, { wasted }) => ({
+          inputTokens: total.inputTokens + wasted.inputTokens,
+          outputTokens: total.outputTokens + wasted.outputTokens,
+          cost: total.cost + wasted.cost
+        }), { inputTokens: 0, outputTokens: 0, cost: 0 })
+      };
+      this.trackRace(race);
+      return race;
+    };
+    
+    let outcome;
+    try {
+      outcome = await raceStreams({
+        contenders,
+        hedgeDelay: options.hedgeDelay,
+        winOn: options.winOn,
+        accept: options.accept,
+        signal: options.signal,
+        start: (contender, signal) => this.createChatCompletionStream({
+          ...options,
+          ...contender,
+          signal,
+          metadata: { ...options.metadata, raceId }
+        })
       });
-      
+    } catch (error) {
+      if (error.race) {
+        error.race = await summarize(error.race);
+      }
       throw error;
     }
+    
+    const race = await summarize(outcome);
+    const cost = await priceUsage(this, race.winner.model, options.messages, outcome.response.usage, options.signal);
+    return { ...outcome.response, cost, race };
+  }
+
+  /**
+   * Check whether a chat request will fit in the model's context window
+   * @param {Object} options - Chat completion options (`model`, `messages`, `tools`, `maxTokens`)
+   * @param {AbortSignal} options.signal - Signal to cancel loading the model list
+   * @returns {Promise<Object|null>} `{ fits, promptTokens, contextLength, reserveOutput, availableOutputTokens }`,
+   *   or null if the model's context length is unknown
+   */
+  async checkContextFit(options) {
+    return this.openRouter.checkContextWindow({
+      model: options.model,
+      messages: options.messages,
+      tools: options.tools,
+      max_tokens: options.maxTokens || options.max_tokens
+    }, { signal: options.signal });
+  }
+
+  /**
+   * Create a chat completion whose output is validated against a JSON Schema
+   * @param {Object} options - Chat completion options
+   * @param {Object} schema - JSON Schema the output must match
+   * @param {Object} structuredOptions - Structured output options
+   * @param {string} structuredOptions.name - Schema name sent to the model
+   * @param {boolean} structuredOptions.strict - Ask the provider to enforce the schema
+   * @param {number} structuredOptions.maxRepairs - How many times to re-ask after invalid output
+   * @returns {Promise<{data: any, response: Object, attempts: number}>} Validated data and the final response
+   */
+  async createStructured(options, schema, structuredOptions = {}) {
+    return StructuredOutput.generate(
+      params => this.createChatCompletion(params),
+      options,
+      schema,
+      structuredOptions
+    );
+  }
+
+  /**
+   * Create a streaming chat completion
+   * @param {Object} options - Chat completion options, as for createChatCompletion
+   * @param {AbortSignal} options.signal - Signal to cancel the upstream generation
+   * @returns {Promise<AsyncGenerator>} Stream of chat completion chunks
+   */
+  async createChatCompletionStream(options) {
+    return this.openRouter.createChatCompletionStream({
+      model: options.model,
+      messages: options.messages,
+      temperature: options.temperature ?? 0.7,
+      max_tokens: options.maxTokens || options.max_tokens || 1000,
+      top_p: options.top_p,
+      top_k: options.top_k,
+      transforms: options.transforms,
+      additional_stop_sequences: options.additional_stop_sequences,
+      response_format: options.response_format,
+      seed: options.seed,
+      tools: options.tools,
+      tool_choice: options.tool_choice,
+      parallel_tool_calls: options.parallel_tool_calls,
+      frequency_penalty: options.frequency_penalty,
+      presence_penalty: options.presence_penalty,
+      logit_bias: options.logit_bias,
+      repetition_penalty: options.repetition_penalty,
+      top_logprobs: options.top_logprobs,
+      min_p: options.min_p,
+      models: options.models,
+      provider: options.provider,
+      plugins: options.plugins,
+      reasoning: options.reasoning,
+      include_reasoning: options.include_reasoning,
+      usage: options.usage,
+      user: options.user
+    }, { signal: options.signal, metadata: requestMetadata(options) });
+  }
+
+  /**
+   * Stream a chat completion as content and complete tool call events
+   * 
+   * Tool call fragments are reassembled and emitted once each call is
+   * complete, with its arguments parsed. The final event carries the
+   * synthesized non-streaming response.
+   * @param {Object} options - Chat completion options, as for createChatCompletionStream
+   * @returns {Promise<AsyncGenerator<Object>>} Events of type 'content', 'reasoning', 'tool_call' and finally 'done'
+   */
+  async streamChatCompletion(options) {
+    const stream = await this.createChatCompletionStream(options);
+    return accumulateStream(stream);
+  }
+
+  /**
+   * Stream a structured completion as progressively complete objects
+   * 
+   * Unterminated strings, arrays and objects are closed on the fly so
+   * fields can be shown as they arrive; the final object is validated.
+   * @param {Object} options - Chat completion options, as for createChatCompletionStream
+   * @param {Object} schema - JSON Schema the output must match
+   * @param {Object} structuredOptions - Structured output options (`name`, `strict`)
+   * @returns {Promise<AsyncGenerator<Object>>} Events of type 'partial' and finally 'complete'
+   */
+  async streamStructured(options, schema, structuredOptions = {}) {
+    return StructuredOutput.stream(
+      params => this.createChatCompletionStream(params),
+      options,
+      schema,
+      structuredOptions
+    );
   }
 
   /**
    * Generate embeddings for text
    * @param {Object} options - Embedding options
-   * @returns {Promise<Object>} Embedding response
+   * @param {AbortSignal} options.signal - Signal to cancel the request
+   * @param {boolean} options.cache - false to skip the cache
+   * @param {string} options.user - End user the request is made for, for cost metrics
+   * @param {string} options.sessionId - Session the request belongs to, for cost metrics
+   * @returns {Promise<Object>} Embedding response, with `cost` in USD
    */
   async createEmbedding(options) {
-    const startTime = Date.now();
-    
-    try {
-      // Forward request to OpenRouter
-      const response = await this.openRouter.createEmbedding({
-        model: options.model,
-        input: options.input
-      });
-      
-      // Track metrics
-      const endTime = Date.now();
-      const processingTime = endTime - startTime;
-      
-      this.trackMetric({
-        type: 'embedding',
-        provider: options.model.split('/')[0],
-        model: options.model,
-        processingTime,
-        tokenUsage: {
-          input: response.usage?.prompt_tokens || 0,
-          output: 0
-        },
-        status: 'success'
-      });
-      
-      return response;
-    } catch (error) {
-      // Track error metrics
-      const endTime = Date.now();
-      const processingTime = endTime - startTime;
-      
-      this.trackMetric({
-        type: 'embedding',
-        provider: options.model.split('/')[0],
-        model: options.model,
-        processingTime,
-        status: 'error',
-        error: {
-          message: error.message,
-          code: error.code || 'unknown'
-        }
-      });
-      
-      throw error;
-    }
+    return this.openRouter.createEmbeddings({
+      model: options.model,
+      input: options.input,
+      user: options.user
+    }, { signal: options.signal, cache: options.cache, metadata: requestMetadata(options) });
   }
 
   /**
    * Generate images using AI
    * @param {Object} options - Image generation options
+   * @param {AbortSignal} options.signal - Signal to cancel the request
    * @returns {Promise<Object>} Image generation response
    */
   async createImage(options) {
-    const startTime = Date.now();
-    
-    try {
-      // Forward request to OpenRouter
-      const response = await this.openRouter.createImage({
-        model: options.model,
-        prompt: options.prompt,
-        n: options.n || 1,
-        size: options.size || '1024x1024',
-        quality: options.quality,
-        style: options.style,
-        response_format: options.response_format
-      });
-      
-      // Track metrics
-      const endTime = Date.now();
-      const processingTime = endTime - startTime;
-      
-      this.trackMetric({
-        type: 'image_generation',
-        provider: options.model.split('/')[0],
-        model: options.model,
-        processingTime,
-        status: 'success'
-      });
-      
-      return response;
-    } catch (error) {
-      // Track error metrics
-      const endTime = Date.now();
-      const processingTime = endTime - startTime;
-      
-      this.trackMetric({
-        type: 'image_generation',
-        provider: options.model.split('/')[0],
-        model: options.model,
-        processingTime,
-        status: 'error',
-        error: {
-          message: error.message,
-          code: error.code || 'unknown'
-        }
-      });
-      
-      throw error;
-    }
+    return this.openRouter.createImage({
+      model: options.model,
+      prompt: options.prompt,
+      n: options.n || 1,
+      size: options.size || '1024x1024',
+      quality: options.quality,
+      style: options.style,
+      response_format: options.response_format
+    }, { signal: options.signal });
   }
 
   /**
@@ -614,52 +938,159 @@ class OneAPI {
    * @returns {Promise<Object>} Transcription response
    */
   async createTranscription(options) {
-    const startTime = Date.now();
+    return this.openRouter.createTranscription({
+      model: options.model,
+      file: options.file,
+      language: options.language,
+      prompt: options.prompt,
+      response_format: options.response_format,
+      temperature: options.temperature,
+      timestamp_granularities: options.timestamp_granularities
+    });
+  }
+
+  /**
+   * Run a chat completion that can call functions from a FunctionWizard
+   * 
+   * Tool calls returned by the model are executed (with parameter
+   * validation) and their results sent back as `tool` messages until the
+   * model produces a final answer or `maxIterations` completions have run.
+   * Failed tool calls are reported to the model as `{ "error": ... }` so it
+   * can correct itself.
+   * 
+   * @param {Object} options - Chat completion options plus:
+   * @param {FunctionWizard} options.wizard - Registry of callable functions
+   * @param {Array<string>} options.functions - Names of the functions to offer (defaults to all)
+   * @param {number} options.maxIterations - Maximum number of completions (default 5)
+   * @param {boolean} options.parallelToolCalls - Allow and execute several tool calls per turn concurrently (default true)
+   * @param {string|Object} options.tool_choice - Tool choice for the first completion (default 'auto')
+   * @param {AbortSignal} options.signal - Signal to cancel completions and pending tool calls
+   * @returns {Promise<Object>} Result with `content`, final `message`, full `messages`,
+   *   `transcript` of completions and tool executions, `iterations`, `usage` and `completed`
+   */
+  async runWithTools(options) {
+    const {
+      wizard,
+      functions = null,
+      maxIterations = 5,
+      parallelToolCalls = true,
+      tool_choice: toolChoice = 'auto',
+      signal,
+      ...completionOptions
+    } = options;
     
-    try {
-      // Forward request to OpenRouter
-      const response = await this.openRouter.createTranscription({
-        model: options.model,
-        file: options.file,
-        language: options.language,
-        prompt: options.prompt,
-        response_format: options.response_format,
-        temperature: options.temperature,
-        timestamp_granularities: options.timestamp_granularities
+    if (!wizard || typeof wizard.toTools !== 'function') {
+      throw new Error('runWithTools requires a FunctionWizard instance');
+    }
+    
+    const tools = wizard.toTools(functions);
+    const messages = [...(completionOptions.messages || [])];
+    const transcript = [];
+    const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+    let message = null;
+    
+    const executeToolCall = async (toolCall, iteration) => {
+      const startTime = Date.now();
+      const entry = {
+        type: 'tool',
+        iteration,
+        toolCallId: toolCall.id,
+        name: toolCall.function?.name,
+        arguments: null,
+        result: null,
+        error: null
+      };
+      
+      try {
+        if (signal?.aborted) {
+          throw new Error('Tool execution was aborted');
+        }
+        
+        entry.arguments = toolCall.function?.arguments ? JSON.parse(toolCall.function.arguments) : {};
+        entry.result = await wizard.execute(entry.name, entry.arguments);
+      } catch (error) {
+        entry.error = error.message;
+      }
+      
+      entry.duration = Date.now() - startTime;
+      transcript.push(entry);
+      
+      let content;
+      if (entry.error) {
+        content = JSON.stringify({ error: entry.error });
+      } else {
+        content = typeof entry.result === 'string' ? entry.result : JSON.stringify(entry.result ?? null);
+      }
+      
+      return {
+        role: 'tool',
+        tool_call_id: toolCall.id,
+        content
+      };
+    };
+    
+    for (let iteration = 1; iteration <= maxIterations; iteration++) {
+      const response = await this.createChatCompletion({
+        ...completionOptions,
+        messages,
+        tools,
+        // Let the model answer freely once it has seen tool results
+        tool_choice: iteration === 1 ? toolChoice : 'auto',
+        parallel_tool_calls: parallelToolCalls,
+        signal
       });
       
-      // Track metrics
-      const endTime = Date.now();
-      const processingTime = endTime - startTime;
+      usage.prompt_tokens += response.usage?.prompt_tokens || 0;
+      usage.completion_tokens += response.usage?.completion_tokens || 0;
+      usage.total_tokens += response.usage?.total_tokens || 0;
       
-      this.trackMetric({
-        type: 'transcription',
-        provider: options.model.split('/')[0],
-        model: options.model,
-        processingTime,
-        status: 'success'
+      message = response.choices?.[0]?.message || { role: 'assistant', content: null };
+      messages.push(message);
+      transcript.push({
+        type: 'completion',
+        iteration,
+        id: response.id,
+        model: response.model,
+        message,
+        finishReason: response.choices?.[0]?.finish_reason
       });
       
-      return response;
-    } catch (error) {
-      // Track error metrics
-      const endTime = Date.now();
-      const processingTime = endTime - startTime;
+      const toolCalls = message.tool_calls || [];
+      if (toolCalls.length === 0) {
+        return {
+          content: message.content,
+          message,
+          messages,
+          transcript,
+          iterations: iteration,
+          usage,
+          completed: true
+        };
+      }
       
-      this.trackMetric({
-        type: 'transcription',
-        provider: options.model.split('/')[0],
-        model: options.model,
-        processingTime,
-        status: 'error',
-        error: {
-          message: error.message,
-          code: error.code || 'unknown'
+      let toolMessages;
+      if (parallelToolCalls) {
+        toolMessages = await Promise.all(toolCalls.map(toolCall => executeToolCall(toolCall, iteration)));
+      } else {
+        toolMessages = [];
+        for (const toolCall of toolCalls) {
+          toolMessages.push(await executeToolCall(toolCall, iteration));
         }
-      });
+      }
       
-      throw error;
+      messages.push(...toolMessages);
     }
+    
+    // The model was still calling tools when the iteration budget ran out
+    return {
+      content: message?.content ?? null,
+      message,
+      messages,
+      transcript,
+      iterations: maxIterations,
+      usage,
+      completed: false
+    };
   }
 
   /**
@@ -708,8 +1139,8 @@ class OneAPI {
    * @returns {Promise<Object>} Research results
    */
   async researchAgent(options) {
-    const { topic, depth = 3, format = 'summary' } = options;
-    return this.agents.research.execute({ topic, depth, format });
+    const { topic, depth = 3, format = 'summary', signal } = options;
+    return this.agents.research.execute({ topic, depth, format, signal });
   }
   
   /**
@@ -718,8 +1149,8 @@ class OneAPI {
    * @returns {Promise<Object>} Analysis results
    */
   async analysisAgent(options) {
-    const { data, metrics, visualize = false } = options;
-    return this.agents.analysis.execute({ data, metrics, visualize });
+    const { data, metrics, visualize = false, signal } = options;
+    return this.agents.analysis.execute({ data, metrics, visualize, signal });
   }
   
   /**
@@ -728,8 +1159,8 @@ class OneAPI {
    * @returns {Promise<Object>} Chat response
    */
   async chatAgent(options) {
-    const { message, context = '', personality = 'helpful' } = options;
-    return this.agents.chat.execute({ message, context, personality });
+    const { message, context = '', personality = 'helpful', signal } = options;
+    return this.agents.chat.execute({ message, context, personality, signal });
   }
   
   /**
@@ -738,8 +1169,8 @@ class OneAPI {
    * @returns {Promise<Object>} Automation results
    */
   async automationAgent(options) {
-    const { tasks, dependencies = {}, parallel = false } = options;
-    return this.agents.automation.execute({ tasks, dependencies, parallel });
+    const { tasks, dependencies = {}, parallel = false, signal } = options;
+    return this.agents.automation.execute({ tasks, dependencies, parallel, signal });
   }
   
   /**
@@ -748,8 +1179,8 @@ class OneAPI {
    * @returns {Promise<Object>} Learning agent results
    */
   async learningAgent(options) {
-    const { input, feedback = '', modelPath = '' } = options;
-    return this.agents.learning.execute({ input, feedback, modelPath });
+    const { input, feedback = '', modelPath = '', signal } = options;
+    return this.agents.learning.execute({ input, feedback, modelPath, signal });
   }
   
   /**
@@ -773,6 +1204,309 @@ class OneAPI {
   }
 }
 
+/**
+ * Metric types recorded for each OpenRouter endpoint
+ */
+const METRIC_TYPES = {
+  '/chat/completions': 'chat_completion',
+  '/embeddings': 'embedding',
+  '/images/generations': 'image_generation'
+};
+
+/**
+ * Build the interceptor metadata for a OneAPI call
+ * @param {Object} options - OneAPI call options
+ * @returns {Object} Caller metadata plus the session and user the call is attributed to
+ */
+function requestMetadata(options) {
+  return {
+    ...(options.metadata || {}),
+    sessionId: options.sessionId ?? options.metadata?.sessionId,
+    userId: options.user ?? options.metadata?.userId,
+    agent: options.agent ?? options.metadata?.agent,
+    runId: options.runId ?? options.metadata?.runId
+  };
+}
+
+/**
+ * Estimate what a call will cost before it is sent
+ * 
+ * Counts the prompt and assumes the reply uses all of `max_tokens`, so the
+ * estimate errs high. Calls to models without known pricing are estimated
+ * at zero.
+ * @param {OneAPI} oneAPI - OneAPI instance whose catalog supplies pricing
+ * @param {Object} context - Request context
+ * @returns {Promise<number>} Estimated cost in USD
+ */
+async function estimateCallCost(oneAPI, context) {
+  const body = context.body || {};
+  const cost = await priceUsage(oneAPI, body.model, body.messages, {
+    prompt_tokens: countRequestTokens(body),
+    completion_tokens: body.max_tokens || body.max_completion_tokens || 0
+  }, context.signal);
+  return cost?.total ?? 0;
+}
+
+/**
+ * Price token usage with the catalog pricing of a model
+ * 
+ * The catalog is only loaded when OpenRouter did not report the cost.
+ * @param {OneAPI} oneAPI - OneAPI instance whose catalog supplies pricing
+ * @param {string} model - Model ID
+ * @param {Array<Object>} messages - Request messages, for image pricing
+ * @param {Object} usage - Token usage
+ * @param {AbortSignal} signal - Signal to cancel loading the catalog
+ * @returns {Promise<Object|null>} Cost as returned by calculateCost
+ */
+async function priceUsage(oneAPI, model, messages, usage, signal) {
+  const catalog = oneAPI.catalog;
+  if (typeof usage?.cost !== 'number') {
+    try {
+      await catalog.load({ signal });
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  return calculateCost(catalog.get(catalog.resolve(model)), usage, { images: countRequestImages({ messages }) });
+}
+
+/**
+ * Create empty race metrics
+ * @returns {Object} Race counters, winners by model and wasted tokens and cost
+ */
+function createRaceMetrics() {
+  return {
+    total: 0,
+    failed: 0,
+    wins: {},
+    wasted: { inputTokens: 0, outputTokens: 0, cost: 0, byModel: {} }
+  };
+}
+
+/**
+ * Create an interceptor that records OneAPI metrics for OpenRouter calls
+ * @param {OneAPI} oneAPI - OneAPI instance that receives the metrics
+ * @returns {Object} OpenRouter interceptor
+ */
+function createMetricsInterceptor(oneAPI) {
+  const baseMetric = (context) => {
+    const model = context.body?.model;
+    const type = METRIC_TYPES[context.endpoint];
+    
+    return {
+      type: context.stream ? `${type}_stream` : type,
+      provider: model ? model.split('/')[0] : undefined,
+      model,
+      userId: context.metadata.userId ?? context.body?.user,
+      sessionId: context.metadata.sessionId,
+      processingTime: Date.now() - context.startTime
+    };
+  };
+  
+  return {
+    onStreamChunk(context, chunk) {
+      // Keep the streamed text to count output tokens if the provider does not report usage
+      const content = chunk.choices?.[0]?.delta?.content;
+      if (content) {
+        context.metadata.streamedContent = (context.metadata.streamedContent || '') + content;
+      }
+    },
+    
+    afterResponse(context, response) {
+      if (!METRIC_TYPES[context.endpoint]) {
+        return;
+      }
+      
+      // Cache hits are counted as requests, but no tokens were processed
+      const tokenUsage = context.cached ? { input: 0, output: 0 } : {
+        input: response.usage?.prompt_tokens ?? (context.stream ? countRequestTokens(context.body) : 0),
+        output: response.usage?.completion_tokens ?? countTextTokens(context.metadata.streamedContent, context.body?.model)
+      };
+      
+      // Streams without reported usage are priced from the estimated tokens
+      const cost = response.cost ?? (response.usage ? null : calculateCost(
+        oneAPI.catalog.get(oneAPI.catalog.resolve(context.body?.model)),
+        { prompt_tokens: tokenUsage.input, completion_tokens: tokenUsage.output },
+        { images: countRequestImages(context.body) }
+      ));
+      
+      oneAPI.trackMetric({
+        ...baseMetric(context),
+        tokenUsage,
+        cost: cost?.total ?? 0,
+        generationId: response.id,
+        cached: !!context.cached,
+        status: 'success'
+      });
+    },
+    
+    onError(context, error) {
+      // Cancelled race contenders are recorded as waste by raceChatCompletion
+      if (!METRIC_TYPES[context.endpoint] || (context.metadata.raceId && error.code === 'request_aborted')) {
+        return;
+      }
+      
+      oneAPI.trackMetric({
+        ...baseMetric(context),
+        status: 'error',
+        error: {
+          message: error.message,
+          code: error.code || 'unknown'
+        }
+      });
+    }
+  };
+}
+
+/**
+ * Build the throttle configuration for a OneAPI instance
+ * @param {Object} config - OneAPI configuration options
+ * @param {number} config.rateLimitRPM - Global requests per minute
+ * @param {Object} config.throttle - RequestThrottler options (requestsPerMinute, tokensPerMinute,
+ *   maxConcurrent, and per-provider or per-model limits under `providers` and `models`)
+ * @returns {Object} RequestThrottler options
+ */
+function getThrottleConfig(config) {
+  return {
+    requestsPerMinute: config.rateLimitRPM || 0,
+    ...(config.throttle || {})
+  };
+}
+
+/**
+ * Build the budget configuration for a OneAPI instance
+ * @param {Object} config - OneAPI configuration options
+ * @param {Array<Object>} config.budgets - Budget definitions (see BudgetManager)
+ * @param {string} config.budgetPath - File budgets and spend are persisted to (Node only)
+ * @param {Function} config.onBudgetThreshold - Called when spend crosses a soft threshold or a limit
+ * @returns {Object} BudgetManager options
+ */
+function getBudgetConfig(config) {
+  // Safely access environment variables in Node.js or use empty string in browser
+  const env = typeof process !== 'undefined' && process.env ? process.env : {};
+  
+  return {
+    budgets: config.budgets || [],
+    persistPath: config.budgetPath || env.OPENROUTER_BUDGET_FILE || null,
+    onThreshold: config.onBudgetThreshold || null
+  };
+}
+
+/**
+ * Build the fallback configuration for a OneAPI instance
+ * @param {Object} config - OneAPI configuration options
+ * @param {Array<string>} config.fallbackModels - Models tried, in order, when the preferred model fails
+ * @param {string} config.fallbackStrategy - 'client' or 'server' (see runWithFallback)
+ * @returns {{fallbackModels: Array<string>, fallbackStrategy: string}} Fallback options
+ */
+function getFallbackConfig(config) {
+  return {
+    fallbackModels: config.fallbackModels || DEFAULT_FALLBACK_MODELS,
+    fallbackStrategy: config.fallbackStrategy || 'client'
+  };
+}
+
+/**
+ * Find the cheapest text model a provider serves, for health probes
+ * 
+ * The cheapest few models by the target's author are checked in price
+ * order, since an author's models are not all served by its own provider.
+ * @param {OneAPI} oneAPI - OneAPI instance whose catalog is searched
+ * @param {Object} target - Probe target (`author` and upstream `provider`)
+ * @param {Object} options - Lookup options
+ * @param {AbortSignal} options.signal - Signal to cancel the lookup
+ * @returns {Promise<string|null>} Model ID, or null if none was found
+ */
+async function findProbeModel(oneAPI, target, { signal }) {
+  await oneAPI.catalog.load({ signal });
+  const candidates = oneAPI.catalog.query({
+    provider: target.author,
+    outputModalities: ['text'],
+    variant: null,
+    sortBy: 'price',
+    limit: 5
+  });
+  
+  for (const candidate of candidates) {
+    const { endpoints = [] } = await oneAPI.catalog.getEndpoints(candidate.id, { signal });
+    if (endpoints.some(endpoint => endpoint.provider_name === target.provider)) {
+      return candidate.id;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Create the provider health prober for a OneAPI instance
+ * 
+ * Completion probes go through the OneAPI client, so they are budgeted and
+ * their outcome counts towards the provider's circuit.
+ * @param {OneAPI} oneAPI - OneAPI instance whose client sends the probes
+ * @param {Object} config - OneAPI configuration options
+ * @param {Object} config.healthProbe - `{ method, ttl, timeout, minUptime, targets }` (see HealthProber)
+ * @returns {HealthProber} Health prober
+ */
+function createHealthProber(oneAPI, config) {
+  const env = typeof process !== 'undefined' && process.env ? process.env : {};
+  
+  return new HealthProber({
+    method: env.HEALTH_PROBE_METHOD || undefined,
+    ...config.healthProbe,
+    listEndpoints: (model, { signal }) => oneAPI.openRouter.listModelEndpoints(model, { signal }),
+    resolveModel: (target, { signal }) => findProbeModel(oneAPI, target, { signal }),
+    complete: (body, { signal }) => oneAPI.openRouter.createChatCompletion(body, {
+      signal,
+      cache: false,
+      metadata: { healthProbe: true }
+    })
+  });
+}
+
+/**
+ * Create the OpenRouter client used by a OneAPI instance
+ * @param {OneAPI} oneAPI - OneAPI instance that receives client events
+ * @param {Object} config - OneAPI configuration options
+ * @returns {OpenRouter} Configured OpenRouter client
+ */
+function createOpenRouterClient(oneAPI, config) {
+  // Safely access environment variables in Node.js or use empty string in browser
+  const env = typeof process !== 'undefined' && process.env ? process.env : {};
+  
+  return new OpenRouter({
+    apiKey: config.openRouterApiKey || env.OPENROUTER_API_KEY || '',
+    apiKeys: config.openRouterApiKeys || (env.OPENROUTER_API_KEYS ? env.OPENROUTER_API_KEYS.split(',').map(key => key.trim()) : undefined),
+    keyStrategy: config.keyStrategy,
+    keyCooldown: config.keyCooldown,
+    defaultModel: config.defaultModel || 'openai/gpt-3.5-turbo',
+    timeout: config.timeout || 30000,
+    maxRetries: config.maxRetries ?? 3,
+    retry: config.retry,
+    onRetry: (details) => oneAPI.trackRetry(details),
+    transport: config.transport,
+    interceptors: [
+      oneAPI.budgets.createInterceptor(context => estimateCallCost(oneAPI, context), Object.keys(METRIC_TYPES)),
+      oneAPI.throttler.createInterceptor(Object.keys(METRIC_TYPES)),
+      oneAPI.circuits.createInterceptor(Object.keys(METRIC_TYPES)),
+      createMetricsInterceptor(oneAPI),
+      ...(config.interceptors || [])
+    ],
+    appUrl: config.appUrl,
+    appName: config.appName,
+    logLevel: config.logLevel || 'info',
+    enableCaching: config.enableCaching !== false,
+    cacheTTL: config.cacheTTL || 60 * 60 * 1000, // Default 1 hour
+    cacheMaxEntries: config.cacheMaxEntries,
+    checkModalities: config.checkModalities,
+    includeUsage: config.includeUsage,
+    modelCachePath: config.modelCachePath || env.OPENROUTER_MODEL_CACHE || null,
+    modelCacheTTL: config.modelCacheTTL,
+    endpointCacheTTL: config.endpointCacheTTL,
+    headers: config.headers || {}
+  });
+}
+
 // Singleton instance
 let instance = null;
 
@@ -788,20 +1522,29 @@ export function getOneAPI(config = {}) {
     // If configuration provided, update the existing instance
     console.log('Updating OneAPI instance with new configuration');
     
+    // Apply new limits without dropping requests already queued or in flight
+    if (config.throttle || config.rateLimitRPM) {
+      instance.throttler.configure(getThrottleConfig(config));
+    }
+    
+    if (config.logLevel) {
+      instance.logger.setLevel(config.logLevel);
+    }
+    
+    if (config.circuitBreaker) {
+      instance.circuits = new CircuitBreaker(config.circuitBreaker);
+    }
+    
+    if (config.healthProbe) {
+      instance.health = createHealthProber(instance, config);
+    }
+    
+    if (config.fallbackModels || config.fallbackStrategy) {
+      instance.fallback = getFallbackConfig({ ...instance.fallback, ...config });
+    }
+    
     // Create a new OpenRouter instance with updated config
-    const env = typeof process !== 'undefined' && process.env ? process.env : {};
-    
-    instance.openRouter = new OpenRouter({
-      apiKey: config.openRouterApiKey || env.OPENROUTER_API_KEY || '',
-      defaultModel: config.defaultModel || 'openai/gpt-3.5-turbo',
-      timeout: config.timeout || 30000,
-      maxRetries: config.maxRetries || 3,
-      logLevel: config.logLevel || 'info',
-      enableCaching: config.enableCaching !== false,
-      cacheTTL: config.cacheTTL || 60 * 60 * 1000, // Default 1 hour
-      rateLimitRPM: config.rateLimitRPM || 0,
-      headers: config.headers || {}
-    });
+    instance.openRouter = createOpenRouterClient(instance, config);
     
     // Reinitialize providers with their specific configs
     instance.providers = {
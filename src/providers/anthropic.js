@@ -1,47 +1,9 @@
 /**
  * Anthropic Provider Implementation with OneAPI Integration
- * Provides model mapping for routing through OpenRouter
+ * Resolves Claude model names against the OpenRouter model catalog
  */
 
-const MODEL_MAPPING = {
-  // Claude 3.7 models (latest)
-  'anthropic/claude-3-7-opus': 'claude-3-7-opus-20250215',
-  'anthropic/claude-3-7-sonnet': 'claude-3-7-sonnet-20250219',
-  'anthropic/claude-3-7-haiku': 'claude-3-7-haiku-20250513',
-  
-  // Claude 3.5 models
-  'anthropic/claude-3-5-opus': 'claude-3-5-opus-20240620',
-  'anthropic/claude-3-5-sonnet': 'claude-3-5-sonnet-20240620',
-  'anthropic/claude-3-5-haiku': 'claude-3-5-haiku-20240620',
-  
-  // Claude 3.0 models
-  'anthropic/claude-3-opus': 'claude-3-opus-20240229',
-  'anthropic/claude-3-sonnet': 'claude-3-sonnet-20240229',
-  'anthropic/claude-3-haiku': 'claude-3-haiku-20240307',
-  'anthropic/claude-3-opus-beta': 'claude-3-opus-20240229',
-  'anthropic/claude-3-sonnet-beta': 'claude-3-sonnet-20240229',
-  'anthropic/claude-3-haiku-beta': 'claude-3-haiku-20240307',
-
-  // Claude 2 models
-  'anthropic/claude-2': 'claude-2.1',
-  'anthropic/claude-2.1': 'claude-2.1',
-  'anthropic/claude-2.0': 'claude-2.0',
-  'anthropic/claude-instant-1.2': 'claude-instant-1.2',
-
-  // Reversed mappings
-  'claude-3-7-opus-20250215': 'anthropic/claude-3-7-opus',
-  'claude-3-7-sonnet-20250219': 'anthropic/claude-3-7-sonnet',
-  'claude-3-7-haiku-20250513': 'anthropic/claude-3-7-haiku',
-  'claude-3-5-opus-20240620': 'anthropic/claude-3-5-opus',
-  'claude-3-5-sonnet-20240620': 'anthropic/claude-3-5-sonnet',
-  'claude-3-5-haiku-20240620': 'anthropic/claude-3-5-haiku',
-  'claude-3-opus-20240229': 'anthropic/claude-3-opus',
-  'claude-3-sonnet-20240229': 'anthropic/claude-3-sonnet',
-  'claude-3-haiku-20240307': 'anthropic/claude-3-haiku',
-  'claude-2.1': 'anthropic/claude-2',
-  'claude-2.0': 'anthropic/claude-2.0',
-  'claude-instant-1.2': 'anthropic/claude-instant-1.2'
-};
+import { resolveModelId } from '../utils/model-catalog.js';
 
 export class AnthropicProvider {
   constructor(config = {}) {
@@ -54,10 +16,26 @@ export class AnthropicProvider {
     }
   }
 
-  normalizeModel(model) {
+  /**
+   * Resolve a model name to an OpenRouter model ID
+   *
+   * Dated names such as claude-3-5-sonnet-20240620 resolve to their catalog
+   * entry. Names the catalog does not list are sent as given, unless the call
+   * opts in with `modelFallback`: then the newest Claude model matching
+   * `fallback` is used and reported to `onModelFallback`.
+   *
+   * @param {string} model - Model name, with or without the anthropic/ prefix
+   * @param {Object} fallback - Catalog filters for the fallback model
+   * @param {Object} options - Call options
+   * @param {boolean} options.modelFallback - Replace an unlisted model instead of sending it as given
+   * @param {Function} options.onModelFallback - `({ requested, model }) => void`, called when the model is replaced
+   * @returns {Promise<string>} OpenRouter model ID
+   */
+  normalizeModel(model, fallback = null, options = {}) {
     // Remove duplicate anthropic/ prefixes
     const cleaned = model.replace(/^(anthropic\/)+/, '');
-    return MODEL_MAPPING[`anthropic/${cleaned}`] || cleaned;
+    return resolveModelId(this.oneAPI?.catalog, `anthropic/${cleaned}`,
+      fallback && options.modelFallback ? { provider: 'anthropic', ...fallback } : null, options.onModelFallback);
   }
 
   isConfigured() {
@@ -67,23 +45,34 @@ export class AnthropicProvider {
 
   async testConnection() {
     try {
-      if (!this.isConfigured()) {
+      // A direct API key is not enough: the probe goes through OneAPI
+      if (!this.oneAPI) {
         return {
           success: false,
           error: 'Provider not configured - OneAPI instance required'
         };
       }
 
-      // Get list of available models from our MODEL_MAPPING
-      const availableModels = Object.entries(MODEL_MAPPING)
-        .filter(([key]) => key.startsWith('anthropic/'))
-        .map(([key]) => ({
-          id: key,
-          name: key.replace('anthropic/', '')
-        }));
+      // Probe Anthropic itself rather than trusting the catalog
+      const health = await this.oneAPI.checkProviderHealth(this.name, { refresh: true });
+      if (!health.available) {
+        return {
+          success: false,
+          latency: health.latency,
+          error: health.error || 'Anthropic is not answering'
+        };
+      }
+
+      // Get list of available models from the model catalog
+      const models = await this.oneAPI.queryModels({ provider: 'anthropic' });
+      const availableModels = models.map(model => ({
+        id: model.id,
+        name: model.name || model.id.replace('anthropic/', '')
+      }));
 
       return {
         success: true,
+        latency: health.latency,
         models: availableModels
       };
     } catch (error) {
@@ -94,19 +83,19 @@ export class AnthropicProvider {
     }
   }
 
-  createChatCompletion(params) {
+  async createChatCompletion(params) {
     // Forward to OpenRouter through OneAPI
     return this.oneAPI.createChatCompletion({
       ...params,
-      model: `anthropic/${this.normalizeModel(params.model)}` // Ensure proper model prefix
+      model: await this.normalizeModel(params.model, { outputModalities: ['text'] }, params)
     });
   }
 
-  createChatCompletionStream(params) {
+  async createChatCompletionStream(params) {
     // Forward to OpenRouter through OneAPI
     return this.oneAPI.createChatCompletionStream({
       ...params,
-      model: `anthropic/${this.normalizeModel(params.model)}` // Ensure proper model prefix
+      model: await this.normalizeModel(params.model, { outputModalities: ['text'] }, params)
     });
   }
 }
@@ -1,29 +1,9 @@
 /**
  * Google Gemini Provider Implementation
- * Provides model mapping for routing through OpenRouter
+ * Resolves Gemini model names against the OpenRouter model catalog
  */
 
-const MODEL_MAPPING = {
-  // Gemini models
-  'google/gemini-pro': 'gemini-pro',
-  'google/gemini-pro-vision': 'gemini-pro-vision',
-  'google/gemini-1.5-pro': 'gemini-1.5-pro',
-  'google/gemini-1.5-flash': 'gemini-1.5-flash',
-  'google/gemini-1.5-pro-vision': 'gemini-1.5-pro-vision',
-  'google/gemini-1.0-pro': 'gemini-1.0-pro',
-  'google/gemini-2.0-flash': 'gemini-2.0-flash',
-  'google/gemini-2.0-flash-lite': 'gemini-2.0-flash-lite',
-  
-  // Reversed mappings
-  'gemini-pro': 'google/gemini-pro',
-  'gemini-pro-vision': 'google/gemini-pro-vision',
-  'gemini-1.5-pro': 'google/gemini-1.5-pro',
-  'gemini-1.5-flash': 'google/gemini-1.5-flash',
-  'gemini-1.5-pro-vision': 'google/gemini-1.5-pro-vision',
-  'gemini-1.0-pro': 'google/gemini-1.0-pro',
-  'gemini-2.0-flash': 'google/gemini-2.0-flash',
-  'gemini-2.0-flash-lite': 'google/gemini-2.0-flash-lite'
-};
+import { resolveModelId } from '../utils/model-catalog.js';
 
 export class GeminiProvider {
   constructor() {
@@ -35,10 +15,26 @@ export class GeminiProvider {
     };
   }
 
-  normalizeModel(model) {
+  /**
+   * Resolve a model name to an OpenRouter model ID
+   *
+   * Names resolve to their catalog entry. Names the catalog does not list
+   * are sent as given, unless the call opts in with `modelFallback`: then the
+   * newest Gemini model matching `fallback` is used and reported to
+   * `onModelFallback`.
+   *
+   * @param {string} model - Model name, with or without the google/ prefix
+   * @param {Object} fallback - Catalog filters for the fallback model
+   * @param {Object} options - Call options
+   * @param {boolean} options.modelFallback - Replace an unlisted model instead of sending it as given
+   * @param {Function} options.onModelFallback - `({ requested, model }) => void`, called when the model is replaced
+   * @returns {Promise<string>} OpenRouter model ID
+   */
+  normalizeModel(model, fallback = null, options = {}) {
     // Remove duplicate google/ prefixes
     const cleaned = model.replace(/^(google\/)+/, '');
-    return MODEL_MAPPING[`google/${cleaned}`] || cleaned;
+    return resolveModelId(this.oneAPI?.catalog, `google/${cleaned}`,
+      fallback && options.modelFallback ? { provider: 'google', ...fallback } : null, options.onModelFallback);
   }
 
   isConfigured() {
@@ -46,19 +42,19 @@ export class GeminiProvider {
     return !!this.oneAPI;
   }
 
-  createChatCompletion(params) {
+  async createChatCompletion(params) {
     // Forward to OpenRouter through OneAPI
     return this.oneAPI.createChatCompletion({
       ...params,
-      model: `google/${params.model || this.preferredModels.chat}` // Ensure proper model prefix
+      model: await this.normalizeModel(params.model || this.preferredModels.chat, { outputModalities: ['text'] }, params)
     });
   }
 
-  createChatCompletionStream(params) {
+  async createChatCompletionStream(params) {
     // Forward to OpenRouter through OneAPI
     return this.oneAPI.createChatCompletionStream({
       ...params,
-      model: `google/${params.model || this.preferredModels.chat}` // Ensure proper model prefix
+      model: await this.normalizeModel(params.model || this.preferredModels.chat, { outputModalities: ['text'] }, params)
     });
   }
 
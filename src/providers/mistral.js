@@ -1,33 +1,9 @@
 /**
  * Mistral Provider Implementation
- * Provides model mapping for routing through OpenRouter
+ * Resolves Mistral model names against the OpenRouter model catalog
  */
 
-const MODEL_MAPPING = {
-  // Mistral models
-  'mistral/mistral-tiny': 'mistral-tiny',
-  'mistral/mistral-small': 'mistral-small',
-  'mistral/mistral-medium': 'mistral-medium',
-  'mistral/mistral-large': 'mistral-large',
-  'mistral/mistral-large-2': 'mistral-large-2',
-  'mistral/mistral-nemo': 'mistral-nemo',
-  'mistral/codestral': 'codestral',
-  'mistral/mixtral-8x7b': 'mixtral-8x7b-instruct',
-  'mistral/saba': 'mistral-saba',
-  'mistral/skyfall-36b-v2': 'thedrummer-skyfall-36b-v2',
-  
-  // Reversed mappings
-  'mistral-tiny': 'mistral/mistral-tiny',
-  'mistral-small': 'mistral/mistral-small',
-  'mistral-medium': 'mistral/mistral-medium',
-  'mistral-large': 'mistral/mistral-large',
-  'mistral-large-2': 'mistral/mistral-large-2',
-  'mistral-nemo': 'mistral/mistral-nemo',
-  'codestral': 'mistral/codestral',
-  'mixtral-8x7b-instruct': 'mistral/mixtral-8x7b',
-  'mistral-saba': 'mistral/saba',
-  'thedrummer-skyfall-36b-v2': 'mistral/skyfall-36b-v2'
-};
+import { resolveModelId } from '../utils/model-catalog.js';
 
 export class MistralProvider {
   constructor() {
@@ -39,10 +15,26 @@ export class MistralProvider {
     };
   }
 
-  normalizeModel(model) {
+  /**
+   * Resolve a model name to an OpenRouter model ID
+   *
+   * Names resolve to their catalog entry under the mistralai author. Names
+   * the catalog does not list are sent as given, unless the call opts in with
+   * `modelFallback`: then the newest Mistral model matching `fallback` is
+   * used and reported to `onModelFallback`.
+   *
+   * @param {string} model - Model name, with or without the mistral/ prefix
+   * @param {Object} fallback - Catalog filters for the fallback model
+   * @param {Object} options - Call options
+   * @param {boolean} options.modelFallback - Replace an unlisted model instead of sending it as given
+   * @param {Function} options.onModelFallback - `({ requested, model }) => void`, called when the model is replaced
+   * @returns {Promise<string>} OpenRouter model ID
+   */
+  normalizeModel(model, fallback = null, options = {}) {
     // Remove duplicate mistral/ prefixes
     const cleaned = model.replace(/^(mistral\/)+/, '');
-    return MODEL_MAPPING[`mistral/${cleaned}`] || cleaned;
+    return resolveModelId(this.oneAPI?.catalog, `mistral/${cleaned}`,
+      fallback && options.modelFallback ? { provider: 'mistralai', ...fallback } : null, options.onModelFallback);
   }
 
   isConfigured() {
@@ -50,27 +42,27 @@ export class MistralProvider {
     return !!this.oneAPI;
   }
 
-  createChatCompletion(params) {
+  async createChatCompletion(params) {
     // Forward to OpenRouter through OneAPI
     return this.oneAPI.createChatCompletion({
       ...params,
-      model: `mistral/${params.model || this.preferredModels.chat}` // Ensure proper model prefix
+      model: await this.normalizeModel(params.model || this.preferredModels.chat, { outputModalities: ['text'] }, params)
     });
   }
 
-  createChatCompletionStream(params) {
+  async createChatCompletionStream(params) {
     // Forward to OpenRouter through OneAPI
     return this.oneAPI.createChatCompletionStream({
       ...params,
-      model: `mistral/${params.model || this.preferredModels.chat}` // Ensure proper model prefix
+      model: await this.normalizeModel(params.model || this.preferredModels.chat, { outputModalities: ['text'] }, params)
     });
   }
 
-  createEmbedding(params) {
+  async createEmbedding(params) {
     // Forward to OpenRouter through OneAPI
     return this.oneAPI.createEmbedding({
       ...params,
-      model: `mistral/${params.model || this.preferredModels.embedding}` // Ensure proper model prefix
+      model: await this.normalizeModel(params.model || this.preferredModels.embedding)
     });
   }
 }
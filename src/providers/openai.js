@@ -1,47 +1,10 @@
 /**
  * OpenAI Provider Implementation
- * Provides model mapping for routing through OpenRouter
+ * Resolves OpenAI model names against the OpenRouter model catalog
  */
 
-const MODEL_MAPPING = {
-  // GPT-4 models
-  'openai/gpt-4o': 'gpt-4o-2024-05-13',
-  'openai/gpt-4o-mini': 'gpt-4o-mini-2024-07-18',
-  'openai/gpt-4-turbo': 'gpt-4-turbo-2024-04-09',
-  'openai/gpt-4-vision': 'gpt-4-vision-preview',
-  'openai/gpt-4': 'gpt-4-0613',
-  
-  // GPT-3.5 models
-  'openai/gpt-3.5-turbo': 'gpt-3.5-turbo-0125',
-  'openai/gpt-3.5-turbo-16k': 'gpt-3.5-turbo-16k-0613',
-  
-  // Embedding models
-  'openai/text-embedding-3-small': 'text-embedding-3-small',
-  'openai/text-embedding-3-large': 'text-embedding-3-large',
-  'openai/text-embedding-ada-002': 'text-embedding-ada-002',
-  
-  // Image models
-  'openai/dall-e-3': 'dall-e-3',
-  'openai/dall-e-2': 'dall-e-2',
-  
-  // Audio models
-  'openai/whisper-1': 'whisper-1',
-  
-  // Reversed mappings
-  'gpt-4o-2024-05-13': 'openai/gpt-4o',
-  'gpt-4o-mini-2024-07-18': 'openai/gpt-4o-mini',
-  'gpt-4-turbo-2024-04-09': 'openai/gpt-4-turbo',
-  'gpt-4-vision-preview': 'openai/gpt-4-vision',
-  'gpt-4-0613': 'openai/gpt-4',
-  'gpt-3.5-turbo-0125': 'openai/gpt-3.5-turbo',
-  'gpt-3.5-turbo-16k-0613': 'openai/gpt-3.5-turbo-16k',
-  'text-embedding-3-small': 'openai/text-embedding-3-small',
-  'text-embedding-3-large': 'openai/text-embedding-3-large',
-  'text-embedding-ada-002': 'openai/text-embedding-ada-002',
-  'dall-e-3': 'openai/dall-e-3',
-  'dall-e-2': 'openai/dall-e-2',
-  'whisper-1': 'openai/whisper-1'
-};
+import { MessageBuilder } from '../utils/message-builder.js';
+import { resolveModelId } from '../utils/model-catalog.js';
 
 export class OpenAIProvider {
   constructor() {
@@ -50,16 +13,32 @@ export class OpenAIProvider {
     this.preferredModels = {
       chat: 'gpt-4o',
       embedding: 'text-embedding-3-small',
-      vision: 'gpt-4-vision',
+      vision: 'gpt-4o',
       image: 'dall-e-3',
       audio: 'whisper-1'
     };
   }
 
-  normalizeModel(model) {
+  /**
+   * Resolve a model name to an OpenRouter model ID
+   *
+   * Dated and legacy names resolve to their catalog entry. Names the catalog
+   * does not list are sent as given, unless the call opts in with
+   * `modelFallback`: then the newest OpenAI model matching `fallback` is used
+   * and reported to `onModelFallback`.
+   *
+   * @param {string} model - Model name, with or without the openai/ prefix
+   * @param {Object} fallback - Catalog filters for the fallback model
+   * @param {Object} options - Call options
+   * @param {boolean} options.modelFallback - Replace an unlisted model instead of sending it as given
+   * @param {Function} options.onModelFallback - `({ requested, model }) => void`, called when the model is replaced
+   * @returns {Promise<string>} OpenRouter model ID
+   */
+  normalizeModel(model, fallback = null, options = {}) {
     // Remove duplicate openai/ prefixes
     const cleaned = model.replace(/^(openai\/)+/, '');
-    return MODEL_MAPPING[`openai/${cleaned}`] || cleaned;
+    return resolveModelId(this.oneAPI?.catalog, `openai/${cleaned}`,
+      fallback && options.modelFallback ? { provider: 'openai', ...fallback } : null, options.onModelFallback);
   }
 
   isConfigured() {
@@ -67,46 +46,46 @@ export class OpenAIProvider {
     return !!this.oneAPI;
   }
 
-  createChatCompletion(params) {
+  async createChatCompletion(params) {
     // Forward to OpenRouter through OneAPI
     return this.oneAPI.createChatCompletion({
       ...params,
-      model: `openai/${params.model || this.preferredModels.chat}` // Ensure proper model prefix
+      model: await this.normalizeModel(params.model || this.preferredModels.chat, { outputModalities: ['text'] }, params)
     });
   }
 
-  createChatCompletionStream(params) {
+  async createChatCompletionStream(params) {
     // Forward to OpenRouter through OneAPI
     return this.oneAPI.createChatCompletionStream({
       ...params,
-      model: `openai/${params.model || this.preferredModels.chat}` // Ensure proper model prefix
+      model: await this.normalizeModel(params.model || this.preferredModels.chat, { outputModalities: ['text'] }, params)
     });
   }
 
-  createEmbedding(params) {
+  async createEmbedding(params) {
     // Forward to OpenRouter through OneAPI
     return this.oneAPI.createEmbedding({
       ...params,
-      model: `openai/${params.model || this.preferredModels.embedding}` // Ensure proper model prefix
+      model: await this.normalizeModel(params.model || this.preferredModels.embedding)
     });
   }
 
-  processImageWithVision(params) {
-    // Prepare messages with image content
+  async processImageWithVision(params) {
+    // Prepare messages with image content; the image may be a path, Buffer, data URL or URL
     const messages = params.messages || [
-      {
-        role: 'user',
-        content: [
-          { type: 'text', text: params.prompt || 'Describe this image in detail.' },
-          { type: 'image_url', image_url: { url: params.imageUrl } }
-        ]
-      }
+      await new MessageBuilder()
+        .text(params.prompt || 'Describe this image in detail.')
+        .image(params.image || params.imageUrl, { detail: params.detail })
+        .build()
     ];
     
     // Forward to OpenRouter through OneAPI
     return this.oneAPI.createChatCompletion({
       ...params,
-      model: `openai/${params.model || this.preferredModels.vision}`, // Ensure proper model prefix
+      model: await this.normalizeModel(params.model || this.preferredModels.vision, {
+        inputModalities: ['image'],
+        outputModalities: ['text']
+      }, params),
       messages
     });
   }
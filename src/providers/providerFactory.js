@@ -22,6 +22,14 @@ export const PROVIDER_TYPES = {
   AUTO: 'auto' // Automatically selects the best provider
 };
 
+// Model authors whose circuits reflect each provider's health
+const PROVIDER_AUTHORS = {
+  [PROVIDER_TYPES.OPENAI]: 'openai',
+  [PROVIDER_TYPES.ANTHROPIC]: 'anthropic',
+  [PROVIDER_TYPES.MISTRAL]: 'mistralai',
+  [PROVIDER_TYPES.GOOGLE]: 'google'
+};
+
 /**
  * Provider Factory class
  */
@@ -92,13 +100,15 @@ export class ProviderFactory {
   
   /**
    * Determine the best default provider based on OneAPI and available credentials
+   * 
+   * Providers whose circuit is open are skipped until a probe succeeds.
    * @private
    */
   _determineDefaultProvider() {
     try {
       // Get provider preference from OneAPI
-      const preferredProvider = this.oneAPI.getPreferredProvider();
-      if (preferredProvider) {
+      const preferredProvider = this.oneAPI.getPreferredProvider?.();
+      if (preferredProvider && this._isProviderHealthy(preferredProvider)) {
         return preferredProvider;
       }
       
@@ -112,20 +122,29 @@ export class ProviderFactory {
       ];
       
       for (const provider of providers) {
-        const config = this.oneAPI.getProviderConfig(provider);
-        if (config && this._isProviderConfigured(provider, config)) {
+        const config = this.oneAPI.getProviderConfig?.(provider);
+        if (config && this._isProviderHealthy(provider) && this._isProviderConfigured(provider, config)) {
           return provider;
         }
       }
       
-      // Default to OpenAI if nothing else is configured
-      return PROVIDER_TYPES.OPENAI;
+      // Default to the first healthy provider if nothing else is configured
+      return providers.find(provider => this._isProviderHealthy(provider)) || PROVIDER_TYPES.OPENAI;
     } catch (error) {
       console.error('Error determining default provider:', error);
       return PROVIDER_TYPES.OPENAI;
     }
   }
   
+  /**
+   * Check if a provider's circuit lets calls through
+   * @private
+   */
+  _isProviderHealthy(providerType) {
+    const author = PROVIDER_AUTHORS[providerType];
+    return !author || !this.oneAPI.circuits || this.oneAPI.circuits.isAvailable({ provider: author });
+  }
+  
   /**
    * Check if a provider is properly configured
    * @private
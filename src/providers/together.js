@@ -1,33 +1,9 @@
 /**
  * Together Provider Implementation
- * Provides model mapping for routing through OpenRouter
+ * Resolves Together model names against the OpenRouter model catalog
  */
 
-const MODEL_MAPPING = {
-  // Together models
-  'together/llama-3-70b-instruct': 'togethercomputer/llama-3-70b-instruct',
-  'together/llama-3-8b-instruct': 'togethercomputer/llama-3-8b-instruct',
-  'together/qwen-72b-chat': 'togethercomputer/qwen-72b-chat',
-  'together/codellama-70b-instruct': 'togethercomputer/codellama-70b-instruct',
-  'together/falcon-180b-chat': 'togethercomputer/falcon-180b-chat',
-  'together/yi-34b-chat': 'togethercomputer/yi-34b-chat',
-  'together/llama-2-70b-chat': 'togethercomputer/llama-2-70b-chat',
-  'together/llama-3.1-tulu-3-405b': 'allenai/tulu-3-405b',
-  'together/qwen2.5-32b-instruct': 'qwen/qwen2.5-32b-instruct',
-  'together/qwq-32b': 'qwen/qwq-32b',
-  
-  // Reversed mappings
-  'togethercomputer/llama-3-70b-instruct': 'together/llama-3-70b-instruct',
-  'togethercomputer/llama-3-8b-instruct': 'together/llama-3-8b-instruct',
-  'togethercomputer/qwen-72b-chat': 'together/qwen-72b-chat',
-  'togethercomputer/codellama-70b-instruct': 'together/codellama-70b-instruct',
-  'togethercomputer/falcon-180b-chat': 'together/falcon-180b-chat',
-  'togethercomputer/yi-34b-chat': 'together/yi-34b-chat',
-  'togethercomputer/llama-2-70b-chat': 'together/llama-2-70b-chat',
-  'allenai/tulu-3-405b': 'together/llama-3.1-tulu-3-405b',
-  'qwen/qwen2.5-32b-instruct': 'together/qwen2.5-32b-instruct',
-  'qwen/qwq-32b': 'together/qwq-32b'
-};
+import { resolveModelId } from '../utils/model-catalog.js';
 
 export class TogetherProvider {
   constructor() {
@@ -39,10 +15,19 @@ export class TogetherProvider {
     };
   }
 
+  /**
+   * Resolve a model name to an OpenRouter model ID
+   *
+   * Together hosts models from many authors, so names resolve to the catalog
+   * entry with a matching slug whatever its author.
+   *
+   * @param {string} model - Model name, with or without the together/ prefix
+   * @returns {Promise<string>} OpenRouter model ID
+   */
   normalizeModel(model) {
     // Remove duplicate together/ prefixes
     const cleaned = model.replace(/^(together\/)+/, '');
-    return MODEL_MAPPING[`together/${cleaned}`] || cleaned;
+    return resolveModelId(this.oneAPI?.catalog, `together/${cleaned}`);
   }
 
   isConfigured() {
@@ -50,27 +35,27 @@ export class TogetherProvider {
     return !!this.oneAPI;
   }
 
-  createChatCompletion(params) {
+  async createChatCompletion(params) {
     // Forward to OpenRouter through OneAPI
     return this.oneAPI.createChatCompletion({
       ...params,
-      model: `together/${params.model || this.preferredModels.chat}` // Ensure proper model prefix
+      model: await this.normalizeModel(params.model || this.preferredModels.chat)
     });
   }
 
-  createChatCompletionStream(params) {
+  async createChatCompletionStream(params) {
     // Forward to OpenRouter through OneAPI
     return this.oneAPI.createChatCompletionStream({
       ...params,
-      model: `together/${params.model || this.preferredModels.chat}` // Ensure proper model prefix
+      model: await this.normalizeModel(params.model || this.preferredModels.chat)
     });
   }
 
-  createEmbedding(params) {
+  async createEmbedding(params) {
     // Forward to OpenRouter through OneAPI
     return this.oneAPI.createEmbedding({
       ...params,
-      model: `together/${params.model || this.preferredModels.embedding}` // Ensure proper model prefix
+      model: await this.normalizeModel(params.model || this.preferredModels.embedding)
     });
   }
 }
@@ -10,13 +10,6 @@ import * as dotenv from 'dotenv';
 // Load environment variables
 dotenv.config();
 
-import { fileURLToPath } from 'url';
-import path from 'path';
-import * as dotenv from 'dotenv';
-
-// Load environment variables
-dotenv.config();
-
 import { fileURLToPath } from 'url';
 import { createProxyMiddleware } from 'http-proxy-middleware';
 import http from 'http';
@@ -27,6 +20,7 @@ import { GeminiProvider } from './providers/google-gemini.js';
 import { MistralProvider } from './providers/mistral.js';
 import { TogetherProvider } from './providers/together.js';
 import { getOneAPI } from './oneapi.js';
+import { createCassetteTransport } from './utils/cassette.js';
 
 // Get the current directory path (ES modules don't have __dirname)
 const __filename = fileURLToPath(import.meta.url);
@@ -57,9 +51,19 @@ const together = new TogetherProvider({
   apiKey: process.env.TOGETHER_API_KEY
 });
 
+// Serve OpenRouter traffic from a cassette when OPENROUTER_CASSETTE is set
+// (OPENROUTER_CASSETTE_MODE: record, replay or auto)
+const openRouterTransport = process.env.OPENROUTER_CASSETTE
+  ? createCassetteTransport({
+      cassettePath: path.resolve(process.env.OPENROUTER_CASSETTE),
+      mode: process.env.OPENROUTER_CASSETTE_MODE || 'auto'
+    })
+  : undefined;
+
 // Initialize OneAPI with all providers
 const oneAPI = getOneAPI({
   openRouterApiKey: process.env.OPENROUTER_API_KEY,
+  transport: openRouterTransport,
   openaiApiKey: process.env.OPENAI_API_KEY,
   anthropicApiKey: process.env.ANTHROPIC_API_KEY,
   googleApiKey: process.env.GOOGLE_API_KEY,
@@ -67,9 +71,28 @@ const oneAPI = getOneAPI({
   togetherApiKey: process.env.TOGETHER_API_KEY
 });
 
+/**
+ * Create an AbortSignal that fires if the client disconnects before the
+ * response has been sent, so upstream generations stop running (and billing)
+ * @param {express.Response} res - Express response object
+ * @returns {AbortSignal} Signal tied to the client connection
+ */
+function abortOnDisconnect(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+  return controller.signal;
+}
+
 // Log API configuration status
 console.log('API Configuration:');
 console.log('- OpenRouter:', process.env.OPENROUTER_API_KEY ? '✓ Configured' : '✗ Not configured');
+if (openRouterTransport) {
+  console.log(`- OpenRouter cassette: ${process.env.OPENROUTER_CASSETTE} (${process.env.OPENROUTER_CASSETTE_MODE || 'auto'})`);
+}
 
 // Middleware
 app.use(express.json());
@@ -406,46 +429,33 @@ app.get('/api/status', async (req, res) => {
     // Get basic status from OneAPI
     let status = oneAPI.checkStatus();
     
-    // Create providers object with detailed status
-    const providers = {
-      openai: { connected: false, available: false },
-      anthropic: { connected: false, available: false },
-      google: { connected: false, available: false },
-      mistral: { connected: false, available: false },
-      together: { connected: false, available: false }
-    };
+    // Probe every provider concurrently; recent results are reused unless ?refresh=true
+    const health = await oneAPI.getProviderHealth({
+      refresh: req.query.refresh === 'true',
+      signal: abortOnDisconnect(res)
+    });
     
-    // For Anthropic, use the enhanced validation to get accurate status
-    if (process.env.ANTHROPIC_API_KEY) {
-      try {
-        // Create an AnthropicProvider with the configured API key
-        const { AnthropicProvider } = await import('./providers/anthropic.js');
-        const anthropicProvider = new AnthropicProvider({
-          apiKey: process.env.ANTHROPIC_API_KEY
-        });
-        
-        // Use the enhanced testConnection method
-        const connectionResult = await anthropicProvider.testConnection();
-        
-        if (connectionResult.success) {
-          providers.anthropic.connected = true;
-          providers.anthropic.available = true;
-          providers.anthropic.models = connectionResult.models || [];
-          console.log(`Anthropic API status check succeeded with ${providers.anthropic.models.length} models`);
-        } else {
-          // Keep track of the error
-          providers.anthropic.error = connectionResult.error;
-          console.log('Anthropic API status check failed:', connectionResult.error);
-        }
-      } catch (err) {
-        console.error('Error checking Anthropic API status:', err);
-        providers.anthropic.error = err.message;
-      }
+    const providers = {};
+    for (const [id, result] of Object.entries(health)) {
+      providers[id] = {
+        connected: result.available,
+        available: result.available,
+        latency: result.latency,
+        uptime: result.uptime,
+        method: result.method,
+        model: result.model,
+        checkedAt: result.checkedAt,
+        cached: result.cached,
+        error: result.error || undefined
+      };
     }
     
     // Add providers to status object
     status.providers = providers;
     
+    // Add circuit breaker state for providers and models
+    status.circuits = oneAPI.getCircuitStatus();
+    
     // Log the enhanced status for debugging
     console.log('Enhanced API Status:', JSON.stringify(status));
     
@@ -511,6 +521,7 @@ app.post('/api/status', async (req, res) => {
           // Create a temporary AnthropicProvider instance with the API key
           const { AnthropicProvider } = await import('./providers/anthropic.js');
           const anthropicProvider = new AnthropicProvider({
+            oneAPI,
             apiKey: keys.anthropicKey
           });
           
@@ -556,6 +567,7 @@ app.post('/api/status', async (req, res) => {
           // Create an AnthropicProvider with the configured environment API key
           const { AnthropicProvider } = await import('./providers/anthropic.js');
           const anthropicProvider = new AnthropicProvider({
+            oneAPI,
             apiKey: process.env.ANTHROPIC_API_KEY
           });
           
@@ -607,6 +619,7 @@ app.post('/api/update-keys', async (req, res) => {
     
         // Reinitialize OneAPI with updated keys
     Object.assign(oneAPI, getOneAPI({
+      transport: openRouterTransport,
       openaiApiKey: process.env.OPENAI_API_KEY,
       anthropicApiKey: process.env.ANTHROPIC_API_KEY,
       googleApiKey: process.env.GOOGLE_API_KEY,
@@ -631,11 +644,35 @@ app.post('/api/update-keys', async (req, res) => {
   }
 });
 
-// API endpoint for models listing
+// API endpoint for models listing; query parameters filter the model catalog
+// (e.g. ?input=image&minContext=100000&maxPromptPrice=5&parameters=tools&sortBy=price)
 app.get('/api/v1/models', async (req, res) => {
   try {
-    const models = await oneAPI.listModels();
-    res.json(models);
+    const { provider, input, output, minContext, maxPromptPrice, maxCompletionPrice,
+      parameters, variant, search, sortBy, order, limit, refresh } = req.query;
+    const list = value => (value ? String(value).split(',') : undefined);
+    const number = value => (value === undefined ? undefined : Number(value));
+    
+    const models = await oneAPI.listModels({ refresh: refresh === 'true', signal: abortOnDisconnect(res) });
+    if (Object.keys(req.query).every(key => key === 'refresh')) {
+      return res.json(models);
+    }
+    
+    const data = oneAPI.catalog.query({
+      provider: list(provider),
+      inputModalities: list(input),
+      outputModalities: list(output),
+      minContextLength: number(minContext),
+      maxPromptPrice: number(maxPromptPrice),
+      maxCompletionPrice: number(maxCompletionPrice),
+      supportedParameters: list(parameters),
+      variant: variant === undefined ? undefined : (variant === 'none' ? null : variant),
+      search,
+      sortBy,
+      order,
+      limit: number(limit)
+    });
+    res.json({ data });
   } catch (error) {
     console.error('Error listing models:', error);
     res.status(500).json({ error: error.message });
@@ -653,7 +690,8 @@ app.post('/api/chat', async (req, res) => {
       messages,
       temperature,
       maxTokens,
-      ...rest
+      ...rest,
+      signal: abortOnDisconnect(res)
     });
     
     res.json(response);
@@ -689,50 +727,44 @@ app.post('/api/chat/stream', async (req, res) => {
     res.setHeader('Cache-Control', 'no-cache');
     res.setHeader('Connection', 'keep-alive');
     
+    // Cancel the upstream generation if the client goes away
+    const signal = abortOnDisconnect(res);
+    
     // Use OneAPI to handle streaming chat completion
-    const streamGenerator = await oneAPI.createChatCompletionStream({
+    const stream = await oneAPI.createChatCompletionStream({
       model,
       messages,
       temperature,
       maxTokens,
-      ...rest
+      ...rest,
+      signal
     });
     
-    // Convert async generator to stream if needed
-    if (streamGenerator[Symbol.asyncIterator]) {
-      // Handle async generator pattern
-      (async () => {
-        try {
-          for await (const chunk of streamGenerator) {
-            const data = JSON.stringify(chunk);
-            res.write(`data: ${data}\n\n`);
-          }
-          res.write('data: [DONE]\n\n');
-          res.end();
-        } catch (streamError) {
-          const errorObj = {
-            error: {
-              message: streamError.message,
-              type: streamError.type || 'server_error',
-              code: streamError.code || 'stream_error',
-              provider: streamError.provider,
-              model: streamError.model,
-              timestamp: new Date().toISOString()
-            }
-          };
-          res.write(`data: ${JSON.stringify(errorObj)}\n\n`);
-          res.end();
+    try {
+      for await (const chunk of stream) {
+        res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+      }
+      res.write('data: [DONE]\n\n');
+      res.end();
+    } catch (streamError) {
+      // Nobody is listening any more
+      if (signal.aborted) {
+        return;
+      }
+      
+      const errorObj = {
+        error: {
+          message: streamError.message,
+          type: streamError.type || 'server_error',
+          code: streamError.code || 'stream_error',
+          provider: streamError.provider,
+          model: streamError.model,
+          timestamp: new Date().toISOString()
         }
-      })();
-    } else {
-      // Handle traditional Node.js stream
-      streamGenerator.pipe(res);
+      };
+      res.write(`data: ${JSON.stringify(errorObj)}\n\n`);
+      res.end();
     }
-    
-    // Handle client disconnect
-    req.on('close', () => {
-      stream.destroy();
-    });
   } catch (error) {
     console.error('Error in streaming chat completion:', error);
     
@@ -780,7 +812,7 @@ app.post('/api/compare', async (req, res) => {
 app.post('/api/agents/research', async (req, res) => {
   try {
     const { topic, depth = 3, format = 'summary' } = req.body;
-    const results = await oneAPI.agents.research.execute({ topic, depth, format });
+    const results = await oneAPI.agents.research.execute({ topic, depth, format, signal: abortOnDisconnect(res) });
     res.json(results);
   } catch (error) {
     console.error('Research Agent error:', error);
@@ -792,7 +824,7 @@ app.post('/api/agents/research', async (req, res) => {
 app.post('/api/agents/analysis', async (req, res) => {
   try {
     const { data, metrics, visualize = false } = req.body;
-    const results = await oneAPI.agents.analysis.execute({ data, metrics, visualize });
+    const results = await oneAPI.agents.analysis.execute({ data, metrics, visualize, signal: abortOnDisconnect(res) });
     res.json(results);
   } catch (error) {
     console.error('Analysis Agent error:', error);
@@ -804,7 +836,7 @@ app.post('/api/agents/analysis', async (req, res) => {
 app.post('/api/agents/chat', async (req, res) => {
   try {
     const { message, context = '', personality = 'helpful' } = req.body;
-    const results = await oneAPI.agents.chat.execute({ message, context, personality });
+    const results = await oneAPI.agents.chat.execute({ message, context, personality, signal: abortOnDisconnect(res) });
     res.json(results);
   } catch (error) {
     console.error('Chat Agent error:', error);
@@ -816,7 +848,7 @@ app.post('/api/agents/chat', async (req, res) => {
 app.post('/api/agents/automation', async (req, res) => {
   try {
     const { tasks, dependencies = {}, parallel = false } = req.body;
-    const results = await oneAPI.agents.automation.execute({ tasks, dependencies, parallel });
+    const results = await oneAPI.agents.automation.execute({ tasks, dependencies, parallel, signal: abortOnDisconnect(res) });
     res.json(results);
   } catch (error) {
     console.error('Automation Agent error:', error);
@@ -828,7 +860,7 @@ app.post('/api/agents/automation', async (req, res) => {
 app.post('/api/agents/learning', async (req, res) => {
   try {
     const { input, feedback = [], persist = true } = req.body;
-    const results = await oneAPI.agents.learning.execute({ input, feedback, persist });
+    const results = await oneAPI.agents.learning.execute({ input, feedback, persist, signal: abortOnDisconnect(res) });
     res.json(results);
   } catch (error) {
     console.error('Learning Agent error:', error);
@@ -865,7 +897,7 @@ app.post('/api/tools/llmrouter', async (req, res) => {
 app.post('/api/embeddings', async (req, res) => {
   try {
     const { text, model = 'openai/text-embedding-ada-002' } = req.body;
-    const embedding = await oneAPI.createEmbedding({ text, model });
+    const embedding = await oneAPI.createEmbedding({ text, model, signal: abortOnDisconnect(res) });
     res.json(embedding);
   } catch (error) {
     console.error('Embedding error:', error);
@@ -885,6 +917,90 @@ app.post('/api/images/generate', async (req, res) => {
   }
 });
 
+// OpenRouter key limits and usage
+app.get('/api/account/key', async (req, res) => {
+  try {
+    const keyInfo = await oneAPI.getKeyInfo({ signal: abortOnDisconnect(res) });
+    res.json(keyInfo);
+  } catch (error) {
+    console.error('Error fetching key info:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// OpenRouter account credits
+app.get('/api/account/credits', async (req, res) => {
+  try {
+    const credits = await oneAPI.getCredits({ signal: abortOnDisconnect(res) });
+    res.json(credits);
+  } catch (error) {
+    console.error('Error fetching credits:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Native token counts and cost of a generation
+app.get('/api/generations/:id', async (req, res) => {
+  try {
+    const generation = await oneAPI.getGeneration(req.params.id, { signal: abortOnDisconnect(res) });
+    res.json(generation);
+  } catch (error) {
+    console.error('Error fetching generation stats:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Provider endpoints for a model
+app.get('/api/v1/models/:author/:slug/endpoints', async (req, res) => {
+  try {
+    const modelId = `${req.params.author}/${req.params.slug}`;
+    const endpoints = await oneAPI.listModelEndpoints(modelId, {
+      refresh: req.query.refresh === 'true',
+      signal: abortOnDisconnect(res)
+    });
+    res.json(endpoints);
+  } catch (error) {
+    console.error('Error fetching model endpoints:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Spending budgets with their spend in the current windows
+app.get('/api/budgets', async (req, res) => {
+  try {
+    const budgets = await oneAPI.getBudgets();
+    res.json({ budgets });
+  } catch (error) {
+    console.error('Error fetching budgets:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Add or replace a spending budget
+app.post('/api/budgets', async (req, res) => {
+  try {
+    const budget = await oneAPI.setBudget(req.body);
+    res.json({ budget });
+  } catch (error) {
+    console.error('Error saving budget:', error);
+    res.status(error.status || 500).json({ error: error.message, param: error.data?.error?.param });
+  }
+});
+
+// Remove a spending budget
+app.delete('/api/budgets/:id', async (req, res) => {
+  try {
+    const removed = await oneAPI.removeBudget(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: `Budget not found: ${req.params.id}` });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error removing budget:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
 // Error handler middleware
 app.use((err, req, res, next) => {
   console.error('Server error:', err);
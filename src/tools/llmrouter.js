@@ -5,62 +5,24 @@
  * content, requirements, and performance considerations.
  */
 
+import { countTextTokens } from '../utils/token-counter.js';
+import { modelPrice } from '../utils/model-catalog.js';
+
+/**
+ * Parameters a model must support for each task type
+ */
+const TASK_PARAMETERS = {
+  code: ['tools'],
+  reasoning: ['reasoning']
+};
+
 export class LLMRouter {
   constructor() {
     this.name = 'LLM Router';
     this.description = 'Routes requests to appropriate language models';
     
-    // Model capabilities mapping
-    this.modelCapabilities = {
-      'openai/gpt-3.5-turbo': {
-        type: 'chat',
-        strengths: ['general-purpose', 'fast', 'cost-effective'],
-        contextWindow: 4096,
-        costTier: 'low'
-      },
-      'openai/gpt-4': {
-        type: 'chat',
-        strengths: ['reasoning', 'code', 'complex-tasks'],
-        contextWindow: 8192,
-        costTier: 'high'
-      },
-      'anthropic/claude-3-opus': {
-        type: 'chat',
-        strengths: ['reasoning', 'academic', 'long-form'],
-        contextWindow: 100000,
-        costTier: 'high'
-      },
-      'anthropic/claude-3-sonnet': {
-        type: 'chat',
-        strengths: ['balanced', 'long-form', 'creative'],
-        contextWindow: 200000,
-        costTier: 'medium'
-      },
-      'google/gemini-1.5-pro': {
-        type: 'chat',
-        strengths: ['multimodal', 'long-form', 'reasoning'],
-        contextWindow: 1000000,
-        costTier: 'medium'
-      },
-      'mistral/mistral-large': {
-        type: 'chat',
-        strengths: ['reasoning', 'technical', 'balanced'],
-        contextWindow: 32768,
-        costTier: 'medium'
-      },
-      'mistral/mistral-medium': {
-        type: 'chat',
-        strengths: ['general-purpose', 'cost-effective', 'fast'],
-        contextWindow: 32768,
-        costTier: 'low'
-      },
-      'together/llama-3-70b-instruct': {
-        type: 'chat',
-        strengths: ['open-source', 'large-context', 'customizable'],
-        contextWindow: 32768,
-        costTier: 'low'
-      }
-    };
+    // Will be set by OneAPI after initialization; models come from its catalog
+    this.oneAPI = null;
   }
 
   /**
@@ -84,7 +46,7 @@ export class LLMRouter {
       }
       
       // Otherwise, determine the best model based on content
-      const selectedModel = this._autoSelectModel(prompt, parsedOptions);
+      const selectedModel = await this._autoSelectModel(prompt, parsedOptions);
       return this._processWithModel(prompt, selectedModel, parsedOptions);
     } catch (error) {
       console.error('LLM Router error:', error);
@@ -102,69 +64,92 @@ export class LLMRouter {
     // 2. Process response
     // 3. Implement any post-processing
     
+    const response = `This is a response from ${model} to prompt: "${prompt.substring(0, 50)}${prompt.length > 50 ? '...' : ''}"`;
+    const promptTokens = countTextTokens(prompt, model);
+    const completionTokens = countTextTokens(response, model);
+    
     return {
       model,
       prompt,
-      response: `This is a response from ${model} to prompt: "${prompt.substring(0, 50)}${prompt.length > 50 ? '...' : ''}"`,
+      response,
       usage: {
-        promptTokens: Math.floor(prompt.length / 4),
-        completionTokens: 150,
-        totalTokens: Math.floor(prompt.length / 4) + 150
+        promptTokens,
+        completionTokens,
+        totalTokens: promptTokens + completionTokens
       },
-      modelInfo: this.modelCapabilities[model] || { type: 'unknown' },
+      modelInfo: this.oneAPI?.catalog?.get(model) || { type: 'unknown' },
       timestamp: new Date().toISOString()
     };
   }
 
   /**
    * Automatically select the best model for a given prompt
+   * 
+   * Candidates are text models from the catalog whose context window fits
+   * the prompt and that support what the task needs. Price stands in for
+   * capability: 'cost' and 'speed' take the cheapest, 'quality' the most
+   * expensive and 'balanced' the median.
    * @private
    */
-  _autoSelectModel(prompt, options) {
+  async _autoSelectModel(prompt, options) {
     const {
       prioritize = 'balanced', // 'speed', 'quality', 'cost', 'balanced'
-      contextLength = prompt.length,
+      contextLength,
       taskType = 'general' // 'general', 'creative', 'code', 'reasoning', 'academic'
     } = options;
     
-    // Simplified auto-selection logic
+    const catalog = this.oneAPI?.catalog;
+    if (!catalog) {
+      return 'openrouter/auto';
+    }
+    try {
+      await catalog.load();
+    } catch (error) {
+      // Let OpenRouter pick when the model list is unavailable
+      return 'openrouter/auto';
+    }
+    
+    const promptTokens = contextLength ?? countTextTokens(prompt);
+    const candidates = catalog.query({
+      outputModalities: ['text'],
+      minContextLength: promptTokens + 1000,
+      supportedParameters: TASK_PARAMETERS[taskType] || [],
+      variant: null,
+      sortBy: 'price'
+    }).filter(model => modelPrice(model, 'prompt') > 0 && modelPrice(model, 'prompt') < Infinity);
+    
+    if (candidates.length === 0) {
+      return 'openrouter/auto';
+    }
+    
     switch (prioritize) {
       case 'speed':
-        return contextLength > 3000 ? 'mistral/mistral-medium' : 'openai/gpt-3.5-turbo';
+      case 'cost':
+        return candidates[0].id;
       
       case 'quality':
-        return contextLength > 50000 
-          ? 'google/gemini-1.5-pro' 
-          : (taskType === 'academic' ? 'anthropic/claude-3-opus' : 'openai/gpt-4');
-      
-      case 'cost':
-        return contextLength > 30000 
-          ? 'together/llama-3-70b-instruct' 
-          : 'mistral/mistral-medium';
+        return candidates[candidates.length - 1].id;
       
       case 'balanced':
       default:
-        // Task-specific routing
-        if (taskType === 'code') return 'openai/gpt-4';
-        if (taskType === 'creative') return 'anthropic/claude-3-sonnet';
-        if (taskType === 'academic') return 'anthropic/claude-3-opus';
-        if (taskType === 'reasoning') return 'mistral/mistral-large';
-        
-        // Default to a balanced option
-        return contextLength > 30000 
-          ? 'anthropic/claude-3-sonnet' 
-          : 'mistral/mistral-large';
+        return candidates[Math.floor(candidates.length / 2)].id;
     }
   }
 
   /**
    * Get information about available models
-   * @returns {Object} Model information
+   * @returns {Promise<Object>} Model information
    */
-  getModelInfo() {
+  async getModelInfo() {
+    const catalog = this.oneAPI?.catalog;
+    if (catalog) {
+      await catalog.load();
+    }
+    const models = catalog ? catalog.models : [];
+    
     return {
-      models: this.modelCapabilities,
-      count: Object.keys(this.modelCapabilities).length,
+      models,
+      count: models.length,
       timestamp: new Date().toISOString()
     };
   }
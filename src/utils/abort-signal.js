@@ -0,0 +1,40 @@
+/**
+ * Abort signal helpers
+ *
+ * Work that several callers share (a cached fetch, a health probe) must not
+ * run under any one caller's signal, or one caller giving up fails them
+ * all. The shared work runs unsignalled and each caller waits on it under
+ * its own signal.
+ */
+
+import OpenRouterError from '../errors/openrouter-error.js';
+
+/**
+ * Wait for a promise, giving up when a signal aborts
+ *
+ * The promise itself keeps running, so other callers waiting on it are
+ * unaffected.
+ *
+ * @param {Promise<any>} promise - Shared work
+ * @param {AbortSignal} signal - Caller's abort signal, if any
+ * @returns {Promise<any>} Result of the promise
+ * @throws {OpenRouterError} With code `request_aborted` if the signal aborts first
+ */
+export function raceSignal(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+  if (signal.aborted) {
+    return Promise.reject(OpenRouterError.abortError());
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(OpenRouterError.abortError());
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+export default raceSignal;
@@ -0,0 +1,531 @@
+/**
+ * Spending budgets
+ *
+ * Budgets cap what calls may cost over a window. A budget is scoped
+ * globally, per user, per session or per agent type, and applies over a
+ * UTC day, a UTC month or a single agent run. Without a `key` a scoped
+ * budget applies to each user, session or agent separately; with one it
+ * only applies to that subject.
+ *
+ * Before a call is sent its estimated cost is reserved against every budget
+ * that applies, and the call is rejected with a `budget_exceeded` error if
+ * a hard limit would be crossed. Once the call returns, the reservation is
+ * replaced by the actual cost. Soft thresholds (fractions of the limit)
+ * notify listeners once per window. In Node the spend can be persisted to a
+ * file so it survives restarts.
+ */
+
+import OpenRouterError from '../errors/openrouter-error.js';
+
+/**
+ * Scopes a budget can apply to, with the call attribute that selects the subject
+ */
+export const BUDGET_SCOPES = {
+  global: null,
+  user: 'userId',
+  session: 'sessionId',
+  agent: 'agent'
+};
+
+/**
+ * Windows a budget can apply over
+ */
+export const BUDGET_WINDOWS = ['daily', 'monthly', 'run'];
+
+/**
+ * How long spend for finished runs is kept, in milliseconds
+ */
+const RUN_RETENTION = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Create an ID for one agent run, so per-run budgets can tell runs apart
+ *
+ * @param {string} agent - Agent type, e.g. 'research'
+ * @returns {string} Run ID
+ */
+export function createRunId(agent) {
+  return `${agent}_${Date.now()}_${Math.random().toString(36).substring(2, 10)}`;
+}
+
+/**
+ * Get the window a call falls into
+ *
+ * @param {string} window - 'daily', 'monthly' or 'run'
+ * @param {Object} attributes - Call attributes
+ * @param {number} now - Current time in milliseconds
+ * @returns {string|null} Window key, or null if the call is not part of a run
+ */
+function windowKey(window, attributes, now) {
+  const date = new Date(now).toISOString();
+  switch (window) {
+    case 'daily':
+      return date.slice(0, 10);
+    case 'monthly':
+      return date.slice(0, 7);
+    default:
+      return attributes.runId || null;
+  }
+}
+
+/**
+ * Check and normalize a budget definition
+ *
+ * @param {Object} budget - Budget definition
+ * @returns {Object} Normalized budget
+ * @throws {OpenRouterError} If the definition is invalid
+ */
+function normalizeBudget(budget) {
+  const {
+    id,
+    scope = 'global',
+    key = null,
+    window = 'monthly',
+    limit,
+    hard = true,
+    thresholds = [0.8]
+  } = budget || {};
+
+  if (!id) {
+    throw OpenRouterError.validationError('Budget ID is required', 'id');
+  }
+  if (!(scope in BUDGET_SCOPES)) {
+    throw OpenRouterError.validationError(`Invalid budget scope: ${scope}. Must be one of: ${Object.keys(BUDGET_SCOPES).join(', ')}`, 'scope');
+  }
+  if (!BUDGET_WINDOWS.includes(window)) {
+    throw OpenRouterError.validationError(`Invalid budget window: ${window}. Must be one of: ${BUDGET_WINDOWS.join(', ')}`, 'window');
+  }
+  if (!(typeof limit === 'number' && limit >= 0)) {
+    throw OpenRouterError.validationError('Budget limit must be a non-negative amount in USD', 'limit');
+  }
+  if (!Array.isArray(thresholds) || thresholds.some(threshold => !(threshold > 0 && threshold <= 1))) {
+    throw OpenRouterError.validationError('Budget thresholds must be fractions of the limit between 0 and 1', 'thresholds');
+  }
+
+  return {
+    id: String(id),
+    scope,
+    key: scope === 'global' ? null : key,
+    window,
+    limit,
+    hard: hard !== false,
+    thresholds: [...thresholds].sort((a, b) => a - b)
+  };
+}
+
+/**
+ * BudgetManager enforces spending budgets
+ */
+export class BudgetManager {
+  /**
+   * Create a new budget manager
+   *
+   * @param {Object} options - Budget options
+   * @param {Array<Object>} options.budgets - Budget definitions: `{ id, scope, key, window, limit, hard, thresholds }`
+   *   with `limit` in USD and `thresholds` as fractions of it (default [0.8])
+   * @param {string} options.persistPath - File the budgets and spend are persisted to (Node only; null for memory only)
+   * @param {Function} options.onThreshold - Called with each 'threshold' event
+   */
+  constructor({ budgets = [], persistPath = null, onThreshold = null } = {}) {
+    this.budgets = new Map();
+    this.spend = {};
+    this.persistPath = persistPath;
+    this.listeners = { threshold: [], rejected: [] };
+    this.diskLoad = null;
+    this.writing = Promise.resolve();
+    this.configured = budgets.map(normalizeBudget);
+    this.configured.forEach(budget => this.budgets.set(budget.id, budget));
+
+    if (onThreshold) {
+      this.on('threshold', onThreshold);
+    }
+  }
+
+  /**
+   * Listen for budget events
+   *
+   * 'threshold' fires when spend first crosses a soft threshold or the limit
+   * in a window; 'rejected' fires when a call is refused.
+   *
+   * @param {string} event - 'threshold' or 'rejected'
+   * @param {Function} listener - Called with the event details
+   * @returns {Function} Function that removes the listener
+   */
+  on(event, listener) {
+    if (!this.listeners[event]) {
+      throw new Error(`Unknown budget event: ${event}. Must be one of: ${Object.keys(this.listeners).join(', ')}`);
+    }
+
+    this.listeners[event].push(listener);
+    return () => {
+      this.listeners[event] = this.listeners[event].filter(current => current !== listener);
+    };
+  }
+
+  /**
+   * Notify listeners, keeping a failing listener from breaking the call
+   *
+   * @param {string} event - Event name
+   * @param {Object} details - Event details
+   * @private
+   */
+  emit(event, details) {
+    this.listeners[event].forEach(listener => {
+      try {
+        listener(details);
+      } catch (error) {
+        console.error(`Budget ${event} listener failed:`, error);
+      }
+    });
+  }
+
+  /**
+   * Load persisted budgets and spend once
+   *
+   * @returns {Promise<BudgetManager>} This manager
+   */
+  async load() {
+    if (!this.diskLoad) {
+      this.diskLoad = this.readState();
+    }
+    await this.diskLoad;
+    return this;
+  }
+
+  /**
+   * Add or replace a budget
+   *
+   * @param {Object} budget - Budget definition
+   * @returns {Promise<Object>} Normalized budget
+   */
+  async setBudget(budget) {
+    await this.load();
+    const normalized = normalizeBudget(budget);
+    this.budgets.set(normalized.id, normalized);
+    await this.save();
+    return normalized;
+  }
+
+  /**
+   * Remove a budget and its spend
+   *
+   * @param {string} id - Budget ID
+   * @returns {Promise<boolean>} True if the budget existed
+   */
+  async removeBudget(id) {
+    await this.load();
+    const existed = this.budgets.delete(id);
+    delete this.spend[id];
+    await this.save();
+    return existed;
+  }
+
+  /**
+   * Find the budget windows a call counts against
+   *
+   * @param {Object} attributes - Call attributes: userId, sessionId, agent and runId
+   * @param {number} now - Current time in milliseconds
+   * @returns {Array<{budget: Object, subject: string, window: string, bucket: Object}>} Applicable windows
+   * @private
+   */
+  applicable(attributes, now = Date.now()) {
+    const matches = [];
+
+    this.budgets.forEach(budget => {
+      const attribute = BUDGET_SCOPES[budget.scope];
+      const subject = attribute ? attributes[attribute] : '*';
+      const window = windowKey(budget.window, attributes, now);
+      if (!subject || !window || (budget.key !== null && budget.key !== subject)) {
+        return;
+      }
+
+      const buckets = this.spend[budget.id] = this.spend[budget.id] || {};
+      const bucketKey = `${subject}|${window}`;
+      buckets[bucketKey] = buckets[bucketKey] || { subject, window, spent: 0, reserved: 0, fired: [], updatedAt: now };
+      matches.push({ budget, subject, window, bucket: buckets[bucketKey] });
+    });
+
+    return matches;
+  }
+
+  /**
+   * Reserve the estimated cost of a call
+   *
+   * @param {Object} attributes - Call attributes: userId, sessionId, agent and runId
+   * @param {number} estimate - Estimated cost in USD
+   * @returns {Promise<{estimate: number, commit: Function, release: Function}>} Lease; `commit(cost)` records the
+   *   actual cost, `release()` frees the reservation of a call that failed
+   * @throws {OpenRouterError} With code `budget_exceeded` if a hard limit would be crossed
+   */
+  async reserve(attributes, estimate = 0) {
+    await this.load();
+    const matches = this.applicable(attributes);
+
+    const blocked = matches.find(({ budget, bucket }) => budget.hard &&
+      (bucket.spent + bucket.reserved + estimate > budget.limit || bucket.spent >= budget.limit));
+    if (blocked) {
+      const { budget, subject, window, bucket } = blocked;
+      const details = {
+        budgetId: budget.id,
+        scope: budget.scope,
+        subject,
+        window,
+        spent: bucket.spent,
+        reserved: bucket.reserved,
+        limit: budget.limit,
+        estimate
+      };
+      this.emit('rejected', details);
+      throw OpenRouterError.budgetExceededError(
+        `Budget ${budget.id} would be exceeded: $${bucket.spent.toFixed(4)} spent of $${budget.limit.toFixed(4)} ` +
+        `(${budget.window} window ${window}), request estimated at $${estimate.toFixed(4)}`,
+        details
+      );
+    }
+
+    matches.forEach(({ bucket }) => {
+      bucket.reserved += estimate;
+    });
+
+    let settled = false;
+    const settle = cost => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      matches.forEach(({ bucket }) => {
+        bucket.reserved = Math.max(0, bucket.reserved - estimate);
+      });
+      if (cost > 0) {
+        this.record(matches, cost);
+      }
+    };
+
+    return {
+      estimate,
+      commit: cost => settle(cost ?? estimate),
+      release: () => settle(0)
+    };
+  }
+
+  /**
+   * Record spend for a call that was not settled through a lease
+   *
+   * Cancelled streams release their reservation without a cost; their
+   * partial output is charged here once it has been priced.
+   *
+   * @param {Object} attributes - Call attributes: userId, sessionId, agent and runId
+   * @param {number} cost - Cost in USD
+   * @returns {Promise<void>} Resolves once the spend is recorded
+   */
+  async charge(attributes, cost) {
+    await this.load();
+    if (cost > 0) {
+      this.record(this.applicable(attributes), cost);
+    }
+  }
+
+  /**
+   * Record spend against budget windows and fire crossed thresholds
+   *
+   * @param {Array<Object>} matches - Windows from applicable()
+   * @param {number} cost - Cost in USD
+   * @private
+   */
+  record(matches, cost) {
+    const now = Date.now();
+
+    matches.forEach(({ budget, subject, window, bucket }) => {
+      const before = bucket.spent;
+      bucket.spent += cost;
+      bucket.updatedAt = now;
+
+      [...budget.thresholds, 1].forEach(threshold => {
+        const amount = budget.limit * threshold;
+        if (before < amount && bucket.spent >= amount && !bucket.fired.includes(threshold)) {
+          bucket.fired.push(threshold);
+          this.emit('threshold', {
+            budgetId: budget.id,
+            scope: budget.scope,
+            subject,
+            window,
+            threshold,
+            spent: bucket.spent,
+            limit: budget.limit,
+            exceeded: threshold === 1
+          });
+        }
+      });
+    });
+
+    this.prune(now);
+    this.save();
+  }
+
+  /**
+   * Drop spend for windows that have ended
+   *
+   * @param {number} now - Current time in milliseconds
+   * @private
+   */
+  prune(now) {
+    Object.entries(this.spend).forEach(([id, buckets]) => {
+      const budget = this.budgets.get(id);
+      if (!budget) {
+        delete this.spend[id];
+        return;
+      }
+
+      const current = windowKey(budget.window, {}, now);
+      Object.entries(buckets).forEach(([bucketKey, bucket]) => {
+        const ended = budget.window === 'run'
+          ? now - bucket.updatedAt > RUN_RETENTION
+          : bucket.window !== current;
+        if (ended && bucket.reserved === 0) {
+          delete buckets[bucketKey];
+        }
+      });
+    });
+  }
+
+  /**
+   * Get every budget with the spend in its current windows
+   *
+   * @returns {Promise<Array<Object>>} Budgets, each with `usage` entries of subject, window, spent, reserved,
+   *   remaining and percent
+   */
+  async getStatus() {
+    await this.load();
+    this.prune(Date.now());
+
+    return [...this.budgets.values()].map(budget => ({
+      ...budget,
+      usage: Object.values(this.spend[budget.id] || {}).map(bucket => ({
+        subject: bucket.subject,
+        window: bucket.window,
+        spent: bucket.spent,
+        reserved: bucket.reserved,
+        remaining: Math.max(0, budget.limit - bucket.spent),
+        percent: budget.limit > 0 ? parseFloat(((bucket.spent / budget.limit) * 100).toFixed(1)) : 100
+      }))
+    }));
+  }
+
+  /**
+   * Create an interceptor that enforces the budgets on OpenRouter calls
+   *
+   * Calls are attributed from `context.metadata` (userId, sessionId, agent
+   * and runId) and the body's `user`.
+   *
+   * @param {Function} estimateCost - `(context) => Promise<number>` giving a call's estimated cost in USD
+   * @param {Array<string>} endpoints - Billed endpoints; other calls (such as loading the model list) pass through
+   * @returns {Object} OpenRouter interceptor
+   */
+  createInterceptor(estimateCost, endpoints) {
+    return {
+      beforeRequest: async (context) => {
+        if (!endpoints.includes(context.endpoint) || (this.budgets.size === 0 && this.persistPath === null)) {
+          return;
+        }
+
+        await this.load();
+        if (this.budgets.size === 0) {
+          return;
+        }
+
+        const attributes = {
+          userId: context.metadata.userId ?? context.body?.user,
+          sessionId: context.metadata.sessionId,
+          agent: context.metadata.agent,
+          runId: context.metadata.runId
+        };
+        const estimate = this.applicable(attributes).length > 0 ? await estimateCost(context) : 0;
+        context.metadata.budgetLease = await this.reserve(attributes, estimate);
+      },
+
+      afterResponse: (context, response) => {
+        // A stream dropped before it was read has produced nothing to charge
+        if (context.stream && !response?.completed && response?.chunkCount === 0) {
+          context.metadata.budgetLease?.release();
+          return;
+        }
+        context.metadata.budgetLease?.commit(response?.cost?.total);
+      },
+
+      onError: (context) => {
+        context.metadata.budgetLease?.release();
+      }
+    };
+  }
+
+  /**
+   * Load budgets and spend persisted by an earlier process
+   *
+   * Budgets passed to the constructor win over persisted ones with the same ID.
+   *
+   * @returns {Promise<void>} Resolves once the state has been read (or found missing)
+   * @private
+   */
+  async readState() {
+    if (!this.persistPath) {
+      return;
+    }
+
+    try {
+      const { readFile } = await import('fs/promises');
+      const state = JSON.parse(await readFile(this.persistPath, 'utf8'));
+      const configured = new Set(this.configured.map(budget => budget.id));
+
+      (state.budgets || []).forEach(budget => {
+        if (!configured.has(budget.id)) {
+          this.budgets.set(budget.id, normalizeBudget(budget));
+        }
+      });
+      Object.entries(state.spend || {}).forEach(([id, buckets]) => {
+        this.spend[id] = Object.fromEntries(Object.entries(buckets).map(([bucketKey, bucket]) =>
+          [bucketKey, { ...bucket, reserved: 0 }]));
+      });
+      this.prune(Date.now());
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Could not read budget state ${this.persistPath}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Persist budgets and spend
+   *
+   * Writes are queued so they land in order.
+   *
+   * @returns {Promise<void>} Resolves once written
+   */
+  save() {
+    if (!this.persistPath) {
+      return Promise.resolve();
+    }
+
+    const state = JSON.stringify({
+      version: 1,
+      budgets: [...this.budgets.values()],
+      spend: this.spend
+    });
+
+    this.writing = this.writing.then(async () => {
+      try {
+        const { mkdir, writeFile, rename } = await import('fs/promises');
+        const { dirname } = await import('path');
+        await mkdir(dirname(this.persistPath), { recursive: true });
+
+        // Write then rename so a crash never leaves a truncated file
+        const temporary = `${this.persistPath}.${process.pid}.tmp`;
+        await writeFile(temporary, state);
+        await rename(temporary, this.persistPath);
+      } catch (error) {
+        console.warn(`Could not write budget state ${this.persistPath}:`, error.message);
+      }
+    });
+    return this.writing;
+  }
+}
+
+export default BudgetManager;
@@ -0,0 +1,50 @@
+/**
+ * Cache key generation
+ *
+ * Builds compact, deterministic keys for request payloads so that
+ * structurally equal requests share a cache entry.
+ */
+
+import { canonicalize } from './canonical-json.js';
+
+/**
+ * Hash a string to a 53-bit integer (cyrb53)
+ *
+ * @param {string} str - String to hash
+ * @param {number} seed - Optional seed
+ * @returns {number} Hash value
+ */
+export function hashString(str, seed = 0) {
+  let h1 = 0xdeadbeef ^ seed;
+  let h2 = 0x41c6ce57 ^ seed;
+
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+  return 4294967296 * (2097151 & h2) + (h1 >>> 0);
+}
+
+/**
+ * Create a cache key for a value
+ *
+ * Object key order does not affect the result.
+ *
+ * @param {string} namespace - Key prefix, such as the endpoint or request type
+ * @param {any} value - Value identifying the request
+ * @returns {string} Cache key
+ */
+export function createCacheKey(namespace, value) {
+  const canonical = canonicalize(value);
+  return `${namespace}:${hashString(canonical).toString(36)}:${canonical.length.toString(36)}`;
+}
+
+export default {
+  hashString,
+  createCacheKey
+};
@@ -0,0 +1,38 @@
+/**
+ * Canonical JSON serialization
+ *
+ * Produces a stable string for structurally equal values regardless of
+ * object key order, so request bodies can be compared and used as keys.
+ */
+
+/**
+ * Serialize a value to canonical JSON
+ *
+ * Object keys are sorted recursively and `undefined` values are dropped,
+ * matching what `JSON.stringify` would send over the wire.
+ *
+ * @param {any} value - Value to serialize
+ * @returns {string} Canonical JSON string
+ */
+export function canonicalize(value) {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value) ?? 'null';
+  }
+
+  if (typeof value.toJSON === 'function') {
+    return canonicalize(value.toJSON());
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(item => (item === undefined ? 'null' : canonicalize(item))).join(',')}]`;
+  }
+
+  const entries = Object.keys(value)
+    .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+
+  return `{${entries.join(',')}}`;
+}
+
+export default canonicalize;
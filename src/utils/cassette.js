@@ -0,0 +1,357 @@
+/**
+ * Record/replay transports for the OpenRouter client
+ *
+ * A cassette is a JSON file of request/response pairs captured from the real
+ * API. Recording wraps a live transport and writes every exchange (including
+ * streamed SSE bodies) to disk with credentials redacted. Replaying serves the
+ * recorded responses without touching the network, which lets agents, OneAPI
+ * and the server routes run deterministically without an API key.
+ *
+ * Node.js only.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { canonicalize } from './canonical-json.js';
+
+const CASSETTE_VERSION = 1;
+
+/**
+ * Patterns for secrets that must never be written to a cassette
+ */
+const DEFAULT_REDACTIONS = [
+  /sk-or-[A-Za-z0-9_-]+/g,
+  /sk-ant-[A-Za-z0-9_-]+/g,
+  /sk-[A-Za-z0-9_-]{20,}/g
+];
+
+/**
+ * Response headers worth keeping for replay
+ */
+const RECORDED_HEADERS = ['content-type', 'retry-after', 'x-ratelimit-limit', 'x-ratelimit-remaining', 'x-ratelimit-reset'];
+
+/**
+ * Replace secrets in a string with a placeholder
+ *
+ * @param {string} text - Text to redact
+ * @param {Array<RegExp>} patterns - Patterns to replace
+ * @returns {string} Redacted text
+ */
+function redact(text, patterns) {
+  if (typeof text !== 'string') {
+    return text;
+  }
+
+  return patterns.reduce((result, pattern) => result.replace(pattern, '[REDACTED]'), text);
+}
+
+/**
+ * Build the matching key for a request
+ *
+ * @param {string} method - HTTP method
+ * @param {string} requestPath - URL path including the query string
+ * @param {string|undefined} body - Serialized request body
+ * @returns {string} Matching key
+ */
+function interactionKey(method, requestPath, body) {
+  let normalizedBody = '';
+
+  if (body) {
+    try {
+      normalizedBody = canonicalize(JSON.parse(body));
+    } catch (error) {
+      normalizedBody = body;
+    }
+  }
+
+  return `${method.toUpperCase()} ${requestPath} ${normalizedBody}`;
+}
+
+/**
+ * Extract the path and query string from a request URL
+ *
+ * @param {string} url - Absolute request URL
+ * @param {string} baseUrl - Optional API base URL to strip
+ * @returns {string} Request path
+ */
+function requestPathFor(url, baseUrl) {
+  if (baseUrl && url.startsWith(baseUrl)) {
+    return url.slice(baseUrl.length) || '/';
+  }
+
+  const parsed = new URL(url);
+  return `${parsed.pathname}${parsed.search}`;
+}
+
+/**
+ * Load a cassette file
+ *
+ * @param {string} cassettePath - Path to the cassette file
+ * @returns {{version: number, interactions: Array<Object>}} Cassette contents
+ */
+export function loadCassette(cassettePath) {
+  if (!fs.existsSync(cassettePath)) {
+    return { version: CASSETTE_VERSION, interactions: [] };
+  }
+
+  const cassette = JSON.parse(fs.readFileSync(cassettePath, 'utf8'));
+  if (!Array.isArray(cassette.interactions)) {
+    throw new Error(`Invalid cassette file: ${cassettePath}`);
+  }
+
+  return cassette;
+}
+
+/**
+ * Write a cassette file
+ *
+ * @param {string} cassettePath - Path to the cassette file
+ * @param {{version: number, interactions: Array<Object>}} cassette - Cassette contents
+ */
+export function saveCassette(cassettePath, cassette) {
+  fs.mkdirSync(path.dirname(cassettePath), { recursive: true });
+  fs.writeFileSync(cassettePath, `${JSON.stringify(cassette, null, 2)}\n`);
+}
+
+/**
+ * Create a transport that records every exchange to a cassette
+ *
+ * @param {Object} options - Recorder options
+ * @param {string} options.cassettePath - File to write interactions to
+ * @param {Function} options.transport - Underlying fetch-compatible transport
+ * @param {string} options.baseUrl - API base URL stripped from recorded paths
+ * @param {Array<RegExp>} options.redactions - Additional secret patterns to redact
+ * @returns {Function} Fetch-compatible transport
+ */
+export function createRecordingTransport({
+  cassettePath,
+  transport = (...args) => fetch(...args),
+  baseUrl = 'https://openrouter.ai/api/v1',
+  redactions = []
+} = {}) {
+  if (!cassettePath) {
+    throw new Error('cassettePath is required for a recording transport');
+  }
+
+  const patterns = [...DEFAULT_REDACTIONS, ...redactions];
+  const cassette = loadCassette(cassettePath);
+
+  const record = (interaction) => {
+    cassette.interactions.push(interaction);
+    saveCassette(cassettePath, cassette);
+  };
+
+  return async (url, init = {}) => {
+    const response = await transport(url, init);
+    const method = (init.method || 'GET').toUpperCase();
+
+    const request = {
+      method,
+      path: requestPathFor(url, baseUrl),
+      body: init.body ? JSON.parse(redact(init.body, patterns)) : null
+    };
+
+    const headers = {};
+    RECORDED_HEADERS.forEach(name => {
+      const value = response.headers.get(name);
+      if (value !== null) {
+        headers[name] = value;
+      }
+    });
+
+    const responseInit = {
+      status: response.status,
+      statusText: response.statusText,
+      headers
+    };
+
+    const isStream = (headers['content-type'] || '').includes('text/event-stream');
+
+    if (!isStream || !response.body) {
+      const text = await response.text();
+      record({ request, response: { ...responseInit, body: redact(text, patterns) } });
+      return new Response(text, responseInit);
+    }
+
+    // Pass streamed chunks through to the caller while capturing them
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const chunks = [];
+    let recorded = false;
+
+    const finish = () => {
+      if (recorded) {
+        return;
+      }
+      recorded = true;
+
+      const tail = decoder.decode();
+      if (tail) {
+        chunks.push(redact(tail, patterns));
+      }
+      record({ request, response: { ...responseInit, chunks } });
+    };
+
+    const body = new ReadableStream({
+      async pull(controller) {
+        try {
+          const { value, done } = await reader.read();
+          if (done) {
+            finish();
+            controller.close();
+            return;
+          }
+
+          chunks.push(redact(decoder.decode(value, { stream: true }), patterns));
+          controller.enqueue(value);
+        } catch (error) {
+          controller.error(error);
+        }
+      },
+      cancel(reason) {
+        // Readers stop at [DONE] without draining the body, so keep what was read
+        finish();
+        return reader.cancel(reason);
+      }
+    });
+
+    return new Response(body, responseInit);
+  };
+}
+
+/**
+ * Create a transport that serves responses from a cassette
+ *
+ * Requests are matched by method, path and canonicalized JSON body. Identical
+ * requests are answered in recorded order; once exhausted, the last recording
+ * is reused. Unmatched requests get a 404 error response, except the model
+ * list: the client fetches it on its own to price calls, so a cassette
+ * recorded without it replays an empty list.
+ *
+ * @param {Object} options - Replayer options
+ * @param {string} options.cassettePath - Cassette file to read
+ * @param {Object} options.cassette - Cassette contents, instead of a file
+ * @param {string} options.baseUrl - API base URL stripped from request paths
+ * @param {number} options.chunkDelay - Delay between replayed stream chunks in milliseconds
+ * @returns {Function} Fetch-compatible transport
+ */
+export function createReplayTransport({
+  cassettePath,
+  cassette,
+  baseUrl = 'https://openrouter.ai/api/v1',
+  chunkDelay = 0
+} = {}) {
+  const source = cassette || loadCassette(cassettePath);
+  const recordings = new Map();
+
+  source.interactions.forEach(interaction => {
+    const { method, path: requestPath, body } = interaction.request;
+    const key = interactionKey(method, requestPath, body ? JSON.stringify(body) : undefined);
+    if (!recordings.has(key)) {
+      recordings.set(key, { interactions: [], next: 0 });
+    }
+    recordings.get(key).interactions.push(interaction);
+  });
+
+  return async (url, init = {}) => {
+    const signal = init.signal;
+    if (signal?.aborted) {
+      throw new DOMException('The operation was aborted.', 'AbortError');
+    }
+
+    const method = (init.method || 'GET').toUpperCase();
+    const requestPath = requestPathFor(url, baseUrl);
+    const entry = recordings.get(interactionKey(method, requestPath, init.body));
+
+    if (!entry && method === 'GET' && requestPath === '/models') {
+      return new Response(JSON.stringify({ data: [] }), {
+        status: 200,
+        headers: { 'content-type': 'application/json' }
+      });
+    }
+
+    if (!entry) {
+      return new Response(JSON.stringify({
+        error: {
+          code: 'cassette_miss',
+          message: `No recorded interaction for ${method} ${requestPath}`
+        }
+      }), {
+        status: 404,
+        headers: { 'content-type': 'application/json' }
+      });
+    }
+
+    const index = Math.min(entry.next, entry.interactions.length - 1);
+    entry.next++;
+    const { response } = entry.interactions[index];
+    const responseInit = {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers || {}
+    };
+
+    if (!response.chunks) {
+      return new Response(response.body ?? '', responseInit);
+    }
+
+    const encoder = new TextEncoder();
+    let position = 0;
+
+    const body = new ReadableStream({
+      async pull(controller) {
+        if (chunkDelay > 0) {
+          await new Promise(resolve => setTimeout(resolve, chunkDelay));
+        }
+
+        if (signal?.aborted) {
+          controller.error(new DOMException('The operation was aborted.', 'AbortError'));
+          return;
+        }
+
+        if (position >= response.chunks.length) {
+          controller.close();
+          return;
+        }
+
+        controller.enqueue(encoder.encode(response.chunks[position++]));
+      }
+    });
+
+    return new Response(body, responseInit);
+  };
+}
+
+/**
+ * Create a record or replay transport for a cassette file
+ *
+ * In `auto` mode an existing cassette is replayed and a missing one is
+ * recorded.
+ *
+ * @param {Object} options - Cassette options
+ * @param {string} options.cassettePath - Cassette file
+ * @param {string} options.mode - 'record', 'replay' or 'auto'
+ * @returns {Function} Fetch-compatible transport
+ */
+export function createCassetteTransport({ cassettePath, mode = 'auto', ...options } = {}) {
+  const resolvedMode = mode === 'auto'
+    ? (fs.existsSync(cassettePath) ? 'replay' : 'record')
+    : mode;
+
+  switch (resolvedMode) {
+    case 'record':
+      return createRecordingTransport({ cassettePath, ...options });
+    case 'replay':
+      return createReplayTransport({ cassettePath, ...options });
+    default:
+      throw new Error(`Invalid cassette mode: ${mode}. Must be one of: record, replay, auto`);
+  }
+}
+
+export default {
+  createRecordingTransport,
+  createReplayTransport,
+  createCassetteTransport,
+  loadCassette,
+  saveCassette
+};
@@ -0,0 +1,383 @@
+/**
+ * Circuit breakers for providers and models
+ *
+ * Every call is recorded against two circuits: its provider (the model
+ * author, e.g. 'openai') and its model. A circuit opens when, over a rolling
+ * window, too many calls fail with errors that point at the upstream side
+ * (rate limits, timeouts, server and network errors) or take longer than
+ * the latency threshold. While open, calls are refused without being sent.
+ * Once the open period ends the circuit is half-open: a single probe call
+ * is let through, and its outcome closes the circuit again or reopens it.
+ */
+
+import OpenRouterError from '../errors/openrouter-error.js';
+import { getFallbackReason } from './fallback.js';
+
+/**
+ * Circuit states
+ */
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+/**
+ * Get the circuits a call counts against
+ *
+ * @param {Object} target - Call target
+ * @param {string} target.model - Model ID
+ * @param {string} target.provider - Provider, defaulting to the model author
+ * @returns {Array<{key: string, scope: string, name: string}>} Provider and model circuits
+ */
+function circuitsFor({ model, provider } = {}) {
+  const circuits = [];
+  const author = provider || (model ? model.split('/')[0] : null);
+
+  if (author) {
+    circuits.push({ key: `provider:${author}`, scope: 'provider', name: author });
+  }
+  if (model) {
+    circuits.push({ key: `model:${model}`, scope: 'model', name: model });
+  }
+
+  return circuits;
+}
+
+/**
+ * CircuitBreaker tracks the health of providers and models
+ */
+export class CircuitBreaker {
+  /**
+   * Create a new circuit breaker
+   *
+   * @param {Object} options - Breaker options
+   * @param {number} options.windowMs - Rolling window outcomes are counted over
+   * @param {number} options.minRequests - Calls needed in the window before a circuit can open
+   * @param {number} options.errorRate - Fraction of failed calls that opens a circuit
+   * @param {number} options.latencyThreshold - Milliseconds after which a call counts as slow (0 to ignore latency)
+   * @param {number} options.slowCallRate - Fraction of slow calls that opens a circuit
+   * @param {number} options.openMs - How long a circuit stays open before a probe is allowed
+   * @param {Function} options.onStateChange - Called with each 'state' event
+   */
+  constructor({
+    windowMs = 60 * 1000,
+    minRequests = 5,
+    errorRate = 0.5,
+    latencyThreshold = 0,
+    slowCallRate = 0.5,
+    openMs = 30 * 1000,
+    onStateChange = null
+  } = {}) {
+    this.windowMs = windowMs;
+    this.minRequests = minRequests;
+    this.errorRate = errorRate;
+    this.latencyThreshold = latencyThreshold;
+    this.slowCallRate = slowCallRate;
+    this.openMs = openMs;
+    this.circuits = new Map();
+    this.listeners = { state: [] };
+
+    if (onStateChange) {
+      this.on('state', onStateChange);
+    }
+  }
+
+  /**
+   * Listen for circuit events
+   *
+   * 'state' fires whenever a circuit opens, becomes half-open or closes.
+   *
+   * @param {string} event - 'state'
+   * @param {Function} listener - Called with `{ key, scope, name, from, to, reason }`
+   * @returns {Function} Function that removes the listener
+   */
+  on(event, listener) {
+    if (!this.listeners[event]) {
+      throw new Error(`Unknown circuit event: ${event}. Must be one of: ${Object.keys(this.listeners).join(', ')}`);
+    }
+
+    this.listeners[event].push(listener);
+    return () => {
+      this.listeners[event] = this.listeners[event].filter(current => current !== listener);
+    };
+  }
+
+  /**
+   * Get a circuit, creating it closed
+   *
+   * @param {Object} circuit - Circuit key, scope and name
+   * @returns {Object} Circuit state
+   * @private
+   */
+  circuit({ key, scope, name }) {
+    if (!this.circuits.has(key)) {
+      this.circuits.set(key, {
+        key,
+        scope,
+        name,
+        state: CIRCUIT_STATES.CLOSED,
+        outcomes: [],
+        openedAt: null,
+        retryAt: null,
+        probing: false,
+        reason: null
+      });
+    }
+
+    return this.circuits.get(key);
+  }
+
+  /**
+   * Move a circuit to a new state and notify listeners
+   *
+   * @param {Object} circuit - Circuit state
+   * @param {string} state - New state
+   * @param {string} reason - Why the state changed
+   * @private
+   */
+  transition(circuit, state, reason) {
+    const from = circuit.state;
+    const now = Date.now();
+
+    circuit.state = state;
+    circuit.reason = reason;
+    circuit.probing = false;
+    if (state === CIRCUIT_STATES.OPEN) {
+      circuit.openedAt = now;
+      circuit.retryAt = now + this.openMs;
+    } else if (state === CIRCUIT_STATES.CLOSED) {
+      circuit.outcomes = [];
+      circuit.openedAt = null;
+      circuit.retryAt = null;
+    }
+
+    this.listeners.state.forEach(listener => {
+      try {
+        listener({ key: circuit.key, scope: circuit.scope, name: circuit.name, from, to: state, reason });
+      } catch (error) {
+        console.error('Circuit state listener failed:', error);
+      }
+    });
+  }
+
+  /**
+   * Get a circuit's current state, letting an expired open period lapse
+   *
+   * @param {Object} circuit - Circuit state
+   * @returns {string} Circuit state
+   * @private
+   */
+  currentState(circuit) {
+    if (circuit.state === CIRCUIT_STATES.OPEN && Date.now() >= circuit.retryAt) {
+      this.transition(circuit, CIRCUIT_STATES.HALF_OPEN, 'open period ended');
+    }
+    return circuit.state;
+  }
+
+  /**
+   * Check whether a target would currently be let through
+   *
+   * Does not take the probe slot of a half-open circuit, so it is safe to
+   * use for choosing between targets.
+   *
+   * @param {Object} target - `{ model, provider }`
+   * @returns {boolean} False while any of the target's circuits is open or already probing
+   */
+  isAvailable(target) {
+    return circuitsFor(target).every(({ key }) => {
+      const circuit = this.circuits.get(key);
+      if (!circuit) {
+        return true;
+      }
+
+      const state = this.currentState(circuit);
+      return state === CIRCUIT_STATES.CLOSED || (state === CIRCUIT_STATES.HALF_OPEN && !circuit.probing);
+    });
+  }
+
+  /**
+   * Let a call through, or refuse it while a circuit is open
+   *
+   * @param {Object} target - `{ model, provider }`
+   * @returns {{record: Function, release: Function}} Lease; `record({ error, latency })` reports the outcome,
+   *   `release()` gives up a probe slot without an outcome (e.g. when the caller cancelled)
+   * @throws {OpenRouterError} With code `circuit_open` if the call is refused
+   */
+  acquire(target) {
+    const circuits = circuitsFor(target).map(circuit => this.circuit(circuit));
+
+    const blocked = circuits.find(circuit => {
+      const state = this.currentState(circuit);
+      return state === CIRCUIT_STATES.OPEN || (state === CIRCUIT_STATES.HALF_OPEN && circuit.probing);
+    });
+    if (blocked) {
+      throw OpenRouterError.circuitOpenError(
+        `Circuit for ${blocked.scope} ${blocked.name} is open (${blocked.reason}); retry after ${new Date(blocked.retryAt ?? Date.now()).toISOString()}`,
+        { circuit: blocked.key, state: blocked.state, retryAt: blocked.retryAt }
+      );
+    }
+
+    const probes = circuits.filter(circuit => circuit.state === CIRCUIT_STATES.HALF_OPEN);
+    probes.forEach(circuit => {
+      circuit.probing = true;
+    });
+
+    let settled = false;
+    return {
+      record: ({ error = null, latency = null } = {}) => {
+        if (!settled) {
+          settled = true;
+          circuits.forEach(circuit => this.record(circuit, error, latency));
+        }
+      },
+      release: () => {
+        if (!settled) {
+          settled = true;
+          probes.forEach(circuit => {
+            circuit.probing = false;
+          });
+        }
+      }
+    };
+  }
+
+  /**
+   * Record a call outcome and open or close the circuit as needed
+   *
+   * Only errors that point at the upstream side count as failures; a call
+   * rejected for its own content still shows the target is answering.
+   *
+   * @param {Object} circuit - Circuit state
+   * @param {Error|null} error - Error the call failed with, if any
+   * @param {number|null} latency - Call duration in milliseconds, if known
+   * @private
+   */
+  record(circuit, error, latency) {
+    const now = Date.now();
+    const failed = Boolean(error && getFallbackReason(error));
+    const slow = this.latencyThreshold > 0 && latency !== null && latency > this.latencyThreshold;
+
+    if (circuit.state === CIRCUIT_STATES.HALF_OPEN) {
+      if (failed || slow) {
+        this.transition(circuit, CIRCUIT_STATES.OPEN, failed ? `probe failed: ${error.message}` : `probe took ${latency}ms`);
+      } else {
+        this.transition(circuit, CIRCUIT_STATES.CLOSED, 'probe succeeded');
+      }
+      return;
+    }
+
+    circuit.outcomes.push({ time: now, failed, slow });
+    circuit.outcomes = circuit.outcomes.filter(outcome => now - outcome.time < this.windowMs);
+
+    const stats = this.stats(circuit);
+    if (circuit.state !== CIRCUIT_STATES.CLOSED || stats.requests < this.minRequests) {
+      return;
+    }
+
+    if (stats.errorRate >= this.errorRate) {
+      this.transition(circuit, CIRCUIT_STATES.OPEN, `${Math.round(stats.errorRate * 100)}% of ${stats.requests} calls failed`);
+    } else if (this.latencyThreshold > 0 && stats.slowCallRate >= this.slowCallRate) {
+      this.transition(circuit, CIRCUIT_STATES.OPEN,
+        `${Math.round(stats.slowCallRate * 100)}% of ${stats.requests} calls took over ${this.latencyThreshold}ms`);
+    }
+  }
+
+  /**
+   * Summarize a circuit's outcomes in the current window
+   *
+   * @param {Object} circuit - Circuit state
+   * @returns {{requests: number, failures: number, slowCalls: number, errorRate: number, slowCallRate: number}} Stats
+   * @private
+   */
+  stats(circuit) {
+    const now = Date.now();
+    const outcomes = circuit.outcomes.filter(outcome => now - outcome.time < this.windowMs);
+    const failures = outcomes.filter(outcome => outcome.failed).length;
+    const slowCalls = outcomes.filter(outcome => outcome.slow).length;
+
+    return {
+      requests: outcomes.length,
+      failures,
+      slowCalls,
+      errorRate: outcomes.length > 0 ? failures / outcomes.length : 0,
+      slowCallRate: outcomes.length > 0 ? slowCalls / outcomes.length : 0
+    };
+  }
+
+  /**
+   * Close circuits by hand
+   *
+   * @param {string} key - Circuit key such as 'provider:openai', or omit to reset every circuit
+   */
+  reset(key = null) {
+    const circuits = key ? [this.circuits.get(key)].filter(Boolean) : [...this.circuits.values()];
+    circuits.forEach(circuit => this.transition(circuit, CIRCUIT_STATES.CLOSED, 'reset'));
+  }
+
+  /**
+   * Get the state of every known circuit
+   *
+   * @returns {Array<Object>} `{ key, scope, name, state, reason, openedAt, retryAt, requests, failures,
+   *   slowCalls, errorRate, slowCallRate }` for each circuit, with times as ISO strings
+   */
+  getStatus() {
+    return [...this.circuits.values()].map(circuit => ({
+      key: circuit.key,
+      scope: circuit.scope,
+      name: circuit.name,
+      state: this.currentState(circuit),
+      reason: circuit.reason,
+      openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null,
+      retryAt: circuit.retryAt ? new Date(circuit.retryAt).toISOString() : null,
+      ...this.stats(circuit)
+    }));
+  }
+
+  /**
+   * Create an OpenRouter interceptor that applies the circuits to calls
+   *
+   * Calls to other endpoints, and calls without a model, pass through.
+   * Latency is measured from this interceptor on, so it should come after
+   * any interceptor that queues requests. For streams only errors count,
+   * since the duration of a stream depends on the length of the answer, and
+   * a stream dropped before it is read only gives its slot back.
+   *
+   * @param {Array<string>} endpoints - Endpoints the circuits apply to
+   * @returns {Object} OpenRouter interceptor
+   */
+  createInterceptor(endpoints) {
+    return {
+      beforeRequest: (context) => {
+        const model = context.body?.model;
+        if (!endpoints.includes(context.endpoint) || !model) {
+          return;
+        }
+
+        context.metadata.circuitLease = this.acquire({ model });
+        context.metadata.circuitStart = Date.now();
+      },
+
+      afterResponse: (context, response) => {
+        // A stream dropped before it was read says nothing about the target
+        if (context.stream && !response?.completed && response?.chunkCount === 0) {
+          context.metadata.circuitLease?.release();
+          return;
+        }
+        context.metadata.circuitLease?.record({
+          latency: context.stream ? null : Date.now() - context.metadata.circuitStart
+        });
+      },
+
+      onError: (context, error) => {
+        if (error?.code === 'request_aborted') {
+          context.metadata.circuitLease?.release();
+        } else {
+          context.metadata.circuitLease?.record({ error });
+        }
+      }
+    };
+  }
+}
+
+export default CircuitBreaker;
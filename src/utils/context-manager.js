@@ -0,0 +1,200 @@
+/**
+ * Conversation context management
+ *
+ * Keeps a conversation inside a model's context window. System messages are
+ * always kept and sent first; the rest of the conversation is handled as
+ * turns (a user message and the assistant and tool messages that follow
+ * it), so tool calls are never separated from their results. Strategies:
+ *
+ * - 'sliding-window': drop the oldest turns until the prompt fits
+ * - 'last-turns': keep only the last `maxTurns` turns, then slide if needed
+ * - 'summarize': fold the oldest turns into a rolling summary that is sent
+ *   as a memory message after the system messages
+ */
+
+import OpenRouterError from '../errors/openrouter-error.js';
+import { countMessageTokens } from './token-counter.js';
+
+/**
+ * Available context strategies
+ */
+export const CONTEXT_STRATEGIES = ['sliding-window', 'last-turns', 'summarize'];
+
+/**
+ * Split messages into pinned system messages and conversation turns
+ *
+ * @param {Array<Object>} messages - Chat messages
+ * @returns {{system: Array<Object>, turns: Array<Array<Object>>}} System messages and turns
+ */
+function splitTurns(messages) {
+  const system = [];
+  const turns = [];
+
+  messages.forEach(message => {
+    if (message.role === 'system') {
+      system.push(message);
+    } else if (message.role === 'user' || turns.length === 0) {
+      turns.push([message]);
+    } else {
+      turns[turns.length - 1].push(message);
+    }
+  });
+
+  return { system, turns };
+}
+
+/**
+ * Format messages as a plain-text transcript
+ *
+ * @param {Array<Object>} messages - Chat messages
+ * @returns {string} One `role: content` line per message
+ */
+export function formatTranscript(messages) {
+  return messages.map(message => {
+    const content = Array.isArray(message.content)
+      ? message.content.map(part => part.text || `[${part.type}]`).join(' ')
+      : message.content || (message.tool_calls ? `[called ${message.tool_calls.map(call => call.function?.name).join(', ')}]` : '');
+    return `${message.role}: ${content}`;
+  }).join('\n');
+}
+
+/**
+ * ContextManager fits conversations into a context window
+ */
+export class ContextManager {
+  /**
+   * Create a new context manager
+   *
+   * @param {Object} options - Context options
+   * @param {string} options.strategy - 'sliding-window', 'last-turns' or 'summarize'
+   * @param {number} options.maxTurns - Turns kept by the 'last-turns' strategy
+   * @param {number} options.reserveOutput - Tokens kept free for the reply when no `maxTokens` is requested
+   * @param {number} options.maxOutputTokens - Upper bound for automatically sized `maxTokens`
+   * @param {number} options.minOutputTokens - Smallest reply the prompt must leave room for
+   * @param {number} options.safetyMargin - Fraction of the window left unused to absorb estimation error
+   * @param {number} options.summaryTokens - Room kept for the summary by the 'summarize' strategy
+   * @param {Function} options.summarize - `({ summary, messages, model, signal, attribution }) => Promise<string>` used by 'summarize'
+   */
+  constructor({
+    strategy = 'sliding-window',
+    maxTurns = 10,
+    reserveOutput = 1000,
+    maxOutputTokens = 4096,
+    minOutputTokens = 256,
+    safetyMargin = 0.05,
+    summaryTokens = 500,
+    summarize = null
+  } = {}) {
+    if (!CONTEXT_STRATEGIES.includes(strategy)) {
+      throw new Error(`Invalid context strategy: ${strategy}. Must be one of: ${CONTEXT_STRATEGIES.join(', ')}`);
+    }
+    if (strategy === 'summarize' && typeof summarize !== 'function') {
+      throw new Error('The summarize strategy requires a summarize function');
+    }
+
+    this.strategy = strategy;
+    this.maxTurns = maxTurns;
+    this.reserveOutput = reserveOutput;
+    this.maxOutputTokens = maxOutputTokens;
+    this.minOutputTokens = minOutputTokens;
+    this.safetyMargin = safetyMargin;
+    this.summaryTokens = summaryTokens;
+    this.summarize = summarize;
+  }
+
+  /**
+   * Build the memory message carrying a summary
+   *
+   * @param {string} summary - Conversation summary
+   * @returns {Array<Object>} Memory message, or an empty array without a summary
+   */
+  memoryMessages(summary) {
+    return summary
+      ? [{ role: 'system', content: `Summary of the earlier conversation:\n${summary}` }]
+      : [];
+  }
+
+  /**
+   * Fit a conversation into a model's context window
+   *
+   * The latest turn is always kept; if it does not fit on its own a
+   * validation error is thrown rather than sending a request that would be
+   * rejected.
+   *
+   * @param {Array<Object>} messages - Full conversation, system messages included
+   * @param {Object} options - Fit options
+   * @param {string} options.model - Model ID, for token counting and summarization
+   * @param {number} options.contextLength - Model context window in tokens
+   * @param {number} options.maxTokens - Requested reply size; clamped to what is left (sized automatically if omitted)
+   * @param {number} options.maxCompletionTokens - Provider limit on reply size, if known
+   * @param {string} options.summary - Summary carried over from earlier fits
+   * @param {AbortSignal} options.signal - Signal to cancel summarization
+   * @param {Object} options.attribution - Passed through to `summarize`, e.g. the session the call is billed to
+   * @returns {Promise<{messages: Array<Object>, history: Array<Object>, summary: string|null, maxTokens: number,
+   *   promptTokens: number, contextLength: number, dropped: number}>} Messages to send (with the memory message),
+   *   the trimmed history to keep, the updated summary and the reply size
+   */
+  async fit(messages, { model, contextLength, maxTokens, maxCompletionTokens, summary = null, signal, attribution } = {}) {
+    const { system, turns } = splitTurns(messages);
+    const usable = Math.floor(contextLength * (1 - this.safetyMargin));
+    const reserve = Math.min(maxTokens ?? this.reserveOutput, Math.floor(usable / 2));
+    const budget = usable - Math.max(reserve, this.minOutputTokens);
+
+    const count = (kept, currentSummary) =>
+      countMessageTokens([...system, ...this.memoryMessages(currentSummary), ...kept.flat()], model);
+
+    let kept = turns;
+    let dropped = [];
+    if (this.strategy === 'last-turns' && kept.length > this.maxTurns) {
+      dropped = kept.slice(0, kept.length - this.maxTurns);
+      kept = kept.slice(-this.maxTurns);
+    }
+
+    // Leave room for the summary the dropped turns will become
+    const summaryRoom = this.strategy === 'summarize' ? this.summaryTokens : 0;
+    while (kept.length > 1 && count(kept, summary) + summaryRoom > budget) {
+      dropped.push(kept[0]);
+      kept = kept.slice(1);
+    }
+
+    let nextSummary = summary;
+    if (this.strategy === 'summarize' && dropped.length > 0) {
+      nextSummary = await this.summarize({ summary, messages: dropped.flat(), model, signal, attribution });
+
+      // A summary longer than expected pushes out further turns, which are folded in as well
+      while (kept.length > 1 && count(kept, nextSummary) > budget) {
+        const pushedOut = [];
+        while (kept.length > 1 && count(kept, nextSummary) > budget) {
+          pushedOut.push(kept[0]);
+          kept = kept.slice(1);
+        }
+        dropped.push(...pushedOut);
+        nextSummary = await this.summarize({ summary: nextSummary, messages: pushedOut.flat(), model, signal, attribution });
+      }
+    }
+
+    const promptTokens = count(kept, nextSummary);
+    const available = usable - promptTokens;
+    if (available < this.minOutputTokens) {
+      throw OpenRouterError.validationError(
+        `Conversation needs about ${promptTokens} tokens, which leaves no room for a reply in the ${contextLength} token context of ${model}`,
+        'messages'
+      );
+    }
+
+    const limits = [available, maxTokens ?? this.maxOutputTokens, maxCompletionTokens].filter(limit => limit > 0);
+    const history = [...system, ...kept.flat()];
+
+    return {
+      messages: [...system, ...this.memoryMessages(nextSummary), ...kept.flat()],
+      history,
+      summary: nextSummary,
+      maxTokens: Math.min(...limits),
+      promptTokens,
+      contextLength,
+      dropped: dropped.length
+    };
+  }
+}
+
+export default ContextManager;
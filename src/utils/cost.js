@@ -0,0 +1,138 @@
+/**
+ * Request cost accounting
+ *
+ * Prices a call from its token usage and the model's catalog pricing, or
+ * takes the amount OpenRouter reports in `usage.cost` when the request asked
+ * for it with `usage: { include: true }`. Catalog prices are USD per token
+ * (per image or per request for the `image` and `request` fields).
+ */
+
+/**
+ * Read a per-unit price from a model's pricing
+ *
+ * @param {Object} pricing - Model pricing
+ * @param {string} kind - Pricing field such as 'prompt' or 'internal_reasoning'
+ * @returns {number|null} Price in USD, or null if not listed
+ */
+function unitPrice(pricing, kind) {
+  const price = parseFloat(pricing?.[kind]);
+  return Number.isFinite(price) && price >= 0 ? price : null;
+}
+
+/**
+ * Count the images sent in a request's messages
+ *
+ * @param {Object} body - Request body
+ * @returns {number} Number of image parts
+ */
+export function countRequestImages(body) {
+  return (body?.messages || []).reduce((total, message) => total + (Array.isArray(message.content)
+    ? message.content.filter(part => part.type === 'image_url').length
+    : 0), 0);
+}
+
+/**
+ * Create a zero cost, e.g. for a response served from the cache
+ *
+ * @param {string} source - Where the amount comes from
+ * @returns {Object} Cost with every component set to 0
+ */
+export function zeroCost(source = 'cache') {
+  return { total: 0, prompt: 0, completion: 0, reasoning: 0, image: 0, request: 0, currency: 'USD', source };
+}
+
+/**
+ * Calculate the cost of a call
+ *
+ * Reasoning tokens are part of `completion_tokens` and are priced at
+ * `internal_reasoning` when the model lists it; cached prompt tokens are
+ * priced at `input_cache_read`. When OpenRouter reports `usage.cost` that
+ * amount becomes the total and the components are kept as an estimate of
+ * how it splits.
+ *
+ * @param {Object|null} model - Model entry from the catalog, if known
+ * @param {Object} usage - Usage reported for the call
+ * @param {Object} options - Cost options
+ * @param {number} options.images - Number of images in the prompt
+ * @returns {{total: number, prompt: number|null, completion: number|null, reasoning: number|null,
+ *   image: number|null, request: number|null, currency: string, source: string}|null}
+ *   Cost in USD with `source` 'openrouter' or 'pricing', or null if it cannot be worked out
+ */
+export function calculateCost(model, usage, { images = 0 } = {}) {
+  if (!usage) {
+    return null;
+  }
+
+  const reported = typeof usage.cost === 'number' ? usage.cost : null;
+  const pricing = model?.pricing;
+  const promptPrice = unitPrice(pricing, 'prompt');
+  const completionPrice = unitPrice(pricing, 'completion');
+
+  if (promptPrice === null || completionPrice === null) {
+    return reported === null ? null : {
+      total: reported,
+      prompt: null,
+      completion: null,
+      reasoning: null,
+      image: null,
+      request: null,
+      currency: 'USD',
+      source: 'openrouter'
+    };
+  }
+
+  const promptTokens = usage.prompt_tokens || 0;
+  const cachedTokens = Math.min(usage.prompt_tokens_details?.cached_tokens || 0, promptTokens);
+  const completionTokens = usage.completion_tokens || 0;
+  const reasoningTokens = Math.min(usage.completion_tokens_details?.reasoning_tokens || 0, completionTokens);
+
+  const cost = {
+    prompt: (promptTokens - cachedTokens) * promptPrice +
+      cachedTokens * (unitPrice(pricing, 'input_cache_read') ?? promptPrice),
+    completion: (completionTokens - reasoningTokens) * completionPrice,
+    reasoning: reasoningTokens * (unitPrice(pricing, 'internal_reasoning') || completionPrice),
+    image: images * (unitPrice(pricing, 'image') || 0),
+    request: unitPrice(pricing, 'request') || 0
+  };
+  const estimate = cost.prompt + cost.completion + cost.reasoning + cost.image + cost.request;
+
+  return {
+    total: reported ?? estimate,
+    ...cost,
+    currency: 'USD',
+    source: reported === null ? 'pricing' : 'openrouter'
+  };
+}
+
+/**
+ * Add up the costs of several calls
+ *
+ * A component is null in the sum if it is unknown for any of the calls.
+ *
+ * @param {Array<Object|null>} costs - Costs as returned by calculateCost
+ * @returns {Object|null} Combined cost, or null if none of the costs is known
+ */
+export function sumCosts(costs) {
+  const known = costs.filter(Boolean);
+  if (known.length === 0) {
+    return null;
+  }
+
+  const add = field => (known.some(cost => cost[field] === null)
+    ? null
+    : known.reduce((total, cost) => total + cost[field], 0));
+  const sources = [...new Set(known.map(cost => cost.source))];
+
+  return {
+    total: add('total'),
+    prompt: add('prompt'),
+    completion: add('completion'),
+    reasoning: add('reasoning'),
+    image: add('image'),
+    request: add('request'),
+    currency: 'USD',
+    source: sources.length === 1 ? sources[0] : 'mixed'
+  };
+}
+
+export default calculateCost;
@@ -0,0 +1,162 @@
+/**
+ * Model fallback chains
+ *
+ * Runs a call against a preferred model and moves down a chain of
+ * alternatives when the failure is one another model could avoid: rate
+ * limits, timeouts, server and network errors, open circuits, and models
+ * that are not (or no longer) available. Errors in the request itself (validation,
+ * authentication, budget) and cancellations end the chain, since every
+ * other model would reject the call the same way.
+ *
+ * Two strategies are supported:
+ *
+ * - 'client': call each model in turn, recording why each one failed
+ * - 'server': send the whole chain once as OpenRouter's `models` array and
+ *   let OpenRouter pick the first model that accepts it
+ */
+
+/**
+ * Available fallback strategies
+ */
+export const FALLBACK_STRATEGIES = ['client', 'server'];
+
+/**
+ * Fallback chain used when none is configured
+ */
+export const DEFAULT_FALLBACK_MODELS = ['anthropic/claude-3.5-sonnet', 'google/gemini-2.0-flash-001'];
+
+/**
+ * Work out whether a failed call should move on to the next model
+ *
+ * @param {Error} error - Error the call failed with
+ * @returns {string|null} Reason to fall back ('circuit_open', 'rate_limited', 'timeout',
+ *   'server_error', 'network_error' or 'model_unavailable'), or null if the chain should stop
+ */
+export function getFallbackReason(error) {
+  const status = error?.status;
+
+  if (error?.code === 'circuit_open') {
+    return 'circuit_open';
+  }
+  if (status === 429) {
+    return 'rate_limited';
+  }
+  if (status === 408 || error?.code === 'timeout_error') {
+    return 'timeout';
+  }
+  if (status >= 500) {
+    return 'server_error';
+  }
+  if (status === 0) {
+    return 'network_error';
+  }
+  if (status === 404) {
+    return 'model_unavailable';
+  }
+
+  return null;
+}
+
+/**
+ * Describe a failed attempt for the fallback report
+ *
+ * @param {string} model - Model that was tried
+ * @param {Error} error - Error it failed with
+ * @param {string|null} reason - Fallback reason, or null if the chain stopped here
+ * @returns {{model: string, status: number|null, code: string|null, message: string, reason: string|null}} Attempt
+ */
+function describeAttempt(model, error, reason) {
+  return {
+    model,
+    status: error?.status ?? null,
+    code: error?.code ?? null,
+    message: error?.message || String(error),
+    reason
+  };
+}
+
+/**
+ * Run a call with model fallback
+ *
+ * Models `unavailable` reports on are left out of the chain, e.g. with
+ * reason 'not_listed' or 'circuit_open'; the preferred model is only left
+ * out while another model remains to be tried. When every
+ * model fails, or a failure ends the chain, the last error is thrown with
+ * the report attached as `error.fallback`.
+ *
+ * @param {Object} options - Fallback options
+ * @param {string} options.model - Preferred model
+ * @param {Array<string>} options.fallbackModels - Models to try next, in order
+ * @param {string} options.strategy - 'client' or 'server'
+ * @param {AbortSignal} options.signal - Signal that ends the chain once aborted
+ * @param {Function} options.unavailable - `(model) => string|null`, the reason to skip a model without calling it
+ * @param {Function} options.onFallback - Called with each failed attempt before the next model is tried
+ * @param {Function} attempt - `({ model, models }) => Promise<any>` making the call; `models` is only
+ *   set for the 'server' strategy
+ * @returns {Promise<{result: any, model: string, fallback: {strategy: string, models: Array<string>,
+ *   attempts: Array<Object>}}>} Call result, the model that answered and the fallback report
+ */
+export async function runWithFallback({
+  model,
+  fallbackModels = [],
+  strategy = 'client',
+  signal,
+  unavailable = () => null,
+  onFallback = null
+}, attempt) {
+  if (!FALLBACK_STRATEGIES.includes(strategy)) {
+    throw new Error(`Invalid fallback strategy: ${strategy}. Must be one of: ${FALLBACK_STRATEGIES.join(', ')}`);
+  }
+
+  const models = [...new Set([model, ...fallbackModels].filter(Boolean))];
+  const attempts = [];
+  const skipped = models.map(candidate => unavailable(candidate));
+  let chain = models.filter((candidate, index) => !skipped[index]);
+  if (chain.length === 0) {
+    // Nothing else to try, so let the preferred model report why it is unavailable
+    chain = [models[0]];
+    skipped[0] = null;
+  }
+  skipped.forEach((reason, index) => {
+    if (reason) {
+      attempts.push({ model: models[index], status: null, code: null, message: `Skipped: ${reason.replace('_', ' ')}`, reason });
+    }
+  });
+
+  if (strategy === 'server') {
+    try {
+      const result = await attempt({ model: chain[0], models: chain.length > 1 ? chain : undefined });
+      // Streams do not say which model answered until the first chunk
+      return { result, model: result?.model || chain[0], fallback: { strategy, models, attempts } };
+    } catch (error) {
+      attempts.push(describeAttempt(chain.join(', '), error, null));
+      error.fallback = { strategy, models, attempts };
+      throw error;
+    }
+  }
+
+  let lastError = null;
+  for (const [index, candidate] of chain.entries()) {
+    try {
+      const result = await attempt({ model: candidate });
+      return { result, model: candidate, fallback: { strategy, models, attempts } };
+    } catch (error) {
+      const reason = signal?.aborted ? null : getFallbackReason(error);
+      const failed = describeAttempt(candidate, error, reason);
+      attempts.push(failed);
+      lastError = error;
+
+      if (!reason) {
+        break;
+      }
+      if (index < chain.length - 1 && onFallback) {
+        onFallback(failed);
+      }
+    }
+  }
+
+  lastError.fallback = { strategy, models, attempts };
+  throw lastError;
+}
+
+export default runWithFallback;
@@ -62,13 +62,14 @@ export class FunctionWizard {
           console.log(`Executing ${name} with params:`, params);
         }
 
+        let timeoutId;
         const result = await Promise.race([
           func.handler(params),
-          new Promise((_, reject) => 
-            setTimeout(() => reject(new Error('Function execution timeout')), 
-            this.options.timeout)
-          )
-        ]);
+          new Promise((_, reject) => {
+            timeoutId = setTimeout(() => reject(new Error('Function execution timeout')), 
+            this.options.timeout);
+          })
+        ]).finally(() => clearTimeout(timeoutId));
 
         if (this.options.debug) {
           console.log(`${name} completed in ${Date.now() - startTime}ms`);
@@ -105,6 +106,37 @@ export class FunctionWizard {
     };
   }
 
+  /**
+   * Convert registered functions to OpenAI-style tool definitions
+   * 
+   * @param {Array<string>} names - Functions to include (defaults to all)
+   * @returns {Array<Object>} Tools for the `tools` request parameter
+   */
+  toTools(names = null) {
+    const selected = names
+      ? names.map(name => {
+        const func = this.functions.get(name);
+        if (!func) {
+          throw new Error(`Function ${name} not found`);
+        }
+        return func;
+      })
+      : Array.from(this.functions.values());
+
+    return selected.map(func => ({
+      type: 'function',
+      function: {
+        name: func.name,
+        description: func.description,
+        parameters: {
+          type: 'object',
+          properties: func.parameters || {},
+          required: func.required || []
+        }
+      }
+    }));
+  }
+
   /**
    * List all registered functions
    */
@@ -156,6 +188,18 @@ export class FunctionWizard {
       if (schema.type === 'boolean' && typeof value !== 'boolean') {
         throw new Error(`Parameter ${key} must be a boolean`);
       }
+      if (schema.type === 'integer' && !Number.isInteger(value)) {
+        throw new Error(`Parameter ${key} must be an integer`);
+      }
+      if (schema.type === 'array' && !Array.isArray(value)) {
+        throw new Error(`Parameter ${key} must be an array`);
+      }
+      if (schema.type === 'object' && (typeof value !== 'object' || value === null || Array.isArray(value))) {
+        throw new Error(`Parameter ${key} must be an object`);
+      }
+      if (schema.enum && !schema.enum.includes(value)) {
+        throw new Error(`Parameter ${key} must be one of: ${schema.enum.join(', ')}`);
+      }
     }
   }
 }
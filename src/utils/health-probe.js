@@ -0,0 +1,227 @@
+/**
+ * Provider health probes
+ *
+ * Checks whether each provider is actually answering, rather than whether
+ * it is configured. A probe either sends a one-token completion to a small
+ * model with the provider pinned through `provider.order` (no fallbacks),
+ * or reads the uptime OpenRouter reports for the provider's endpoint of
+ * that model. The model is looked up in the model catalog rather than
+ * hardcoded, so probes follow the models providers actually serve. Probes
+ * run concurrently, are timed, and their results are cached for a short
+ * TTL so status pages can be polled freely.
+ */
+
+import OpenRouterError from '../errors/openrouter-error.js';
+import { raceSignal } from './abort-signal.js';
+
+/**
+ * Ways a provider can be probed
+ *
+ * - 'endpoints': read the endpoint's uptime from `/models/{id}/endpoints` (free)
+ * - 'completion': request a one-token completion from the pinned provider (billed)
+ */
+export const PROBE_METHODS = ['endpoints', 'completion'];
+
+/**
+ * Catalog author whose models are probed for each provider, and the
+ * provider's name in OpenRouter routing
+ *
+ * A target may also pin a `model`, which is then probed instead of one
+ * looked up in the catalog.
+ */
+export const HEALTH_TARGETS = {
+  openai: { author: 'openai', provider: 'OpenAI' },
+  anthropic: { author: 'anthropic', provider: 'Anthropic' },
+  google: { author: 'google', provider: 'Google AI Studio' },
+  mistral: { author: 'mistralai', provider: 'Mistral' },
+  together: { author: 'meta-llama', provider: 'Together' }
+};
+
+/**
+ * HealthProber probes providers and caches the results
+ */
+export class HealthProber {
+  /**
+   * Create a new health prober
+   *
+   * @param {Object} options - Probe options
+   * @param {Function} options.listEndpoints - `(model, { signal }) => Promise<Object>` returning the model's endpoints
+   * @param {Function} options.complete - `(body, { signal }) => Promise<Object>` sending a chat completion
+   * @param {Function} options.resolveModel - `(target, { signal }) => Promise<string|null>` picking the model
+   *   to probe for a target without a pinned `model`
+   * @param {string} options.method - 'endpoints' or 'completion'
+   * @param {Object} options.targets - Probe targets by provider ID (see HEALTH_TARGETS)
+   * @param {number} options.ttl - How long results are reused, in milliseconds
+   * @param {number} options.timeout - How long a probe may take before the provider counts as unavailable
+   * @param {number} options.minUptime - Lowest reported uptime percentage still counted as available
+   * @param {number} options.modelTTL - How long a looked-up probe model is reused, in milliseconds
+   */
+  constructor({
+    listEndpoints,
+    complete,
+    resolveModel = null,
+    method = 'endpoints',
+    targets = HEALTH_TARGETS,
+    ttl = 30 * 1000,
+    timeout = 10 * 1000,
+    minUptime = 50,
+    modelTTL = 60 * 60 * 1000
+  }) {
+    if (!PROBE_METHODS.includes(method)) {
+      throw new Error(`Invalid probe method: ${method}. Must be one of: ${PROBE_METHODS.join(', ')}`);
+    }
+
+    this.listEndpoints = listEndpoints;
+    this.complete = complete;
+    this.resolveModel = resolveModel;
+    this.method = method;
+    this.targets = targets;
+    this.ttl = ttl;
+    this.timeout = timeout;
+    this.minUptime = minUptime;
+    this.modelTTL = modelTTL;
+    this.models = new Map();
+    this.results = new Map();
+    this.pending = new Map();
+  }
+
+  /**
+   * Check one provider, reusing a recent result unless a refresh is asked for
+   *
+   * Concurrent checks of the same provider share one probe, which runs
+   * under its own timeout only: a caller's signal stops that caller
+   * waiting, without failing the probe for the others.
+   *
+   * @param {string} id - Provider ID, e.g. 'anthropic'
+   * @param {Object} options - Check options
+   * @param {boolean} options.refresh - Probe even if a cached result is still fresh
+   * @param {AbortSignal} options.signal - Signal to stop waiting for the probe
+   * @returns {Promise<Object>} `{ provider, available, method, model, upstream, latency, uptime, status,
+   *   error, checkedAt, cached }`
+   */
+  async check(id, { refresh = false, signal } = {}) {
+    const target = this.targets[id];
+    if (!target) {
+      throw OpenRouterError.validationError(`Unknown provider: ${id}. Must be one of: ${Object.keys(this.targets).join(', ')}`, 'provider');
+    }
+
+    const cached = this.results.get(id);
+    if (!refresh && cached && Date.now() - cached.time < this.ttl) {
+      return { ...cached.result, cached: true };
+    }
+
+    if (!this.pending.has(id)) {
+      this.pending.set(id, this.probe(id, target).finally(() => this.pending.delete(id)));
+    }
+
+    return { ...(await raceSignal(this.pending.get(id), signal)), cached: false };
+  }
+
+  /**
+   * Check every provider concurrently
+   *
+   * @param {Object} options - Check options, as for check()
+   * @returns {Promise<Object>} Results by provider ID
+   */
+  async checkAll(options = {}) {
+    const ids = Object.keys(this.targets);
+    const results = await Promise.all(ids.map(id => this.check(id, options)));
+    return Object.fromEntries(ids.map((id, index) => [id, results[index]]));
+  }
+
+  /**
+   * Get the model to probe for a provider
+   *
+   * @param {string} id - Provider ID
+   * @param {Object} target - Probe target
+   * @param {AbortSignal} signal - Signal to cancel the lookup
+   * @returns {Promise<string|null>} Model ID, or null if none is listed for the provider
+   * @private
+   */
+  async modelFor(id, target, signal) {
+    if (target.model) {
+      return target.model;
+    }
+
+    const cached = this.models.get(id);
+    if (cached && Date.now() - cached.time < this.modelTTL) {
+      return cached.model;
+    }
+
+    const model = this.resolveModel ? await this.resolveModel(target, { signal }) : null;
+    if (model) {
+      this.models.set(id, { time: Date.now(), model });
+    }
+    return model;
+  }
+
+  /**
+   * Probe a provider and cache the result
+   *
+   * @param {string} id - Provider ID
+   * @param {Object} target - Probe target
+   * @returns {Promise<Object>} Probe result
+   * @private
+   */
+  async probe(id, target) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    const started = Date.now();
+    const result = {
+      provider: id,
+      available: false,
+      method: this.method,
+      model: null,
+      upstream: target.provider,
+      latency: null,
+      uptime: null,
+      status: null,
+      error: null,
+      checkedAt: new Date(started).toISOString()
+    };
+
+    try {
+      result.model = await this.modelFor(id, target, controller.signal);
+      if (!result.model) {
+        result.error = `No listed model is served by ${target.provider}`;
+      } else if (this.method === 'completion') {
+        const response = await this.complete({
+          model: result.model,
+          messages: [{ role: 'user', content: 'ping' }],
+          max_tokens: 1,
+          temperature: 0,
+          provider: { order: [target.provider], allow_fallbacks: false }
+        }, { signal: controller.signal });
+        result.available = Array.isArray(response?.choices) && response.choices.length > 0;
+        if (!result.available) {
+          result.error = 'Probe returned no choices';
+        }
+      } else {
+        const data = await this.listEndpoints(result.model, { signal: controller.signal });
+        const endpoint = (data?.endpoints || []).find(candidate => candidate.provider_name === target.provider);
+        if (endpoint) {
+          result.uptime = endpoint.uptime_last_30m ?? null;
+          result.status = endpoint.status ?? null;
+          result.available = result.uptime === null || result.uptime >= this.minUptime;
+          if (!result.available) {
+            result.error = `Uptime over the last 30 minutes is ${result.uptime}%`;
+          }
+        } else {
+          result.error = `${target.provider} does not serve ${result.model}`;
+        }
+      }
+    } catch (error) {
+      result.error = controller.signal.aborted ? `Probe timed out after ${this.timeout}ms` : error.message;
+      result.status = error.status ?? null;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    result.latency = Date.now() - started;
+    this.results.set(id, { time: started, result });
+    return result;
+  }
+}
+
+export default HealthProber;
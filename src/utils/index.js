@@ -6,12 +6,31 @@ export { Logger } from './logger.js';
 export { MemoryCache } from './memory-cache.js';
 export { RateLimiter } from './rate-limiter.js';
 export { retry } from './retry.js';
-export { ProviderRouting } from './provider-routing.js';
+export { ProviderRouting, PROVIDER_SORTS, QUANTIZATIONS } from './provider-routing.js';
 export { WebSearch } from './web-search.js';
 export { StructuredOutput } from './structured-output.js';
 export { Reasoning } from './reasoning.js';
 export { CrewAI } from './crew-ai.js';
 export { VectorDB, createVectorDB } from './vector-db.js';
+export { parseSSE, parseChatCompletionStream } from './sse-parser.js';
+export { canonicalize } from './canonical-json.js';
+export { raceSignal } from './abort-signal.js';
+export { hashString, createCacheKey } from './cache-key.js';
+export { RequestThrottler } from './request-throttler.js';
+export { KeyPool, maskKey } from './key-pool.js';
+export { StreamAccumulator, accumulateStream } from './stream-accumulator.js';
+export { validateJsonSchema, formatSchemaErrors } from './json-schema-validator.js';
+export { parsePartialJson, PartialJsonParser, streamPartialJson } from './partial-json.js';
+export { MessageBuilder, detectMimeType, loadAttachment, getRequiredModalities, assertModelSupportsMessages } from './message-builder.js';
+export { getTokenizerFamily, countTextTokens, countMessageTokens, countToolTokens, countRequestTokens, fitsContext } from './token-counter.js';
+export { ContextManager, CONTEXT_STRATEGIES } from './context-manager.js';
+export { ModelCatalog, modelPrice, modelModalities, parseModelId, resolveModelId } from './model-catalog.js';
+export { calculateCost, sumCosts, zeroCost, countRequestImages } from './cost.js';
+export { BudgetManager, BUDGET_SCOPES, BUDGET_WINDOWS, createRunId } from './budget-manager.js';
+export { runWithFallback, getFallbackReason, FALLBACK_STRATEGIES, DEFAULT_FALLBACK_MODELS } from './fallback.js';
+export { raceStreams, RACE_WIN_CONDITIONS } from './request-race.js';
+export { CircuitBreaker, CIRCUIT_STATES } from './circuit-breaker.js';
+export { HealthProber, PROBE_METHODS, HEALTH_TARGETS } from './health-probe.js';
 
 export default {
   Logger,
@@ -0,0 +1,213 @@
+/**
+ * Lightweight JSON Schema validator
+ *
+ * Covers the subset of JSON Schema used for structured outputs: type
+ * (including unions and integer), required, enum, const, properties,
+ * additionalProperties, items, anyOf, string/number/array bounds and
+ * pattern. Local `$ref`s to `#/definitions/...` or `#/$defs/...` are
+ * resolved against the root schema.
+ */
+
+/**
+ * Get the JSON Schema type name of a value
+ *
+ * @param {any} value - Value to inspect
+ * @returns {string} Type name
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+/**
+ * Check a value against a single JSON Schema type
+ *
+ * @param {any} value - Value to check
+ * @param {string} type - Schema type
+ * @returns {boolean} True if the value has the type
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'object':
+      return typeOf(value) === 'object';
+    default:
+      return typeOf(value) === type;
+  }
+}
+
+/**
+ * Format a property name as a path segment
+ *
+ * @param {string} path - Parent path
+ * @param {string} key - Property name
+ * @returns {string} Child path
+ */
+function childPath(path, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Resolve a local $ref
+ *
+ * @param {string} ref - Reference such as `#/$defs/item`
+ * @param {Object} root - Root schema
+ * @returns {Object} Referenced schema
+ */
+function resolveRef(ref, root) {
+  if (!ref.startsWith('#')) {
+    throw new Error(`Only local schema references are supported: ${ref}`);
+  }
+
+  return ref
+    .slice(1)
+    .split('/')
+    .filter(Boolean)
+    .reduce((schema, segment) => {
+      const key = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+      if (!schema || !(key in schema)) {
+        throw new Error(`Unresolvable schema reference: ${ref}`);
+      }
+      return schema[key];
+    }, root);
+}
+
+/**
+ * Validate a value against a schema node
+ *
+ * @param {any} value - Value to validate
+ * @param {Object|boolean} schema - Schema node
+ * @param {string} path - Path of the value
+ * @param {Object} root - Root schema for $ref resolution
+ * @param {Array<Object>} errors - Collected errors
+ */
+function validateNode(value, schema, path, root, errors) {
+  if (schema === true || schema === undefined) {
+    return;
+  }
+  if (schema === false) {
+    errors.push({ path, keyword: 'false', message: 'is not allowed' });
+    return;
+  }
+
+  if (schema.$ref) {
+    validateNode(value, resolveRef(schema.$ref, root), path, root, errors);
+    return;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path, keyword: 'type', message: `must be ${types.join(' or ')}, got ${typeOf(value)}` });
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push({ path, keyword: 'enum', message: `must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}` });
+  }
+
+  if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push({ path, keyword: 'const', message: `must be ${JSON.stringify(schema.const)}` });
+  }
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some(option => {
+      const optionErrors = [];
+      validateNode(value, option, path, root, optionErrors);
+      return optionErrors.length === 0;
+    });
+    if (!matches) {
+      errors.push({ path, keyword: 'anyOf', message: 'must match at least one allowed schema' });
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, keyword: 'minLength', message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, keyword: 'maxLength', message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, keyword: 'pattern', message: `must match pattern ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, keyword: 'minimum', message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, keyword: 'maximum', message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, keyword: 'minItems', message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, keyword: 'maxItems', message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateNode(item, schema.items, `${path}[${index}]`, root, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) {
+        errors.push({ path: childPath(path, key), keyword: 'required', message: 'is required' });
+      }
+    });
+
+    Object.entries(value).forEach(([key, propertyValue]) => {
+      if (key in properties) {
+        validateNode(propertyValue, properties[key], childPath(path, key), root, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath(path, key), keyword: 'additionalProperties', message: 'is not an allowed property' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateNode(propertyValue, schema.additionalProperties, childPath(path, key), root, errors);
+      }
+    });
+  }
+}
+
+/**
+ * Validate a value against a JSON Schema
+ *
+ * @param {any} value - Value to validate
+ * @param {Object} schema - JSON Schema
+ * @returns {Array<{path: string, keyword: string, message: string}>} Validation errors (empty if valid)
+ */
+export function validateJsonSchema(value, schema) {
+  const errors = [];
+  validateNode(value, schema, '$', schema, errors);
+  return errors;
+}
+
+/**
+ * Format validation errors as readable lines
+ *
+ * @param {Array<Object>} errors - Errors from validateJsonSchema
+ * @returns {string} One `path message` line per error
+ */
+export function formatSchemaErrors(errors) {
+  return errors.map(error => `${error.path} ${error.message}`).join('\n');
+}
+
+export default {
+  validateJsonSchema,
+  formatSchemaErrors
+};
@@ -0,0 +1,228 @@
+/**
+ * API key pool
+ *
+ * Spreads requests across several OpenRouter keys and benches keys that
+ * fail authentication, run out of credit or get rate limited, so requests
+ * can be retried on a healthy key.
+ */
+
+import { hashString } from './cache-key.js';
+
+/**
+ * Status codes that mean the key itself is unusable for now
+ */
+export const KEY_FAILURE_STATUSES = [401, 402, 429];
+
+/**
+ * Mask an API key for display
+ *
+ * @param {string} key - API key
+ * @returns {string} Masked key showing only its prefix and last characters
+ */
+export function maskKey(key) {
+  if (!key || key.length <= 12) {
+    return '****';
+  }
+
+  return `${key.slice(0, 8)}...${key.slice(-4)}`;
+}
+
+/**
+ * KeyPool selects keys by strategy and tracks per-key health
+ */
+export class KeyPool {
+  /**
+   * Create a new key pool
+   *
+   * @param {Array<string|Object>} keys - Keys as strings or `{ key, weight, label }` objects
+   * @param {Object} options - Pool options
+   * @param {string} options.strategy - 'round-robin', 'least-used' or 'sticky'
+   * @param {number} options.cooldown - How long a failing key is benched in milliseconds
+   */
+  constructor(keys = [], { strategy = 'round-robin', cooldown = 60 * 1000 } = {}) {
+    if (!['round-robin', 'least-used', 'sticky'].includes(strategy)) {
+      throw new Error(`Invalid key strategy: ${strategy}. Must be one of: round-robin, least-used, sticky`);
+    }
+
+    this.strategy = strategy;
+    this.cooldown = cooldown;
+    this.entries = keys
+      .map(entry => (typeof entry === 'string' ? { key: entry } : entry))
+      .filter(entry => entry.key)
+      .map(entry => ({
+        key: entry.key,
+        label: entry.label || maskKey(entry.key),
+        weight: entry.weight > 0 ? entry.weight : 1,
+        requests: 0,
+        errors: 0,
+        currentWeight: 0,
+        benchedUntil: 0,
+        lastError: null
+      }));
+  }
+
+  /**
+   * Get the number of keys in the pool
+   *
+   * @returns {number} Number of keys
+   */
+  size() {
+    return this.entries.length;
+  }
+
+  /**
+   * Get keys that are not benched
+   *
+   * @returns {Array<Object>} Available key entries
+   */
+  available() {
+    const now = Date.now();
+    return this.entries.filter(entry => entry.benchedUntil <= now);
+  }
+
+  /**
+   * Check whether any key is currently usable
+   *
+   * @returns {boolean} True if at least one key is not benched
+   */
+  hasAvailable() {
+    return this.available().length > 0;
+  }
+
+  /**
+   * Get the time until the first benched key becomes usable again
+   *
+   * @returns {number} Delay in milliseconds (0 if a key is available)
+   */
+  getNextAvailableDelay() {
+    if (this.hasAvailable()) {
+      return 0;
+    }
+
+    const soonest = Math.min(...this.entries.map(entry => entry.benchedUntil));
+    return Math.max(0, soonest - Date.now());
+  }
+
+  /**
+   * Select a key for a request
+   *
+   * @param {Object} request - Request details
+   * @param {string} request.user - End-user ID used by the sticky strategy
+   * @returns {Object|null} Selected key entry, or null if every key is benched
+   */
+  select({ user } = {}) {
+    const candidates = this.available();
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    let selected;
+    if (this.strategy === 'least-used') {
+      selected = candidates.reduce((best, entry) =>
+        (entry.requests / entry.weight < best.requests / best.weight ? entry : best));
+    } else if (this.strategy === 'sticky' && user) {
+      selected = this.selectSticky(candidates, String(user));
+    } else {
+      selected = this.selectWeightedRoundRobin(candidates);
+    }
+
+    selected.requests++;
+    return selected;
+  }
+
+  /**
+   * Smooth weighted round-robin, as used by nginx
+   *
+   * @param {Array<Object>} candidates - Available key entries
+   * @returns {Object} Selected key entry
+   */
+  selectWeightedRoundRobin(candidates) {
+    const totalWeight = candidates.reduce((sum, entry) => sum + entry.weight, 0);
+    let selected = candidates[0];
+
+    candidates.forEach(entry => {
+      entry.currentWeight += entry.weight;
+      if (entry.currentWeight > selected.currentWeight) {
+        selected = entry;
+      }
+    });
+
+    selected.currentWeight -= totalWeight;
+    return selected;
+  }
+
+  /**
+   * Map a user to a key with weighted rendezvous hashing
+   *
+   * A user keeps the same key while it is healthy and only moves when that
+   * key is benched.
+   *
+   * @param {Array<Object>} candidates - Available key entries
+   * @param {string} user - End-user ID
+   * @returns {Object} Selected key entry
+   */
+  selectSticky(candidates, user) {
+    let selected = candidates[0];
+    let bestScore = -Infinity;
+
+    candidates.forEach(entry => {
+      const hash = (hashString(`${user}:${entry.key}`) + 1) / (2 ** 53 + 1);
+      const score = -entry.weight / Math.log(hash);
+      if (score > bestScore) {
+        bestScore = score;
+        selected = entry;
+      }
+    });
+
+    return selected;
+  }
+
+  /**
+   * Record a failed request on a key
+   *
+   * Keys failing with 401, 402 or 429 are benched for the cooldown period,
+   * or for the server's Retry-After delay if that is longer.
+   *
+   * @param {Object} entry - Key entry returned by select()
+   * @param {Object} error - Error with `status` and optional retry delay
+   * @param {number} retryAfterMs - Server-requested delay in milliseconds, if any
+   * @returns {boolean} True if the key was benched
+   */
+  recordError(entry, error, retryAfterMs = null) {
+    entry.errors++;
+    entry.lastError = {
+      status: error.status,
+      message: error.message,
+      timestamp: new Date().toISOString()
+    };
+
+    if (!KEY_FAILURE_STATUSES.includes(error.status)) {
+      return false;
+    }
+
+    entry.benchedUntil = Date.now() + Math.max(this.cooldown, retryAfterMs || 0);
+    return true;
+  }
+
+  /**
+   * Get per-key statistics with keys masked
+   *
+   * @returns {Array<Object>} Key statistics
+   */
+  getStats() {
+    const now = Date.now();
+
+    return this.entries.map(entry => ({
+      key: maskKey(entry.key),
+      label: entry.label,
+      weight: entry.weight,
+      requests: entry.requests,
+      errors: entry.errors,
+      available: entry.benchedUntil <= now,
+      benchedUntil: entry.benchedUntil > now ? new Date(entry.benchedUntil).toISOString() : null,
+      lastError: entry.lastError
+    }));
+  }
+}
+
+export default KeyPool;
@@ -32,7 +32,7 @@ export class Logger {
    * @param {string} level - The minimum log level to output
    */
   setLevel(level) {
-    this.level = Logger.LEVELS[level.toLowerCase()] || Logger.LEVELS.info;
+    this.level = Logger.LEVELS[level.toLowerCase()] ?? Logger.LEVELS.info;
   }
 
   /**
@@ -10,10 +10,12 @@ export class MemoryCache {
    * Create a new memory cache
    * 
    * @param {number} ttl - Time to live in milliseconds (0 for no expiration)
+   * @param {number} maxSize - Maximum number of items, evicting the oldest first (0 for no limit)
    */
-  constructor(ttl = 0) {
+  constructor(ttl = 0, maxSize = 0) {
     this.cache = new Map();
     this.ttl = ttl;
+    this.maxSize = maxSize;
   }
 
   /**
@@ -32,6 +34,12 @@ export class MemoryCache {
       expires: ttl > 0 ? Date.now() + ttl : 0
     };
     
+    // Re-inserting moves the key to the end of the eviction order
+    this.cache.delete(key);
+    if (this.maxSize > 0 && this.cache.size >= this.maxSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    
     this.cache.set(key, item);
     return true;
   }
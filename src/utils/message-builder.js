@@ -0,0 +1,394 @@
+/**
+ * Multimodal message builder
+ *
+ * Turns file paths, Buffers, data URLs and remote URLs into `image_url`,
+ * `input_audio` and `file` content parts, detecting MIME types, base64
+ * encoding local data and enforcing size limits. Also works out which input
+ * modalities a conversation needs so requests can be checked against a
+ * model's capabilities before they are sent.
+ */
+
+import OpenRouterError from '../errors/openrouter-error.js';
+
+/**
+ * Default maximum decoded size per attachment kind, in bytes
+ */
+export const DEFAULT_SIZE_LIMITS = {
+  image: 20 * 1024 * 1024,
+  audio: 25 * 1024 * 1024,
+  file: 50 * 1024 * 1024
+};
+
+/**
+ * MIME types by file extension
+ */
+const EXTENSION_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  wav: 'audio/wav',
+  mp3: 'audio/mpeg',
+  flac: 'audio/flac',
+  ogg: 'audio/ogg',
+  m4a: 'audio/mp4',
+  aac: 'audio/aac',
+  pdf: 'application/pdf'
+};
+
+/**
+ * `input_audio` format names by MIME type
+ */
+const AUDIO_FORMATS = {
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/flac': 'flac',
+  'audio/ogg': 'ogg',
+  'audio/mp4': 'm4a',
+  'audio/aac': 'aac'
+};
+
+/**
+ * Modality required by each content part type
+ */
+const PART_MODALITIES = {
+  text: 'text',
+  image_url: 'image',
+  input_audio: 'audio',
+  file: 'file'
+};
+
+/**
+ * Check whether bytes start with an ASCII signature at an offset
+ *
+ * @param {Uint8Array} bytes - Data to inspect
+ * @param {string} signature - ASCII signature
+ * @param {number} offset - Byte offset
+ * @returns {boolean} True if the signature matches
+ */
+function hasSignature(bytes, signature, offset = 0) {
+  if (bytes.length < offset + signature.length) {
+    return false;
+  }
+
+  for (let i = 0; i < signature.length; i++) {
+    if (bytes[offset + i] !== signature.charCodeAt(i)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Detect a MIME type from file contents, falling back to the file name
+ *
+ * @param {Uint8Array} bytes - File contents (only the first bytes are read)
+ * @param {string} name - File name or URL, if known
+ * @returns {string|null} MIME type, or null if unknown
+ */
+export function detectMimeType(bytes, name = '') {
+  if (bytes && bytes.length > 0) {
+    if (bytes[0] === 0x89 && hasSignature(bytes, 'PNG', 1)) return 'image/png';
+    if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return 'image/jpeg';
+    if (hasSignature(bytes, 'GIF8')) return 'image/gif';
+    if (hasSignature(bytes, 'RIFF') && hasSignature(bytes, 'WEBP', 8)) return 'image/webp';
+    if (hasSignature(bytes, 'RIFF') && hasSignature(bytes, 'WAVE', 8)) return 'audio/wav';
+    if (hasSignature(bytes, '%PDF')) return 'application/pdf';
+    if (hasSignature(bytes, 'fLaC')) return 'audio/flac';
+    if (hasSignature(bytes, 'OggS')) return 'audio/ogg';
+    if (hasSignature(bytes, 'ftyp', 4) && hasSignature(bytes, 'M4A', 8)) return 'audio/mp4';
+    if (hasSignature(bytes, 'ID3')) return 'audio/mpeg';
+    // MPEG frame sync; ADTS (AAC) frames have the layer bits cleared
+    if (bytes[0] === 0xff && (bytes[1] & 0xf6) === 0xf0) return 'audio/aac';
+    if (bytes[0] === 0xff && (bytes[1] & 0xe0) === 0xe0) return 'audio/mpeg';
+  }
+
+  const extension = String(name).split(/[?#]/)[0].split('.').pop().toLowerCase();
+  return EXTENSION_TYPES[extension] || null;
+}
+
+/**
+ * Base64-encode bytes in Node or the browser
+ *
+ * @param {Uint8Array} bytes - Data to encode
+ * @returns {string} Base64 string
+ */
+function toBase64(bytes) {
+  if (typeof Buffer !== 'undefined') {
+    return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength).toString('base64');
+  }
+
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Get the decoded size of a base64 string
+ *
+ * @param {string} base64 - Base64 data
+ * @returns {number} Size in bytes
+ */
+function base64Size(base64) {
+  const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0;
+  return Math.floor(base64.length * 3 / 4) - padding;
+}
+
+/**
+ * Load an attachment source
+ *
+ * Local data (paths, Buffers, data URLs) is read and base64-encoded. Remote
+ * URLs are left as URLs unless `fetchRemote` is set.
+ *
+ * @param {string|Uint8Array|ArrayBuffer} source - File path, Buffer, data URL or http(s) URL
+ * @param {Object} options - Load options
+ * @param {boolean} options.fetchRemote - Download remote URLs instead of passing them through
+ * @param {string} options.mimeType - MIME type to use instead of detecting one
+ * @returns {Promise<{url: string|null, data: string|null, mimeType: string|null, size: number|null, name: string|null}>}
+ *   Remote URL or base64 data with its MIME type and decoded size
+ */
+export async function loadAttachment(source, { fetchRemote = false, mimeType = null } = {}) {
+  if (typeof source === 'string' && source.startsWith('data:')) {
+    const match = source.match(/^data:([^;,]*)(?:;[^,]*)?;base64,(.*)$/s);
+    if (!match) {
+      throw OpenRouterError.validationError('Data URLs must be base64 encoded', 'content');
+    }
+    return { url: null, data: match[2], mimeType: mimeType || match[1] || null, size: base64Size(match[2]), name: null };
+  }
+
+  if (typeof source === 'string' && /^https?:\/\//i.test(source)) {
+    if (!fetchRemote) {
+      return { url: source, data: null, mimeType: mimeType || detectMimeType(null, source), size: null, name: source };
+    }
+
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw OpenRouterError.validationError(`Could not download ${source}: HTTP ${response.status}`, 'content');
+    }
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    const headerType = response.headers.get('content-type')?.split(';')[0].trim();
+    return {
+      url: null,
+      data: toBase64(bytes),
+      mimeType: mimeType || detectMimeType(bytes, source) || headerType || null,
+      size: bytes.length,
+      name: source
+    };
+  }
+
+  if (typeof source === 'string') {
+    // Local file paths only make sense in Node
+    const { readFile } = await import('fs/promises');
+    let bytes;
+    try {
+      bytes = new Uint8Array(await readFile(source));
+    } catch (error) {
+      throw OpenRouterError.validationError(`Could not read ${source}: ${error.message}`, 'content');
+    }
+    return { url: null, data: toBase64(bytes), mimeType: mimeType || detectMimeType(bytes, source), size: bytes.length, name: source };
+  }
+
+  if (source instanceof ArrayBuffer || ArrayBuffer.isView(source)) {
+    const bytes = source instanceof ArrayBuffer
+      ? new Uint8Array(source)
+      : new Uint8Array(source.buffer, source.byteOffset, source.byteLength);
+    return { url: null, data: toBase64(bytes), mimeType: mimeType || detectMimeType(bytes), size: bytes.length, name: null };
+  }
+
+  throw OpenRouterError.validationError('Attachments must be a file path, Buffer, data URL or http(s) URL', 'content');
+}
+
+/**
+ * Reject attachments that are too large or of the wrong kind
+ *
+ * @param {Object} attachment - Loaded attachment
+ * @param {string} kind - 'image', 'audio' or 'file'
+ * @param {number} maxBytes - Size limit in bytes
+ */
+function checkAttachment(attachment, kind, maxBytes) {
+  const label = attachment.name ? ` ${attachment.name}` : '';
+
+  if (attachment.size !== null && attachment.size > maxBytes) {
+    throw OpenRouterError.validationError(
+      `${kind} attachment${label} is ${attachment.size} bytes, over the ${maxBytes} byte limit`,
+      'content'
+    );
+  }
+
+  if (kind !== 'file' && attachment.mimeType && !attachment.mimeType.startsWith(`${kind}/`)) {
+    throw OpenRouterError.validationError(
+      `Expected an ${kind} attachment but${label} is ${attachment.mimeType}`,
+      'content'
+    );
+  }
+}
+
+/**
+ * MessageBuilder assembles a chat message from text and attachments
+ *
+ * Parts are kept in the order they are added. Attachments are loaded when
+ * build() is called.
+ *
+ * @example
+ * const message = await new MessageBuilder()
+ *   .text('What is in this picture?')
+ *   .image('./photo.jpg', { detail: 'high' })
+ *   .build();
+ */
+export class MessageBuilder {
+  /**
+   * Create a new message builder
+   *
+   * @param {Object} options - Builder options
+   * @param {string} options.role - Message role
+   * @param {Object} options.limits - Size limits overriding DEFAULT_SIZE_LIMITS
+   */
+  constructor({ role = 'user', limits = {} } = {}) {
+    this.role = role;
+    this.limits = { ...DEFAULT_SIZE_LIMITS, ...limits };
+    this.parts = [];
+  }
+
+  /**
+   * Add a text part
+   *
+   * @param {string} text - Text content
+   * @returns {MessageBuilder} This builder
+   */
+  text(text) {
+    this.parts.push(async () => ({ type: 'text', text }));
+    return this;
+  }
+
+  /**
+   * Add an image part
+   *
+   * Remote URLs are passed through for the provider to fetch.
+   *
+   * @param {string|Uint8Array|ArrayBuffer} source - File path, Buffer, data URL or http(s) URL
+   * @param {Object} options - Image options
+   * @param {string} options.detail - Detail level ('low', 'high' or 'auto')
+   * @returns {MessageBuilder} This builder
+   */
+  image(source, { detail } = {}) {
+    this.parts.push(async () => {
+      const attachment = await loadAttachment(source);
+      checkAttachment(attachment, 'image', this.limits.image);
+
+      const url = attachment.url || `data:${attachment.mimeType || 'image/png'};base64,${attachment.data}`;
+      return { type: 'image_url', image_url: detail ? { url, detail } : { url } };
+    });
+    return this;
+  }
+
+  /**
+   * Add an audio part
+   *
+   * Audio must be sent inline, so remote URLs are downloaded.
+   *
+   * @param {string|Uint8Array|ArrayBuffer} source - File path, Buffer, data URL or http(s) URL
+   * @param {Object} options - Audio options
+   * @param {string} options.format - Audio format such as 'wav' or 'mp3' (detected if omitted)
+   * @returns {MessageBuilder} This builder
+   */
+  audio(source, { format } = {}) {
+    this.parts.push(async () => {
+      const attachment = await loadAttachment(source, { fetchRemote: true });
+      checkAttachment(attachment, 'audio', this.limits.audio);
+
+      const audioFormat = format || AUDIO_FORMATS[attachment.mimeType];
+      if (!audioFormat) {
+        throw OpenRouterError.validationError(
+          `Could not determine the audio format${attachment.name ? ` of ${attachment.name}` : ''}; pass { format }`,
+          'content'
+        );
+      }
+
+      return { type: 'input_audio', input_audio: { data: attachment.data, format: audioFormat } };
+    });
+    return this;
+  }
+
+  /**
+   * Add a file part, such as a PDF
+   *
+   * @param {string|Uint8Array|ArrayBuffer} source - File path, Buffer, data URL or http(s) URL
+   * @param {Object} options - File options
+   * @param {string} options.filename - File name shown to the model
+   * @returns {MessageBuilder} This builder
+   */
+  file(source, { filename } = {}) {
+    this.parts.push(async () => {
+      const attachment = await loadAttachment(source);
+      checkAttachment(attachment, 'file', this.limits.file);
+
+      const name = filename || (attachment.name ? attachment.name.split(/[?#]/)[0].split(/[\\/]/).pop() : 'document.pdf');
+      const fileData = attachment.url || `data:${attachment.mimeType || 'application/pdf'};base64,${attachment.data}`;
+      return { type: 'file', file: { filename: name, file_data: fileData } };
+    });
+    return this;
+  }
+
+  /**
+   * Load all attachments and build the message
+   *
+   * @returns {Promise<{role: string, content: Array<Object>}>} Chat message with content parts
+   */
+  async build() {
+    const content = await Promise.all(this.parts.map(part => part()));
+    return { role: this.role, content };
+  }
+}
+
+/**
+ * Get the input modalities a list of messages needs
+ *
+ * @param {Array<Object>} messages - Chat messages
+ * @returns {Array<string>} Modalities such as 'text', 'image', 'audio' and 'file'
+ */
+export function getRequiredModalities(messages = []) {
+  const modalities = new Set();
+
+  messages.forEach(message => {
+    if (typeof message.content === 'string') {
+      modalities.add('text');
+    } else if (Array.isArray(message.content)) {
+      message.content.forEach(part => {
+        modalities.add(PART_MODALITIES[part?.type] || 'text');
+      });
+    }
+  });
+
+  return Array.from(modalities);
+}
+
+/**
+ * Check that a model accepts every input modality used in the messages
+ *
+ * @param {Object} model - Model entry from `/models`
+ * @param {Array<Object>} messages - Chat messages
+ * @throws {OpenRouterError} Validation error naming the unsupported modalities
+ */
+export function assertModelSupportsMessages(model, messages) {
+  const supported = model?.architecture?.input_modalities;
+  if (!Array.isArray(supported)) {
+    return;
+  }
+
+  const unsupported = getRequiredModalities(messages)
+    .filter(modality => modality !== 'text' && !supported.includes(modality));
+
+  if (unsupported.length > 0) {
+    throw OpenRouterError.validationError(
+      `Model ${model.id} does not accept ${unsupported.join(', ')} input (supports: ${supported.join(', ')})`,
+      'messages'
+    );
+  }
+}
+
+export default MessageBuilder;
@@ -0,0 +1,471 @@
+/**
+ * Model catalog
+ *
+ * Keeps the OpenRouter `/models` list in memory and, in Node, on disk, and
+ * answers queries about it: modalities, context length, price ceilings,
+ * supported parameters, provider and variant. Refreshes are conditional:
+ * the stored ETag (or a content hash when the server sends none) goes out
+ * as `If-None-Match`, and an unchanged list only bumps the fetch time. If a
+ * refresh fails, the last known list keeps being served.
+ */
+
+import { canonicalize } from './canonical-json.js';
+import { hashString } from './cache-key.js';
+import { raceSignal } from './abort-signal.js';
+
+/**
+ * Fields models can be sorted by
+ */
+const SORTERS = {
+  price: model => modelPrice(model, 'prompt') + modelPrice(model, 'completion'),
+  context: model => model.context_length || 0,
+  created: model => model.created || 0,
+  name: model => model.name || model.id
+};
+
+/**
+ * Get a model's price in USD per million tokens
+ *
+ * @param {Object} model - Model entry
+ * @param {string} kind - 'prompt' or 'completion'
+ * @returns {number} Price per million tokens, or Infinity if unknown
+ */
+export function modelPrice(model, kind) {
+  const price = parseFloat(model.pricing?.[kind]);
+  return Number.isFinite(price) && price >= 0 ? price * 1e6 : Infinity;
+}
+
+/**
+ * Get a model's input and output modalities
+ *
+ * Older list entries only carry `architecture.modality` such as
+ * 'text+image->text'.
+ *
+ * @param {Object} model - Model entry
+ * @returns {{input: Array<string>, output: Array<string>}} Modalities
+ */
+export function modelModalities(model) {
+  const architecture = model.architecture || {};
+  if (architecture.input_modalities || architecture.output_modalities) {
+    return {
+      input: architecture.input_modalities || ['text'],
+      output: architecture.output_modalities || ['text']
+    };
+  }
+
+  const [input = 'text', output = 'text'] = (architecture.modality || 'text->text').split('->');
+  return { input: input.split('+'), output: output.split('+') };
+}
+
+/**
+ * Split a model ID into author, slug and variant
+ *
+ * @param {string} id - Model ID such as 'meta-llama/llama-3.3-70b-instruct:free'
+ * @returns {{author: string, slug: string, variant: string|null}} ID parts
+ */
+export function parseModelId(id) {
+  const [path, variant = null] = String(id).split(':');
+  const slash = path.indexOf('/');
+  return {
+    author: slash === -1 ? '' : path.slice(0, slash),
+    slug: slash === -1 ? path : path.slice(slash + 1),
+    variant
+  };
+}
+
+/**
+ * Normalize a slug for loose matching ('claude-3-5-sonnet' matches 'claude-3.5-sonnet')
+ *
+ * @param {string} slug - Model slug
+ * @returns {string} Normalized slug
+ */
+function looseSlug(slug) {
+  return slug
+    .toLowerCase()
+    .replace(/-(\d{8}|\d{4}-\d{2}-\d{2})$/, '')
+    .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * ModelCatalog answers questions about the available models
+ */
+export class ModelCatalog {
+  /**
+   * Create a new model catalog
+   *
+   * @param {Object} options - Catalog options
+   * @param {Function} options.fetchModels - `({ etag, signal }) => Promise<{ data, etag } | { notModified: true }>`
+   * @param {string} options.cachePath - File to persist the list to (Node only; null for memory only)
+   * @param {number} options.ttl - How long a fetched list is used before refreshing, in milliseconds
+   * @param {Function} options.fetchEndpoints - `(id, { signal }) => Promise<Object>` returning a model with its endpoints
+   * @param {number} options.endpointTTL - How long a model's endpoint list is reused, in milliseconds
+   */
+  constructor({ fetchModels, cachePath = null, ttl = 60 * 60 * 1000, fetchEndpoints = null, endpointTTL = 5 * 60 * 1000 } = {}) {
+    this.fetchModels = fetchModels;
+    this.cachePath = cachePath;
+    this.ttl = ttl;
+    this.fetchEndpoints = fetchEndpoints;
+    this.endpointTTL = endpointTTL;
+    this.endpoints = new Map();
+    this.endpointLoads = new Map();
+    this.models = [];
+    this.index = new Map();
+    this.etag = null;
+    this.fetchedAt = 0;
+    this.changedAt = 0;
+    this.diskLoad = null;
+    this.loading = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Replace the model list
+   *
+   * @param {Array<Object>} models - Model entries
+   */
+  setModels(models) {
+    this.models = models;
+    this.index = new Map(models.map(model => [model.id, model]));
+  }
+
+  /**
+   * Check whether the list is due for a refresh
+   *
+   * @returns {boolean} True if the list is missing or older than the TTL
+   */
+  isStale() {
+    return this.models.length === 0 || Date.now() - this.fetchedAt > this.ttl;
+  }
+
+  /**
+   * Make sure the list is loaded and fresh
+   *
+   * Concurrent callers share one refresh, which runs without any caller's
+   * signal: a caller's signal stops that caller waiting, without failing
+   * the refresh for the others.
+   *
+   * @param {Object} options - Load options
+   * @param {boolean} options.force - Refresh even if the list is fresh
+   * @param {AbortSignal} options.signal - Signal to stop waiting for the refresh
+   * @returns {Promise<ModelCatalog>} This catalog
+   * @throws {Error} If no list could be loaded from the API or disk
+   */
+  async load({ force = false, signal } = {}) {
+    if (!this.diskLoad) {
+      this.diskLoad = this.readDiskCache();
+    }
+    await raceSignal(this.diskLoad, signal);
+
+    if (!force && !this.isStale()) {
+      return this;
+    }
+
+    if (!this.loading) {
+      this.loading = this.refresh().finally(() => {
+        this.loading = null;
+      });
+    }
+    await raceSignal(this.loading, signal);
+    return this;
+  }
+
+  /**
+   * Fetch the list, sending the stored ETag
+   *
+   * @param {AbortSignal} signal - Signal to cancel the request
+   * @returns {Promise<void>} Resolves once the list is current
+   */
+  async refresh(signal) {
+    try {
+      const result = await this.fetchModels({ etag: this.models.length > 0 ? this.etag : null, signal });
+
+      if (!result.notModified) {
+        const etag = result.etag || `W/"${hashString(canonicalize(result.data))}"`;
+        if (etag !== this.etag) {
+          this.setModels(result.data || []);
+          this.etag = etag;
+          this.changedAt = Date.now();
+        }
+      }
+
+      this.fetchedAt = Date.now();
+      this.lastError = null;
+      await this.writeDiskCache();
+    } catch (error) {
+      this.lastError = { message: error.message, timestamp: new Date().toISOString() };
+
+      // Serve the last known list rather than failing
+      if (this.models.length === 0) {
+        throw error;
+      }
+      console.warn('Model list refresh failed, using cached list:', error.message);
+    }
+  }
+
+  /**
+   * Load the list persisted by an earlier process
+   *
+   * @returns {Promise<void>} Resolves once the cache has been read (or found missing)
+   */
+  async readDiskCache() {
+    if (!this.cachePath) {
+      return;
+    }
+
+    try {
+      const { readFile } = await import('fs/promises');
+      const cached = JSON.parse(await readFile(this.cachePath, 'utf8'));
+      if (Array.isArray(cached.models)) {
+        this.setModels(cached.models);
+        this.etag = cached.etag || null;
+        this.fetchedAt = cached.fetchedAt || 0;
+        this.changedAt = cached.changedAt || cached.fetchedAt || 0;
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Could not read model cache ${this.cachePath}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Persist the list so restarts do not need to refetch it
+   *
+   * @returns {Promise<void>} Resolves once written
+   */
+  async writeDiskCache() {
+    if (!this.cachePath) {
+      return;
+    }
+
+    try {
+      const { mkdir, writeFile, rename } = await import('fs/promises');
+      const { dirname } = await import('path');
+      await mkdir(dirname(this.cachePath), { recursive: true });
+
+      // Write then rename so a crash never leaves a truncated cache
+      const temporary = `${this.cachePath}.${process.pid}.tmp`;
+      await writeFile(temporary, JSON.stringify({
+        version: 1,
+        etag: this.etag,
+        fetchedAt: this.fetchedAt,
+        changedAt: this.changedAt,
+        models: this.models
+      }));
+      await rename(temporary, this.cachePath);
+    } catch (error) {
+      console.warn(`Could not write model cache ${this.cachePath}:`, error.message);
+    }
+  }
+
+  /**
+   * Get the provider endpoints serving a model
+   *
+   * Lists are kept per model for the endpoint TTL, in memory only, and
+   * concurrent callers for the same model share one request. The shared
+   * request runs without a signal; a caller's signal only stops that
+   * caller waiting for it.
+   *
+   * @param {string} id - Model ID
+   * @param {Object} options - Load options
+   * @param {boolean} options.force - Fetch even if the cached list is fresh
+   * @param {AbortSignal} options.signal - Signal to cancel the request
+   * @returns {Promise<Object>} Model with its `endpoints`
+   */
+  async getEndpoints(id, { force = false, signal } = {}) {
+    const cached = this.endpoints.get(id);
+    if (!force && cached && Date.now() - cached.fetchedAt <= this.endpointTTL) {
+      return cached.data;
+    }
+
+    if (!this.endpointLoads.has(id)) {
+      this.endpointLoads.set(id, this.fetchEndpoints(id, {})
+        .then(data => {
+          this.endpoints.set(id, { data, fetchedAt: Date.now() });
+          return data;
+        })
+        .finally(() => {
+          this.endpointLoads.delete(id);
+        }));
+    }
+    return raceSignal(this.endpointLoads.get(id), signal);
+  }
+
+  /**
+   * Get a model by exact ID
+   *
+   * @param {string} id - Model ID
+   * @returns {Object|null} Model entry, or null if not listed
+   */
+  get(id) {
+    return this.index.get(id) || null;
+  }
+
+  /**
+   * Resolve a possibly outdated or loosely written model ID to a listed one
+   *
+   * Tries the exact ID, the canonical slug, then a loose match on the slug
+   * that ignores punctuation and date suffixes, preferring the same author.
+   *
+   * @param {string} id - Model ID, e.g. 'anthropic/claude-3-5-sonnet-20240620' or 'mistral/mistral-large'
+   * @returns {string|null} Listed model ID, or null if nothing matches
+   */
+  resolve(id) {
+    if (!id) {
+      return null;
+    }
+    if (this.index.has(id)) {
+      return id;
+    }
+
+    const bySlug = this.models.find(model => model.canonical_slug === id);
+    if (bySlug) {
+      return bySlug.id;
+    }
+
+    const wanted = parseModelId(id);
+    const loose = looseSlug(wanted.slug);
+    const matches = this.models.filter(model => {
+      const parts = parseModelId(model.id);
+      return parts.variant === wanted.variant && looseSlug(parts.slug) === loose;
+    });
+    if (matches.length === 0) {
+      return null;
+    }
+
+    const sameAuthor = matches.find(model => parseModelId(model.id).author === wanted.author) ||
+      matches.find(model => parseModelId(model.id).author.startsWith(wanted.author));
+    return (sameAuthor || matches[0]).id;
+  }
+
+  /**
+   * Find models matching every given filter
+   *
+   * @param {Object} filters - Query filters
+   * @param {string|Array<string>} filters.provider - Model author(s), e.g. 'anthropic'
+   * @param {Array<string>} filters.inputModalities - Input modalities the model must all accept, e.g. ['image']
+   * @param {Array<string>} filters.outputModalities - Output modalities the model must all produce
+   * @param {number} filters.minContextLength - Minimum context window in tokens
+   * @param {number} filters.maxPromptPrice - Maximum prompt price in USD per million tokens
+   * @param {number} filters.maxCompletionPrice - Maximum completion price in USD per million tokens
+   * @param {Array<string>} filters.supportedParameters - Parameters the model must all support, e.g. ['tools', 'response_format']
+   * @param {string|null} filters.variant - Only this variant (e.g. 'free'); null for base models only
+   * @param {string} filters.search - Text contained in the ID or name
+   * @param {string} filters.sortBy - 'price', 'context', 'created' or 'name'
+   * @param {string} filters.order - 'asc' or 'desc' (defaults to 'asc' for price and name, 'desc' otherwise)
+   * @param {number} filters.limit - Maximum number of results
+   * @returns {Array<Object>} Matching model entries
+   */
+  query({
+    provider,
+    inputModalities = [],
+    outputModalities = [],
+    minContextLength = 0,
+    maxPromptPrice,
+    maxCompletionPrice,
+    supportedParameters = [],
+    variant,
+    search,
+    sortBy,
+    order,
+    limit
+  } = {}) {
+    const providers = provider ? [].concat(provider) : null;
+    const needle = search ? search.toLowerCase() : null;
+
+    let results = this.models.filter(model => {
+      const parts = parseModelId(model.id);
+      const modalities = modelModalities(model);
+      const parameters = model.supported_parameters || [];
+
+      return (!providers || providers.includes(parts.author)) &&
+        inputModalities.every(modality => modalities.input.includes(modality)) &&
+        outputModalities.every(modality => modalities.output.includes(modality)) &&
+        (model.context_length || 0) >= minContextLength &&
+        (maxPromptPrice === undefined || modelPrice(model, 'prompt') <= maxPromptPrice) &&
+        (maxCompletionPrice === undefined || modelPrice(model, 'completion') <= maxCompletionPrice) &&
+        supportedParameters.every(parameter => parameters.includes(parameter)) &&
+        (variant === undefined || parts.variant === variant) &&
+        (!needle || model.id.toLowerCase().includes(needle) || (model.name || '').toLowerCase().includes(needle));
+    });
+
+    if (sortBy) {
+      if (!SORTERS[sortBy]) {
+        throw new Error(`Invalid sort field: ${sortBy}. Must be one of: ${Object.keys(SORTERS).join(', ')}`);
+      }
+      const direction = (order || (['price', 'name'].includes(sortBy) ? 'asc' : 'desc')) === 'asc' ? 1 : -1;
+      const key = SORTERS[sortBy];
+      results = [...results].sort((a, b) => {
+        const left = key(a);
+        const right = key(b);
+        return (left < right ? -1 : left > right ? 1 : 0) * direction;
+      });
+    }
+
+    return limit ? results.slice(0, limit) : results;
+  }
+
+  /**
+   * Get catalog status
+   *
+   * @returns {{models: number, etag: string|null, fetchedAt: string|null, changedAt: string|null,
+   *   stale: boolean, cachePath: string|null, lastError: Object|null, endpointLists: number}} Catalog status
+   */
+  getStats() {
+    return {
+      models: this.models.length,
+      etag: this.etag,
+      fetchedAt: this.fetchedAt ? new Date(this.fetchedAt).toISOString() : null,
+      changedAt: this.changedAt ? new Date(this.changedAt).toISOString() : null,
+      stale: this.isStale(),
+      cachePath: this.cachePath,
+      lastError: this.lastError,
+      endpointLists: this.endpoints.size
+    };
+  }
+}
+
+/**
+ * Resolve a model ID against a catalog, keeping the ID if it cannot be resolved
+ *
+ * An ID the catalog does not list is returned unchanged, so the API
+ * rejects it rather than a different model being billed. Only when the
+ * caller opts in with fallback filters is the newest model matching them
+ * used instead; the substitution is passed to `onFallback`, or logged.
+ *
+ * @param {ModelCatalog} catalog - Catalog, if any
+ * @param {string} id - Model ID
+ * @param {Object} fallback - Query filters for a replacement model, if substitution is wanted
+ * @param {Function} onFallback - `({ requested, model }) => void`, called when the ID is replaced
+ * @returns {Promise<string>} Listed model ID, the replacement, or the given ID
+ */
+export async function resolveModelId(catalog, id, fallback = null, onFallback = null) {
+  if (!catalog) {
+    return id;
+  }
+
+  try {
+    await catalog.load();
+  } catch (error) {
+    return id;
+  }
+
+  const resolved = catalog.resolve(id);
+  if (resolved || !fallback) {
+    return resolved || id;
+  }
+
+  const [newest] = catalog.query({ variant: null, ...fallback, sortBy: 'created', limit: 1 });
+  if (!newest) {
+    return id;
+  }
+
+  if (onFallback) {
+    onFallback({ requested: id, model: newest.id });
+  } else {
+    console.warn(`Model ${id} is not listed, using ${newest.id} instead`);
+  }
+  return newest.id;
+}
+
+export default ModelCatalog;
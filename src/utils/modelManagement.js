@@ -6,6 +6,8 @@
  */
 
 import oneapiModule from '../oneapi.js';
+import { countRequestTokens, countMessageTokens, countTextTokens } from './token-counter.js';
+import { calculateCost, countRequestImages } from './cost.js';
 
 /**
  * Model categories for easy filtering
@@ -20,7 +22,19 @@ export const MODEL_CATEGORIES = {
 };
 
 /**
- * Default recommended models by category
+ * Model catalog filters for each category
+ */
+export const CATEGORY_FILTERS = {
+  [MODEL_CATEGORIES.CHAT]: { outputModalities: ['text'] },
+  [MODEL_CATEGORIES.COMPLETION]: { outputModalities: ['text'] },
+  [MODEL_CATEGORIES.EMBEDDING]: { outputModalities: ['embeddings'] },
+  [MODEL_CATEGORIES.IMAGE]: { outputModalities: ['image'] },
+  [MODEL_CATEGORIES.AUDIO]: { inputModalities: ['audio'] },
+  [MODEL_CATEGORIES.VISION]: { inputModalities: ['image'], outputModalities: ['text'] }
+};
+
+/**
+ * Fallback models by category, used only when the model catalog cannot be loaded
  */
 export const DEFAULT_MODELS = {
   [MODEL_CATEGORIES.CHAT]: 'openai/gpt-4-turbo',
@@ -71,111 +85,61 @@ export const PARAMETER_PRESETS = {
 export class ModelManager {
   constructor() {
     this.oneAPI = oneapiModule.getOneAPI();
-    this.cachedModels = null;
-    this.lastModelFetch = null;
-    this.cacheExpiry = 5 * 60 * 1000; // 5 minutes
   }
   
   /**
    * Get all available models, optionally filtered by category
    * @param {string} category - Optional category to filter by
-   * @param {boolean} forceRefresh - Force a refresh of the cached models
+   * @param {boolean} forceRefresh - Force a refresh of the model catalog
    * @returns {Promise<Array>} Array of model objects
    */
   async getModels(category = null, forceRefresh = false) {
-    // Check if we need to refresh the cache
-    const now = Date.now();
-    if (
-      forceRefresh || 
-      !this.cachedModels || 
-      !this.lastModelFetch ||
-      (now - this.lastModelFetch) > this.cacheExpiry
-    ) {
-      try {
-        // Fetch models from OneAPI
-        const response = await this.oneAPI.listModels();
-        this.cachedModels = response.data || [];
-        this.lastModelFetch = now;
-      } catch (error) {
-        console.error('Error fetching models:', error);
-        // Return empty array or cached models if available on error
-        return this.cachedModels || [];
-      }
+    const catalog = this.oneAPI.catalog;
+    try {
+      await catalog.load({ force: forceRefresh });
+    } catch (error) {
+      console.error('Error fetching models:', error);
+      // Fall through with whatever the catalog still holds
     }
     
-    // Filter by category if specified
-    if (category && this.cachedModels) {
-      return this.cachedModels.filter(model => {
-        // Check if model has the specified category
-        return model.category === category || 
-               (model.capabilities && model.capabilities.includes(category));
-      });
-    }
-    
-    return this.cachedModels || [];
+    return catalog.query((category && CATEGORY_FILTERS[category]) || {});
   }
   
   /**
    * Get a recommended model for a specific task
+   * 
+   * Picks the newest base model in the category that meets the requirements,
+   * falling back to DEFAULT_MODELS when the catalog has no match.
    * @param {string} category - Model category
    * @param {Object} requirements - Any specific requirements
+   * @param {number} requirements.contextSize - Minimum context window in tokens
+   * @param {string} requirements.provider - Model author, e.g. 'anthropic'
+   * @param {number} requirements.maxPromptPrice - Maximum prompt price in USD per million tokens
+   * @param {number} requirements.maxCompletionPrice - Maximum completion price in USD per million tokens
+   * @param {Array<string>} requirements.supportedParameters - Parameters the model must support
    * @returns {Promise<Object>} Recommended model
    */
   async getRecommendedModel(category, requirements = {}) {
-    // Get default model ID for this category
-    const defaultModelId = DEFAULT_MODELS[category] || DEFAULT_MODELS[MODEL_CATEGORIES.CHAT];
-    
-    // Try to get all models
-    const allModels = await this.getModels();
-    
-    // Look for exact match of default model
-    const defaultModel = allModels.find(model => model.id === defaultModelId);
-    if (defaultModel) {
-      return defaultModel;
-    }
-    
-    // Filter models by category
-    const categoryModels = await this.getModels(category);
-    
-    if (categoryModels.length === 0) {
-      // If no models found for category, return a reasonable default
-      return {
-        id: defaultModelId,
-        name: defaultModelId.split('/').pop(),
-        provider: defaultModelId.split('/')[0], 
-        category: category
-      };
-    }
-    
-    // Apply additional filtering based on requirements
-    let filteredModels = categoryModels;
-    
-    if (requirements.contextSize) {
-      filteredModels = filteredModels.filter(model => 
-        !model.contextSize || model.contextSize >= requirements.contextSize
-      );
-    }
-    
-    if (requirements.provider) {
-      filteredModels = filteredModels.filter(model => 
-        model.provider === requirements.provider ||
-        model.id.startsWith(requirements.provider + '/')
-      );
-    }
-    
-    // Sort by preference
-    filteredModels.sort((a, b) => {
-      // Prefer models with higher contextSize if available
-      if (a.contextSize && b.contextSize) {
-        return b.contextSize - a.contextSize;
-      }
-      
-      // Otherwise sort alphabetically by ID
-      return a.id.localeCompare(b.id);
+    await this.getModels();
+    
+    const [model] = this.oneAPI.catalog.query({
+      ...(CATEGORY_FILTERS[category] || CATEGORY_FILTERS[MODEL_CATEGORIES.CHAT]),
+      provider: requirements.provider,
+      minContextLength: requirements.contextSize,
+      maxPromptPrice: requirements.maxPromptPrice,
+      maxCompletionPrice: requirements.maxCompletionPrice,
+      supportedParameters: requirements.supportedParameters,
+      variant: null,
+      sortBy: 'created',
+      limit: 1
     });
+    if (model) {
+      return model;
+    }
     
-    // Return the first model or a default fallback
-    return filteredModels[0] || {
+    // If no models found for category, return a reasonable default
+    const defaultModelId = DEFAULT_MODELS[category] || DEFAULT_MODELS[MODEL_CATEGORIES.CHAT];
+    return {
       id: defaultModelId,
       name: defaultModelId.split('/').pop(),
       provider: defaultModelId.split('/')[0],
@@ -201,46 +165,37 @@ export class ModelManager {
   
   /**
    * Get model cost estimation based on token count
+   * 
+   * Prices come from the model catalog; costs are null when the model or its
+   * pricing is unknown.
    * @param {string} modelId - Model ID
-   * @param {number} inputTokens - Number of input tokens
-   * @param {number} outputTokens - Number of output tokens
-   * @returns {Object} Cost estimation object
+   * @param {number|string|Array|Object} input - Number of input tokens, or a prompt, messages array or request body to count
+   * @param {number|string} output - Number of output tokens, or the output text to count
+   * @returns {Promise<Object>} Cost estimation object
    */
-  getModelCostEstimate(modelId, inputTokens = 1000, outputTokens = 500) {
-    // This is a simplified implementation
-    // In a real implementation, this would fetch current pricing data
-    
-    // Default rates (per 1000 tokens)
-    const defaultRates = {
-      'openai/gpt-4': { inputRate: 0.03, outputRate: 0.06 },
-      'openai/gpt-4-turbo': { inputRate: 0.01, outputRate: 0.03 },
-      'openai/gpt-3.5-turbo': { inputRate: 0.0015, outputRate: 0.002 },
-      'anthropic/claude-3': { inputRate: 0.0125, outputRate: 0.0375 },
-      'default': { inputRate: 0.005, outputRate: 0.015 }
-    };
-    
-    // Find matching rate or use default
-    let rate = defaultRates.default;
-    
-    // Try to match by prefix
-    Object.keys(defaultRates).forEach(key => {
-      if (modelId.startsWith(key)) {
-        rate = defaultRates[key];
-      }
+  async getModelCostEstimate(modelId, input = 1000, output = 500) {
+    const inputTokens = typeof input === 'number' ? input
+      : typeof input === 'string' ? countTextTokens(input, modelId)
+        : Array.isArray(input) ? countMessageTokens(input, modelId)
+          : countRequestTokens({ model: modelId, ...input });
+    const outputTokens = typeof output === 'number' ? output : countTextTokens(output, modelId);
+    
+    await this.getModels();
+    const catalog = this.oneAPI.catalog;
+    const model = catalog.get(catalog.resolve(modelId));
+    const body = typeof input === 'object' && !Array.isArray(input) ? input : null;
+    const cost = calculateCost(model, { prompt_tokens: inputTokens, completion_tokens: outputTokens }, {
+      images: countRequestImages(body)
     });
     
-    // Calculate costs
-    const inputCost = (inputTokens / 1000) * rate.inputRate;
-    const outputCost = (outputTokens / 1000) * rate.outputRate;
-    const totalCost = inputCost + outputCost;
-    
     return {
-      modelId,
+      modelId: model ? model.id : modelId,
       inputTokens,
       outputTokens,
-      inputCost,
-      outputCost,
-      totalCost,
+      inputCost: cost && cost.prompt + cost.image,
+      outputCost: cost && cost.completion + cost.reasoning,
+      requestCost: cost && cost.request,
+      totalCost: cost && cost.total,
       currency: 'USD'
     };
   }
@@ -0,0 +1,338 @@
+/**
+ * Incremental partial JSON parsing
+ *
+ * Parses JSON that is still being streamed, closing unterminated strings,
+ * arrays and objects on the fly so UIs can render structured output as it
+ * arrives. Object keys whose value has not started yet, and literals or
+ * numbers that cannot be parsed yet, are left out until they are complete
+ * enough.
+ */
+
+import OpenRouterError from '../errors/openrouter-error.js';
+import { validateJsonSchema, formatSchemaErrors } from './json-schema-validator.js';
+
+/**
+ * Marker for a value that has not started or cannot be parsed yet
+ */
+const MISSING = Symbol('missing');
+
+/**
+ * Strip a leading Markdown code fence and a complete trailing one
+ *
+ * @param {string} text - Raw model output
+ * @returns {string} JSON text
+ */
+function stripFence(text) {
+  return text
+    .replace(/^\s*```(?:json)?[^\S\n]*\n?/, '')
+    .replace(/\n?```\s*$/, '');
+}
+
+/**
+ * Parse a possibly truncated JSON document
+ *
+ * @param {string} text - JSON text, possibly cut off mid-value
+ * @returns {any} Best-effort value, or undefined if nothing can be parsed yet or the text is not JSON
+ */
+export function parsePartialJson(text) {
+  const source = stripFence(text || '');
+  let pos = 0;
+
+  const skipWhitespace = () => {
+    while (pos < source.length && /\s/.test(source[pos])) {
+      pos++;
+    }
+  };
+
+  const parseString = () => {
+    // Opening quote
+    pos++;
+    let value = '';
+
+    while (pos < source.length) {
+      const char = source[pos];
+
+      if (char === '"') {
+        pos++;
+        return { value, complete: true };
+      }
+
+      if (char === '\\') {
+        const next = source[pos + 1];
+        if (next === undefined) {
+          break;
+        }
+
+        if (next === 'u') {
+          const hex = source.slice(pos + 2, pos + 6);
+          if (hex.length < 4) {
+            pos = source.length;
+            break;
+          }
+          value += String.fromCharCode(parseInt(hex, 16));
+          pos += 6;
+          continue;
+        }
+
+        const escapes = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+        if (!(next in escapes)) {
+          throw new SyntaxError(`Invalid escape \\${next} at position ${pos}`);
+        }
+        value += escapes[next];
+        pos += 2;
+        continue;
+      }
+
+      value += char;
+      pos++;
+    }
+
+    // Unterminated string: close it
+    pos = source.length;
+    return { value, complete: false };
+  };
+
+  const parseNumber = () => {
+    const match = source.slice(pos).match(/^-?(?:0|[1-9]\d*)?(?:\.\d*)?(?:[eE][+-]?\d*)?/);
+    const raw = match[0];
+    pos += raw.length;
+
+    // Drop a trailing incomplete part such as "1.", "1e" or "-"
+    const usable = raw.match(/^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/);
+    if (!usable) {
+      if (pos < source.length) {
+        throw new SyntaxError(`Invalid number at position ${pos - raw.length}`);
+      }
+      return MISSING;
+    }
+
+    return Number(usable[0]);
+  };
+
+  const parseLiteral = () => {
+    const literals = { true: true, false: false, null: null };
+
+    for (const [word, value] of Object.entries(literals)) {
+      const candidate = source.slice(pos, pos + word.length);
+      if (candidate === word) {
+        pos += word.length;
+        return value;
+      }
+      if (pos + candidate.length === source.length && word.startsWith(candidate)) {
+        pos = source.length;
+        return MISSING;
+      }
+    }
+
+    throw new SyntaxError(`Unexpected token ${source[pos]} at position ${pos}`);
+  };
+
+  let parseValue;
+
+  const parseObject = () => {
+    pos++;
+    const object = {};
+
+    while (true) {
+      skipWhitespace();
+      if (pos >= source.length) {
+        return object;
+      }
+
+      const char = source[pos];
+      if (char === '}') {
+        pos++;
+        return object;
+      }
+      if (char === ',') {
+        pos++;
+        continue;
+      }
+      if (char !== '"') {
+        throw new SyntaxError(`Expected property name at position ${pos}`);
+      }
+
+      const key = parseString();
+      if (!key.complete) {
+        return object;
+      }
+
+      skipWhitespace();
+      if (pos >= source.length) {
+        return object;
+      }
+      if (source[pos] !== ':') {
+        throw new SyntaxError(`Expected ':' at position ${pos}`);
+      }
+      pos++;
+
+      const value = parseValue();
+      if (value !== MISSING) {
+        object[key.value] = value;
+      }
+    }
+  };
+
+  const parseArray = () => {
+    pos++;
+    const array = [];
+
+    while (true) {
+      skipWhitespace();
+      if (pos >= source.length) {
+        return array;
+      }
+
+      const char = source[pos];
+      if (char === ']') {
+        pos++;
+        return array;
+      }
+      if (char === ',') {
+        pos++;
+        continue;
+      }
+
+      const value = parseValue();
+      if (value !== MISSING) {
+        array.push(value);
+      }
+    }
+  };
+
+  parseValue = () => {
+    skipWhitespace();
+    if (pos >= source.length) {
+      return MISSING;
+    }
+
+    const char = source[pos];
+    if (char === '{') {
+      return parseObject();
+    }
+    if (char === '[') {
+      return parseArray();
+    }
+    if (char === '"') {
+      return parseString().value;
+    }
+    if (char === '-' || (char >= '0' && char <= '9')) {
+      return parseNumber();
+    }
+    return parseLiteral();
+  };
+
+  try {
+    const value = parseValue();
+    return value === MISSING ? undefined : value;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * PartialJsonParser accumulates streamed text and tracks the parsed value
+ *
+ * The whole buffer is re-parsed on every push, which is cheap for the
+ * response sizes models produce.
+ */
+export class PartialJsonParser {
+  constructor() {
+    this.buffer = '';
+    this.value = undefined;
+    this.serialized = undefined;
+  }
+
+  /**
+   * Add streamed text
+   *
+   * @param {string} delta - New content
+   * @returns {boolean} True if the parsed value changed
+   */
+  push(delta) {
+    if (!delta) {
+      return false;
+    }
+
+    this.buffer += delta;
+    const value = parsePartialJson(this.buffer);
+    if (value === undefined) {
+      return false;
+    }
+
+    const serialized = JSON.stringify(value);
+    if (serialized === this.serialized) {
+      return false;
+    }
+
+    this.value = value;
+    this.serialized = serialized;
+    return true;
+  }
+
+  /**
+   * Strictly parse the complete buffer and optionally validate it
+   *
+   * @param {Object} schema - Optional JSON Schema the result must match
+   * @returns {any} Parsed value
+   * @throws {OpenRouterError} With code `schema_validation_error` if the output is not valid JSON or does not match
+   */
+  finish(schema = null) {
+    let value;
+    try {
+      value = JSON.parse(stripFence(this.buffer.trim()));
+    } catch (error) {
+      const errors = [{ path: '$', keyword: 'json', message: `is not valid JSON (${error.message})` }];
+      throw OpenRouterError.schemaValidationError('Streamed output is not valid JSON', errors, { raw: this.buffer });
+    }
+
+    if (schema) {
+      const errors = validateJsonSchema(value, schema);
+      if (errors.length > 0) {
+        throw OpenRouterError.schemaValidationError(
+          `Streamed output did not match schema: ${formatSchemaErrors(errors.slice(0, 3))}`,
+          errors,
+          { raw: this.buffer }
+        );
+      }
+    }
+
+    this.value = value;
+    return value;
+  }
+}
+
+/**
+ * Turn a chat completion chunk stream into progressively complete objects
+ *
+ * Yields `{ type: 'partial', value }` whenever the parsed value grows, then
+ * `{ type: 'complete', value, usage }` once the stream ends and the output
+ * has been validated.
+ *
+ * @param {AsyncIterable<Object>} stream - Parsed chat completion chunks
+ * @param {Object} options - Options
+ * @param {Object} options.schema - Optional JSON Schema for the final object
+ * @returns {AsyncGenerator<Object>} Partial and complete events
+ */
+export async function* streamPartialJson(stream, { schema = null } = {}) {
+  const parser = new PartialJsonParser();
+  let usage = null;
+
+  for await (const chunk of stream) {
+    if (chunk.usage) {
+      usage = chunk.usage;
+    }
+
+    if (parser.push(chunk.choices?.[0]?.delta?.content)) {
+      yield { type: 'partial', value: parser.value };
+    }
+  }
+
+  yield { type: 'complete', value: parser.finish(schema), usage };
+}
+
+export default {
+  parsePartialJson,
+  PartialJsonParser,
+  streamPartialJson
+};
@@ -1,14 +1,347 @@
 /**
  * Provider routing utilities
+ *
+ * Builds the `provider` object OpenRouter reads from a chat completion
+ * request to choose, order and filter the providers serving the model.
+ * Every setter validates its value and the combination so far, so a built
+ * object is always one OpenRouter accepts.
+ *
+ * @example
+ * const params = new ProviderRouting()
+ *   .order(['Anthropic', 'Amazon Bedrock'])
+ *   .allowFallbacks(false)
+ *   .dataCollection('deny')
+ *   .applyTo({ model: 'anthropic/claude-3.5-sonnet', messages });
  */
 
+import OpenRouterError from '../errors/openrouter-error.js';
+import { modelPrice } from './model-catalog.js';
+
+/**
+ * Attributes providers can be sorted by
+ */
+export const PROVIDER_SORTS = ['price', 'throughput', 'latency'];
+
+/**
+ * Quantization levels providers can be filtered by
+ */
+export const QUANTIZATIONS = ['int4', 'int8', 'fp4', 'fp6', 'fp8', 'fp16', 'bf16', 'fp32', 'unknown'];
+
+const DATA_COLLECTION_POLICIES = ['allow', 'deny'];
+
+/**
+ * Price caps accepted in `max_price`: USD per million tokens for prompt and
+ * completion, USD per image and per request
+ */
+const PRICE_FIELDS = ['prompt', 'completion', 'image', 'request'];
+
+/**
+ * Builder method setting each `provider` field
+ */
+const FIELD_SETTERS = {
+  order: 'order',
+  allow_fallbacks: 'allowFallbacks',
+  only: 'only',
+  ignore: 'ignore',
+  sort: 'sort',
+  require_parameters: 'requireParameters',
+  data_collection: 'dataCollection',
+  quantizations: 'quantizations',
+  max_price: 'maxPrice'
+};
+
+/**
+ * Orderings for providers kept by an endpoint filter, best first
+ */
+const ENDPOINT_RANKERS = {
+  price: (a, b) => {
+    const left = a.pricing.prompt + a.pricing.completion;
+    const right = b.pricing.prompt + b.pricing.completion;
+    // Unknown prices are Infinity, and Infinity - Infinity is NaN
+    return left === right ? 0 : left - right;
+  },
+  uptime: (a, b) => (b.uptime ?? -1) - (a.uptime ?? -1),
+  context: (a, b) => (b.contextLength || 0) - (a.contextLength || 0)
+};
+
+/**
+ * Summarize an endpoint for filter functions
+ *
+ * @param {Object} endpoint - Endpoint from `/models/{id}/endpoints`
+ * @returns {Object} Endpoint summary (see ProviderRouting.filterProviders)
+ */
+function describeEndpoint(endpoint) {
+  return {
+    provider: endpoint.provider_name,
+    quantization: endpoint.quantization || 'unknown',
+    contextLength: endpoint.context_length ?? null,
+    maxCompletionTokens: endpoint.max_completion_tokens ?? null,
+    pricing: {
+      prompt: modelPrice(endpoint, 'prompt'),
+      completion: modelPrice(endpoint, 'completion')
+    },
+    uptime: endpoint.uptime_last_30m ?? null,
+    status: endpoint.status ?? null,
+    supportedParameters: endpoint.supported_parameters || [],
+    endpoint
+  };
+}
+
+/**
+ * Check a list of provider names
+ *
+ * @param {string|Array<string>} names - Provider name or names, e.g. 'Anthropic'
+ * @param {string} field - Field being set, for the error
+ * @returns {Array<string>} Trimmed names without duplicates
+ */
+function toProviderNames(names, field) {
+  const list = typeof names === 'string' ? [names] : names;
+  if (!Array.isArray(list) || list.length === 0 || list.some(name => typeof name !== 'string' || !name.trim())) {
+    throw OpenRouterError.validationError(`${field} must be a non-empty array of provider names`, field);
+  }
+  return [...new Set(list.map(name => name.trim()))];
+}
+
 /**
- * ProviderRouting provides utilities for routing requests to different providers
+ * ProviderRouting builds OpenRouter provider routing preferences
  */
 export class ProviderRouting {
+  /**
+   * Create a new provider routing builder
+   *
+   * @param {Object|ProviderRouting} preferences - Initial `provider` object, e.g. from a request
+   */
+  constructor(preferences = {}) {
+    this.preferences = {};
+
+    const initial = preferences instanceof ProviderRouting ? preferences.preferences : preferences || {};
+    for (const [field, value] of Object.entries(initial)) {
+      if (value === undefined) {
+        continue;
+      }
+      if (!FIELD_SETTERS[field]) {
+        throw OpenRouterError.validationError(`Unknown provider routing field: ${field}. Must be one of: ${Object.keys(FIELD_SETTERS).join(', ')}`, field);
+      }
+      this[FIELD_SETTERS[field]](value);
+    }
+  }
+
+  /**
+   * Try providers in this order
+   *
+   * @param {Array<string>} providerNames - Provider names in order of preference, e.g. ['Anthropic', 'OpenAI']
+   * @returns {ProviderRouting} This builder
+   */
+  order(providerNames) {
+    return this._set('order', providerNames === null ? undefined : toProviderNames(providerNames, 'order'));
+  }
+
+  /**
+   * Allow or forbid providers beyond `order` (and beyond the cheapest one without an order)
+   *
+   * @param {boolean} allow - Whether backup providers may serve the request
+   * @returns {ProviderRouting} This builder
+   */
+  allowFallbacks(allow = true) {
+    if (typeof allow !== 'boolean') {
+      throw OpenRouterError.validationError('allow_fallbacks must be a boolean', 'allow_fallbacks');
+    }
+    return this._set('allow_fallbacks', allow);
+  }
+
+  /**
+   * Only let these providers serve the request
+   *
+   * @param {Array<string>} providerNames - Provider names
+   * @returns {ProviderRouting} This builder
+   */
+  only(providerNames) {
+    return this._set('only', providerNames === null ? undefined : toProviderNames(providerNames, 'only'));
+  }
+
+  /**
+   * Never let these providers serve the request
+   *
+   * @param {Array<string>} providerNames - Provider names
+   * @returns {ProviderRouting} This builder
+   */
+  ignore(providerNames) {
+    return this._set('ignore', providerNames === null ? undefined : toProviderNames(providerNames, 'ignore'));
+  }
+
+  /**
+   * Sort providers instead of load balancing across them
+   *
+   * @param {string} sortBy - 'price', 'throughput' or 'latency'
+   * @returns {ProviderRouting} This builder
+   */
+  sort(sortBy) {
+    if (!PROVIDER_SORTS.includes(sortBy)) {
+      throw OpenRouterError.validationError(`Invalid sort attribute: ${sortBy}. Must be one of: ${PROVIDER_SORTS.join(', ')}`, 'sort');
+    }
+    return this._set('sort', sortBy);
+  }
+
+  /**
+   * Only use providers that support every parameter in the request
+   *
+   * @param {boolean} require - Whether unsupported parameters rule a provider out
+   * @returns {ProviderRouting} This builder
+   */
+  requireParameters(require = true) {
+    if (typeof require !== 'boolean') {
+      throw OpenRouterError.validationError('require_parameters must be a boolean', 'require_parameters');
+    }
+    return this._set('require_parameters', require);
+  }
+
+  /**
+   * Allow or avoid providers that may store and train on request data
+   *
+   * @param {string} policy - 'allow' or 'deny'
+   * @returns {ProviderRouting} This builder
+   */
+  dataCollection(policy) {
+    if (!DATA_COLLECTION_POLICIES.includes(policy)) {
+      throw OpenRouterError.validationError(`Invalid data collection policy: ${policy}. Must be one of: ${DATA_COLLECTION_POLICIES.join(', ')}`, 'data_collection');
+    }
+    return this._set('data_collection', policy);
+  }
+
+  /**
+   * Only use providers serving the model at these quantization levels
+   *
+   * @param {Array<string>} levels - Quantization levels, e.g. ['fp8', 'fp16']
+   * @returns {ProviderRouting} This builder
+   */
+  quantizations(levels) {
+    const list = typeof levels === 'string' ? [levels] : levels;
+    if (!Array.isArray(list) || list.length === 0) {
+      throw OpenRouterError.validationError('quantizations must be a non-empty array', 'quantizations');
+    }
+    const invalid = list.filter(level => !QUANTIZATIONS.includes(level));
+    if (invalid.length > 0) {
+      throw OpenRouterError.validationError(`Invalid quantizations: ${invalid.join(', ')}. Must be among: ${QUANTIZATIONS.join(', ')}`, 'quantizations');
+    }
+    return this._set('quantizations', [...new Set(list)]);
+  }
+
+  /**
+   * Only use providers charging at most these prices
+   *
+   * @param {Object} prices - Caps in USD
+   * @param {number} prices.prompt - Per million prompt tokens
+   * @param {number} prices.completion - Per million completion tokens
+   * @param {number} prices.image - Per image
+   * @param {number} prices.request - Per request
+   * @returns {ProviderRouting} This builder
+   */
+  maxPrice(prices) {
+    if (!prices || typeof prices !== 'object' || Object.keys(prices).length === 0) {
+      throw OpenRouterError.validationError(`max_price must be an object with any of: ${PRICE_FIELDS.join(', ')}`, 'max_price');
+    }
+    for (const [field, price] of Object.entries(prices)) {
+      if (!PRICE_FIELDS.includes(field)) {
+        throw OpenRouterError.validationError(`Unknown max_price field: ${field}. Must be one of: ${PRICE_FIELDS.join(', ')}`, 'max_price');
+      }
+      if (typeof price !== 'number' || !Number.isFinite(price) || price < 0) {
+        throw OpenRouterError.validationError(`max_price.${field} must be a non-negative number`, 'max_price');
+      }
+    }
+    return this._set('max_price', { ...prices });
+  }
+
+  /**
+   * Get the `provider` object to send
+   *
+   * @returns {Object} Provider routing preferences
+   */
+  build() {
+    return structuredClone(this.preferences);
+  }
+
+  /**
+   * Serialize as the `provider` object, so a builder can be passed as `provider` directly
+   *
+   * @returns {Object} Provider routing preferences
+   */
+  toJSON() {
+    return this.build();
+  }
+
+  /**
+   * Merge these preferences into chat completion params
+   *
+   * Fields set on this builder replace the same fields of any `provider`
+   * already in the params; the merged object is validated as a whole.
+   *
+   * @param {Object} params - Chat completion params
+   * @returns {Object} New params with the merged `provider` object
+   */
+  applyTo(params = {}) {
+    const merged = new ProviderRouting(params.provider || {});
+    for (const [field, value] of Object.entries(this.preferences)) {
+      merged[FIELD_SETTERS[field]](value);
+    }
+    return { ...params, provider: merged.build() };
+  }
+
+  /**
+   * Set a field and check it against the rest
+   *
+   * @param {string} field - `provider` field
+   * @param {any} value - Value, or undefined to clear the field
+   * @returns {ProviderRouting} This builder
+   * @private
+   */
+  _set(field, value) {
+    const previous = this.preferences[field];
+    if (value === undefined) {
+      delete this.preferences[field];
+    } else {
+      this.preferences[field] = value;
+    }
+
+    try {
+      this._checkCombination();
+    } catch (error) {
+      if (previous === undefined) {
+        delete this.preferences[field];
+      } else {
+        this.preferences[field] = previous;
+      }
+      throw error;
+    }
+    return this;
+  }
+
+  /**
+   * Reject provider lists that contradict each other
+   *
+   * @private
+   */
+  _checkCombination() {
+    const { order, only, ignore } = this.preferences;
+
+    const ignoredOnly = (only || []).filter(name => ignore?.includes(name));
+    if (ignoredOnly.length > 0) {
+      throw OpenRouterError.validationError(`Providers cannot be in both only and ignore: ${ignoredOnly.join(', ')}`, 'ignore');
+    }
+
+    const ignoredOrder = (order || []).filter(name => ignore?.includes(name));
+    if (ignoredOrder.length > 0) {
+      throw OpenRouterError.validationError(`Ordered providers are ignored: ${ignoredOrder.join(', ')}`, 'order');
+    }
+
+    const excludedOrder = only ? (order || []).filter(name => !only.includes(name)) : [];
+    if (excludedOrder.length > 0) {
+      throw OpenRouterError.validationError(`Ordered providers are not in only: ${excludedOrder.join(', ')}`, 'order');
+    }
+  }
+
   /**
    * Apply a suffix to a model ID for special capabilities
-   * 
+   *
    * @param {string} modelId - The model ID
    * @param {string} suffix - The suffix to apply ('nitro', 'floor', or 'online')
    * @returns {string} Model ID with the suffix
@@ -17,101 +350,126 @@ export class ProviderRouting {
     if (!modelId) {
       throw new Error('Model ID is required');
     }
-    
+
     const validSuffixes = ['nitro', 'floor', 'online'];
     if (!validSuffixes.includes(suffix)) {
       throw new Error(`Invalid suffix: ${suffix}. Must be one of: ${validSuffixes.join(', ')}`);
     }
-    
+
     return `${modelId}-${suffix}`;
   }
 
   /**
    * Create provider routing preferences for specific ordering
-   * 
+   *
    * @param {Array<string>} providerNames - Array of provider names in order of preference
    * @param {boolean} allowFallbacks - Whether to allow fallbacks to other providers
    * @returns {Object} Provider routing preferences
    */
   static orderProviders(providerNames, allowFallbacks = true) {
-    if (!Array.isArray(providerNames) || providerNames.length === 0) {
-      throw new Error('Provider names must be a non-empty array');
-    }
-    
-    return {
-      type: 'order',
-      providers: providerNames,
-      allowFallbacks
-    };
+    return new ProviderRouting().order(providerNames).allowFallbacks(allowFallbacks).build();
   }
 
   /**
    * Create provider routing preferences sorted by price, throughput, or latency
-   * 
+   *
    * @param {string} sortBy - The attribute to sort providers by
    * @returns {Object} Provider routing preferences
    */
   static sortProviders(sortBy) {
-    const validSortAttributes = ['price', 'throughput', 'latency'];
-    if (!validSortAttributes.includes(sortBy)) {
-      throw new Error(`Invalid sort attribute: ${sortBy}. Must be one of: ${validSortAttributes.join(', ')}`);
-    }
-    
-    return {
-      type: 'sort',
-      attribute: sortBy
-    };
+    return new ProviderRouting().sort(sortBy).build();
   }
 
   /**
-   * Create provider routing preferences with specific weights
-   * 
+   * Create provider routing preferences from provider weights
+   *
+   * OpenRouter has no weighted routing, so providers are tried from the
+   * highest weight down and providers weighted 0 are ignored.
+   *
    * @param {Object} weights - Map of provider names to weights
    * @returns {Object} Provider routing preferences
    */
   static weightProviders(weights) {
     if (!weights || typeof weights !== 'object' || Object.keys(weights).length === 0) {
-      throw new Error('Weights must be a non-empty object mapping provider names to weights');
+      throw OpenRouterError.validationError('Weights must be a non-empty object mapping provider names to weights', 'weights');
+    }
+    if (Object.values(weights).some(weight => typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0)) {
+      throw OpenRouterError.validationError('Weights must be non-negative numbers', 'weights');
+    }
+
+    const ranked = Object.entries(weights).sort(([, a], [, b]) => b - a);
+    const ordered = ranked.filter(([, weight]) => weight > 0).map(([name]) => name);
+    const ignored = ranked.filter(([, weight]) => weight === 0).map(([name]) => name);
+    if (ordered.length === 0) {
+      throw OpenRouterError.validationError('At least one provider must have a positive weight', 'weights');
     }
-    
-    return {
-      type: 'weight',
-      weights
-    };
+
+    const routing = new ProviderRouting().order(ordered);
+    return (ignored.length > 0 ? routing.ignore(ignored) : routing).build();
   }
 
   /**
-   * Create provider routing preferences with specific filters
-   * 
-   * @param {Function} filterFn - Function that returns true for providers to include
-   * @returns {Object} Provider routing preferences
+   * Create provider routing that only reaches the endpoints a filter accepts
+   *
+   * The filter runs here, against the endpoints OpenRouter lists for the
+   * model, and is called with a summary of each one: `provider`,
+   * `quantization`, `contextLength`, `maxCompletionTokens`, `pricing`
+   * (`prompt` and `completion` in USD per million tokens), `uptime` (percent
+   * over the last 30 minutes, or null), `status`, `supportedParameters` and
+   * the raw `endpoint`. The providers of the accepted endpoints become
+   * `only` and `order`; if a kept provider also serves a rejected endpoint
+   * at another quantization, `quantizations` narrows it to the accepted ones.
+   *
+   * @param {Array<Object>} endpoints - Endpoints from `/models/{id}/endpoints`
+   * @param {Function} filterFn - `(endpoint) => boolean` returning true for endpoints to use
+   * @param {Object} options - Filter options
+   * @param {string} options.rank - Order kept providers by 'price', 'uptime' or 'context' (defaults to the listed order)
+   * @param {boolean} options.allowFallbacks - Whether providers outside the order may serve the request
+   * @returns {ProviderRouting} Builder holding the routing, for further preferences
    */
-  static filterProviders(filterFn) {
+  static filterProviders(endpoints, filterFn, { rank, allowFallbacks } = {}) {
+    if (!Array.isArray(endpoints)) {
+      throw OpenRouterError.validationError('Endpoints must be an array', 'endpoints');
+    }
     if (typeof filterFn !== 'function') {
-      throw new Error('Filter must be a function');
+      throw OpenRouterError.validationError('Filter must be a function', 'filter');
+    }
+    if (rank !== undefined && !ENDPOINT_RANKERS[rank]) {
+      throw OpenRouterError.validationError(`Invalid rank: ${rank}. Must be one of: ${Object.keys(ENDPOINT_RANKERS).join(', ')}`, 'rank');
     }
-    
-    return {
-      type: 'filter',
-      filter: filterFn.toString()
-    };
+
+    const summaries = endpoints.map(describeEndpoint);
+    const accepted = summaries.filter(summary => filterFn(summary));
+    if (accepted.length === 0) {
+      throw OpenRouterError.validationError('No endpoint matches the filter', 'filter');
+    }
+
+    const ranked = rank ? [...accepted].sort(ENDPOINT_RANKERS[rank]) : accepted;
+    const names = toProviderNames(ranked.map(summary => summary.provider), 'only');
+    const routing = new ProviderRouting().only(names).order(names);
+
+    const levels = [...new Set(accepted.map(summary => summary.quantization))];
+    const shadowed = summaries.filter(summary => !accepted.includes(summary) && names.includes(summary.provider));
+    if (shadowed.length > 0 && shadowed.every(summary => !levels.includes(summary.quantization)) &&
+      levels.every(level => QUANTIZATIONS.includes(level))) {
+      routing.quantizations(levels);
+    }
+
+    return allowFallbacks === undefined ? routing : routing.allowFallbacks(allowFallbacks);
   }
 
   /**
    * Create provider routing preferences with a specific provider
-   * 
+   *
    * @param {string} providerName - The provider name
    * @returns {Object} Provider routing preferences
    */
   static specificProvider(providerName) {
     if (!providerName || typeof providerName !== 'string') {
-      throw new Error('Provider name is required');
+      throw OpenRouterError.validationError('Provider name is required', 'provider');
     }
-    
-    return {
-      type: 'specific',
-      provider: providerName
-    };
+
+    return new ProviderRouting().order([providerName]).allowFallbacks(false).build();
   }
 }
 
@@ -46,37 +46,47 @@ export class RateLimiter {
   /**
    * Throttle requests to stay within the rate limit
    * 
+   * Safe to call concurrently: each caller re-checks the window after
+   * waiting, so a freed slot is only claimed once.
+   * 
+   * @param {AbortSignal} signal - Optional signal that stops waiting
    * @returns {Promise<void>} A promise that resolves when the request can proceed
    */
-  async throttle() {
+  async throttle(signal) {
     // If rate limiting is disabled, return immediately
     if (!this.isActive()) {
       return;
     }
 
-    // Clean up old request times
-    const now = Date.now();
-    const oneMinuteAgo = now - 60 * 1000;
-    this.requestTimes = this.requestTimes.filter(time => time > oneMinuteAgo);
-
-    // If we're under the limit, add the current time and return
-    if (this.requestTimes.length < this.requestsPerMinute) {
-      this.requestTimes.push(now);
-      return;
+    while (true) {
+      if (signal?.aborted) {
+        throw signal.reason ?? new Error('Rate limiter wait was aborted');
+      }
+
+      // Clean up old request times
+      const now = Date.now();
+      const oneMinuteAgo = now - 60 * 1000;
+      this.requestTimes = this.requestTimes.filter(time => time > oneMinuteAgo);
+
+      // If we're under the limit, add the current time and return
+      if (this.requestTimes.length < this.requestsPerMinute) {
+        this.requestTimes.push(now);
+        return;
+      }
+
+      // Wait until the oldest request leaves the window
+      const timeToWait = Math.max(1, this.requestTimes[0] + 60 * 1000 - now);
+      await new Promise(resolve => {
+        const timer = setTimeout(done, timeToWait);
+        signal?.addEventListener('abort', done, { once: true });
+
+        function done() {
+          clearTimeout(timer);
+          signal?.removeEventListener('abort', done);
+          resolve();
+        }
+      });
     }
-
-    // Calculate how long to wait
-    const oldestRequest = this.requestTimes[0];
-    const timeToWait = Math.max(0, oldestRequest + 60 * 1000 - now);
-
-    // Wait for the required time
-    if (timeToWait > 0) {
-      await new Promise(resolve => setTimeout(resolve, timeToWait));
-    }
-
-    // Remove the oldest request and add the current one
-    this.requestTimes.shift();
-    this.requestTimes.push(Date.now());
   }
 
   /**
@@ -0,0 +1,249 @@
+/**
+ * Raced and hedged streaming requests
+ *
+ * Sends the same prompt to several contenders (models, or one model through
+ * different providers) and keeps the first good answer. Each contender
+ * streams under its own AbortController so the losers can be cancelled as
+ * soon as there is a winner.
+ *
+ * With a hedge delay, contenders start one at a time: the next one only
+ * starts if no running contender has produced a first token within the
+ * delay, or as soon as a running contender fails. A delay of 0 races them
+ * all at once.
+ */
+
+import OpenRouterError from '../errors/openrouter-error.js';
+import { StreamAccumulator } from './stream-accumulator.js';
+
+/**
+ * When a contender wins
+ *
+ * - 'first-token': the first contender to stream a token; it is then read to the end
+ * - 'complete': the first contender to finish with an accepted answer
+ */
+export const RACE_WIN_CONDITIONS = ['first-token', 'complete'];
+
+/**
+ * Check whether a chunk carries generated output
+ *
+ * @param {Object} chunk - Parsed chat.completion.chunk
+ * @returns {boolean} True if any choice has content, reasoning or tool call fragments
+ */
+function hasToken(chunk) {
+  return (chunk.choices || []).some(({ delta }) =>
+    Boolean(delta?.content || delta?.reasoning || delta?.tool_calls?.length));
+}
+
+/**
+ * Default check for a good answer: some content or a tool call
+ *
+ * @param {Object} response - Synthesized chat completion
+ * @returns {boolean} True if the answer is usable
+ */
+function hasAnswer(response) {
+  return response.choices.some(({ message, finish_reason }) => finish_reason !== 'error' &&
+    (Boolean(message.content) || message.tool_calls?.length > 0));
+}
+
+/**
+ * Collect the text a contender has generated so far
+ *
+ * @param {StreamAccumulator} accumulator - Contender's accumulator
+ * @returns {string} Content, reasoning and tool call arguments
+ */
+function generatedText(accumulator) {
+  return Array.from(accumulator.choices.values()).map(state => [
+    state.reasoning,
+    state.content,
+    ...Array.from(state.toolCalls.values()).map(toolCall => toolCall.function.name + toolCall.function.arguments)
+  ].join('')).join('');
+}
+
+/**
+ * Race streaming requests and keep the first good answer
+ *
+ * Resolves with the winner's synthesized response once its stream ends.
+ * If every contender fails, or the winner fails after the others were
+ * cancelled, the last failure is thrown with the report attached as
+ * `error.race`. Each contender in the report has a `status` of 'won',
+ * 'cancelled' (lost while running), 'failed' or 'not_started', its timings
+ * in milliseconds from the start of the race, and for cancelled contenders
+ * the `generated` text to account as waste.
+ *
+ * @param {Object} options - Race options
+ * @param {Array<any>} options.contenders - Contenders, passed to `start` as given
+ * @param {Function} options.start - `(contender, signal) => Promise<AsyncIterable<Object>>` opening a chunk stream
+ * @param {number} options.hedgeDelay - Milliseconds to wait for a first token before starting the next contender (0 starts all at once)
+ * @param {string} options.winOn - 'first-token' or 'complete'
+ * @param {Function} options.accept - `(response) => boolean` deciding whether a finished answer is good
+ * @param {AbortSignal} options.signal - Signal to cancel the whole race
+ * @returns {Promise<{response: Object, winner: Object, contenders: Array<Object>}>} Winning response and race report
+ */
+export function raceStreams({
+  contenders,
+  start,
+  hedgeDelay = 0,
+  winOn = 'first-token',
+  accept = hasAnswer,
+  signal
+}) {
+  if (!RACE_WIN_CONDITIONS.includes(winOn)) {
+    throw new Error(`Invalid win condition: ${winOn}. Must be one of: ${RACE_WIN_CONDITIONS.join(', ')}`);
+  }
+  if (!contenders?.length) {
+    throw OpenRouterError.validationError('At least one contender is required', 'contenders');
+  }
+
+  const startedAt = Date.now();
+  const elapsed = () => Date.now() - startedAt;
+  const entries = contenders.map((contender, index) => ({
+    contender,
+    index,
+    status: 'not_started',
+    startedMs: null,
+    firstTokenMs: null,
+    durationMs: null,
+    error: null,
+    controller: null,
+    accumulator: null
+  }));
+
+  return new Promise((resolve, reject) => {
+    let winner = null;
+    let next = 0;
+    let timer = null;
+    let settled = false;
+
+    const report = () => entries.map(entry => ({
+      contender: entry.contender,
+      index: entry.index,
+      status: entry.status,
+      startedMs: entry.startedMs,
+      firstTokenMs: entry.firstTokenMs,
+      durationMs: entry.durationMs,
+      error: entry.error,
+      generated: entry.status === 'cancelled' ? generatedText(entry.accumulator) : undefined
+    }));
+
+    const cancel = entry => {
+      entry.status = 'cancelled';
+      entry.durationMs = elapsed() - entry.startedMs;
+      entry.controller.abort();
+    };
+
+    const onAbort = () => {
+      entries.filter(entry => entry.status === 'running').forEach(cancel);
+      fail(OpenRouterError.abortError('Race was aborted'));
+    };
+
+    const finish = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      settled = true;
+    };
+
+    const fail = error => {
+      if (settled) {
+        return;
+      }
+      finish();
+      error.race = { contenders: report() };
+      reject(error);
+    };
+
+    const crown = entry => {
+      winner = entry;
+      clearTimeout(timer);
+      entries.filter(other => other !== entry && other.status === 'running').forEach(cancel);
+    };
+
+    const launch = () => {
+      clearTimeout(timer);
+      if (settled || winner || next >= entries.length) {
+        return;
+      }
+
+      run(entries[next++]);
+
+      if (hedgeDelay <= 0) {
+        launch();
+      } else if (next < entries.length) {
+        timer = setTimeout(launch, hedgeDelay);
+      }
+    };
+
+    const lose = (entry, error) => {
+      entry.status = 'failed';
+      entry.durationMs = elapsed() - entry.startedMs;
+      entry.error = { status: error?.status ?? null, code: error?.code ?? null, message: error?.message || String(error) };
+
+      if (winner === entry) {
+        fail(error);
+      } else if (!winner && next < entries.length) {
+        launch();
+      } else if (!winner && entries.every(other => other.status !== 'running')) {
+        fail(error);
+      }
+    };
+
+    const run = async entry => {
+      entry.status = 'running';
+      entry.startedMs = elapsed();
+      entry.controller = new AbortController();
+      entry.accumulator = new StreamAccumulator();
+
+      try {
+        const stream = await start(entry.contender, entry.controller.signal);
+
+        // Cancelled contenders keep reading until the abort surfaces, so the
+        // stream is not mistaken for one the consumer finished early
+        for await (const chunk of stream) {
+          entry.accumulator.push(chunk);
+          if (entry.firstTokenMs === null && hasToken(chunk)) {
+            entry.firstTokenMs = elapsed();
+            // A token is on its way, so there is no need to hedge yet
+            clearTimeout(timer);
+            if (!winner && !settled && winOn === 'first-token') {
+              crown(entry);
+            }
+          }
+        }
+
+        if (entry.status === 'cancelled' || settled) {
+          return;
+        }
+
+        entry.accumulator.finish();
+        const response = entry.accumulator.toResponse();
+        if ((winner === entry || !winner) && accept(response)) {
+          if (!winner) {
+            crown(entry);
+          }
+          entry.status = 'won';
+          entry.durationMs = elapsed() - entry.startedMs;
+          finish();
+          resolve({
+            response,
+            winner: report()[entry.index],
+            contenders: report()
+          });
+        } else {
+          lose(entry, OpenRouterError.validationError('Contender returned no usable answer', 'contenders'));
+        }
+      } catch (error) {
+        if (entry.status !== 'cancelled' && !settled) {
+          lose(entry, error);
+        }
+      }
+    };
+
+    if (signal?.aborted) {
+      onAbort();
+      return;
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+    launch();
+  });
+}
+
+export default raceStreams;
@@ -0,0 +1,331 @@
+/**
+ * Client-side request throttling
+ *
+ * Enforces requests per minute, tokens per minute and concurrent in-flight
+ * request limits before calls leave the process, so fan-out workloads queue
+ * locally instead of tripping upstream 429s. Limits can be set globally and
+ * per provider or model; a request must satisfy every scope that applies.
+ */
+
+import { RateLimiter } from './rate-limiter.js';
+import OpenRouterError from '../errors/openrouter-error.js';
+import { countRequestTokens } from './token-counter.js';
+
+/**
+ * Wait for a delay, waking early if the signal aborts
+ *
+ * @param {number} delay - Delay in milliseconds
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<void>} Resolves after the delay or on abort
+ */
+function wait(delay, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(done, delay);
+    signal?.addEventListener('abort', done, { once: true });
+
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    }
+  });
+}
+
+/**
+ * Estimate the prompt tokens of a request body
+ *
+ * @param {Object} body - Chat completion or embedding request body
+ * @returns {number} Estimated prompt tokens
+ */
+export function estimateRequestTokens(body = {}) {
+  return countRequestTokens(body);
+}
+
+/**
+ * Limits for one scope (global, a provider or a model)
+ */
+class ThrottleScope {
+  /**
+   * @param {Object} limits - Scope limits
+   * @param {number} limits.requestsPerMinute - Maximum requests per minute (0 for no limit)
+   * @param {number} limits.tokensPerMinute - Maximum tokens per minute (0 for no limit)
+   * @param {number} limits.maxConcurrent - Maximum in-flight requests (0 for no limit)
+   */
+  constructor({ requestsPerMinute = 0, tokensPerMinute = 0, maxConcurrent = 0 } = {}) {
+    this.rateLimiter = new RateLimiter(requestsPerMinute);
+    this.tokensPerMinute = tokensPerMinute;
+    this.maxConcurrent = maxConcurrent;
+    this.inFlight = 0;
+    this.waiting = [];
+    this.tokenLog = [];
+  }
+
+  /**
+   * Take a concurrency slot, waiting for one to free up if needed
+   *
+   * @param {AbortSignal} signal - Optional abort signal
+   * @returns {Promise<void>} Resolves once the slot is held
+   */
+  acquireSlot(signal) {
+    if (!this.maxConcurrent || this.inFlight < this.maxConcurrent) {
+      this.inFlight++;
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = () => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      };
+      const onAbort = () => {
+        this.waiting.splice(this.waiting.indexOf(waiter), 1);
+        reject(OpenRouterError.abortError());
+      };
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.waiting.push(waiter);
+    });
+  }
+
+  /**
+   * Release a concurrency slot, handing it to the next waiter if any
+   */
+  releaseSlot() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.inFlight = Math.max(0, this.inFlight - 1);
+    }
+  }
+
+  /**
+   * Reserve tokens in the one-minute window
+   *
+   * A request larger than the whole budget is let through once the window
+   * is empty rather than blocking forever.
+   *
+   * @param {number} tokens - Estimated tokens for the request
+   * @param {AbortSignal} signal - Optional abort signal
+   * @returns {Promise<Object|null>} Window entry that can be corrected later
+   */
+  async reserveTokens(tokens, signal) {
+    if (!this.tokensPerMinute) {
+      return null;
+    }
+
+    while (true) {
+      if (signal?.aborted) {
+        throw OpenRouterError.abortError();
+      }
+
+      const now = Date.now();
+      this.tokenLog = this.tokenLog.filter(entry => entry.time > now - 60 * 1000);
+      const used = this.tokenLog.reduce((sum, entry) => sum + entry.tokens, 0);
+
+      if (this.tokenLog.length === 0 || used + tokens <= this.tokensPerMinute) {
+        const entry = { time: now, tokens };
+        this.tokenLog.push(entry);
+        return entry;
+      }
+
+      await wait(Math.max(1, this.tokenLog[0].time + 60 * 1000 - now), signal);
+    }
+  }
+
+  /**
+   * Get the tokens used in the current window
+   *
+   * @returns {number} Tokens used in the last minute
+   */
+  getTokensInWindow() {
+    const now = Date.now();
+    return this.tokenLog
+      .filter(entry => entry.time > now - 60 * 1000)
+      .reduce((sum, entry) => sum + entry.tokens, 0);
+  }
+}
+
+/**
+ * RequestThrottler queues requests until every applicable limit allows them
+ */
+export class RequestThrottler {
+  /**
+   * Create a new request throttler
+   *
+   * @param {Object} options - Throttle configuration
+   * @param {number} options.requestsPerMinute - Global requests per minute (0 for no limit)
+   * @param {number} options.tokensPerMinute - Global tokens per minute (0 for no limit)
+   * @param {number} options.maxConcurrent - Global in-flight request limit (0 for no limit)
+   * @param {Object<string, Object>} options.providers - Limits keyed by provider, e.g. `{ openai: { requestsPerMinute: 60 } }`
+   * @param {Object<string, Object>} options.models - Limits keyed by model ID, e.g. `{ 'openai/gpt-4o': { maxConcurrent: 2 } }`
+   */
+  constructor(options = {}) {
+    this.stats = { throttled: 0, totalWaitTime: 0, queued: 0 };
+    this.configure(options);
+  }
+
+  /**
+   * Replace the configured limits
+   *
+   * Requests already in flight keep their slots in the previous scopes.
+   *
+   * @param {Object} options - Throttle configuration, as for the constructor
+   */
+  configure({ providers = {}, models = {}, ...globalLimits } = {}) {
+    this.global = new ThrottleScope(globalLimits);
+    this.scopes = new Map();
+
+    Object.entries(providers).forEach(([provider, limits]) => {
+      this.scopes.set(`provider:${provider}`, new ThrottleScope(limits));
+    });
+    Object.entries(models).forEach(([model, limits]) => {
+      this.scopes.set(`model:${model}`, new ThrottleScope(limits));
+    });
+  }
+
+  /**
+   * Get the scopes that apply to a model, from broadest to narrowest
+   *
+   * @param {string} model - Model ID
+   * @returns {Array<ThrottleScope>} Applicable scopes
+   */
+  scopesFor(model) {
+    const scopes = [this.global];
+
+    if (model) {
+      const provider = model.split('/')[0];
+      if (this.scopes.has(`provider:${provider}`)) {
+        scopes.push(this.scopes.get(`provider:${provider}`));
+      }
+      if (this.scopes.has(`model:${model}`)) {
+        scopes.push(this.scopes.get(`model:${model}`));
+      }
+    }
+
+    return scopes;
+  }
+
+  /**
+   * Wait until a request may be sent
+   *
+   * Concurrency slots are taken first and in a fixed order, so requests
+   * waiting on different scopes cannot deadlock each other.
+   *
+   * @param {Object} request - Request details
+   * @param {string} request.model - Model ID, if any
+   * @param {number} request.tokens - Estimated tokens for the request
+   * @param {AbortSignal} request.signal - Signal that cancels waiting
+   * @returns {Promise<{release: Function}>} Lease; call `release(actualTokens)` when the request finishes
+   */
+  async acquire({ model, tokens = 0, signal } = {}) {
+    const scopes = this.scopesFor(model);
+    const held = [];
+    const entries = [];
+    const startTime = Date.now();
+
+    this.stats.queued++;
+
+    try {
+      for (const scope of scopes) {
+        await scope.acquireSlot(signal);
+        held.push(scope);
+      }
+
+      for (const scope of scopes) {
+        await scope.rateLimiter.throttle(signal);
+      }
+
+      for (const scope of scopes) {
+        const entry = await scope.reserveTokens(tokens, signal);
+        if (entry) {
+          entries.push(entry);
+        }
+      }
+    } catch (error) {
+      held.forEach(scope => scope.releaseSlot());
+      throw signal?.aborted ? OpenRouterError.abortError() : error;
+    } finally {
+      this.stats.queued--;
+    }
+
+    const waited = Date.now() - startTime;
+    if (waited > 0) {
+      this.stats.throttled++;
+      this.stats.totalWaitTime += waited;
+    }
+
+    let released = false;
+    return {
+      release: (actualTokens) => {
+        if (released) {
+          return;
+        }
+        released = true;
+
+        // Replace the estimate with the reported usage
+        if (typeof actualTokens === 'number') {
+          entries.forEach(entry => {
+            entry.tokens = actualTokens;
+          });
+        }
+
+        held.forEach(scope => scope.releaseSlot());
+      }
+    };
+  }
+
+  /**
+   * Get throttling statistics
+   *
+   * @returns {{inFlight: number, queued: number, throttled: number, totalWaitTime: number,
+   *   requestsInWindow: number, tokensInWindow: number}} Throttle statistics for the global scope
+   */
+  getStats() {
+    return {
+      inFlight: this.global.inFlight,
+      queued: this.stats.queued,
+      throttled: this.stats.throttled,
+      totalWaitTime: this.stats.totalWaitTime,
+      requestsInWindow: this.global.rateLimiter.getCurrentRequestCount(),
+      tokensInWindow: this.global.getTokensInWindow()
+    };
+  }
+
+  /**
+   * Create an OpenRouter interceptor that applies this throttler
+   *
+   * The lease is held until the response (or the whole stream) completes.
+   * Calls to endpoints outside `endpoints` pass through, so lookups made
+   * while a lease is held (such as the model list used for pricing) cannot
+   * queue behind it.
+   *
+   * @param {Array<string>} endpoints - Endpoints to throttle; all endpoints if omitted
+   * @returns {Object} OpenRouter interceptor
+   */
+  createInterceptor(endpoints) {
+    return {
+      beforeRequest: async (context) => {
+        if (endpoints && !endpoints.includes(context.endpoint)) {
+          return;
+        }
+
+        context.metadata.throttleLease = await this.acquire({
+          model: context.body?.model,
+          tokens: estimateRequestTokens(context.body),
+          signal: context.signal
+        });
+      },
+
+      afterResponse: (context, response) => {
+        context.metadata.throttleLease?.release(response?.usage?.total_tokens);
+      },
+
+      onError: (context) => {
+        context.metadata.throttleLease?.release();
+      }
+    };
+  }
+}
+
+export default RequestThrottler;
@@ -54,7 +54,10 @@ export async function retry(
  * @param {Object} options - Retry options
  * @param {number} options.maxRetries - Maximum number of retries
  * @param {Function} options.retryCondition - Function that returns true if the error should be retried
- * @param {Function} options.delayFn - Function that returns the delay for the next retry
+ * @param {Function} options.delayFn - Function that returns the delay for the next retry, called with the retry count and the error
+ * @param {Function} options.onRetry - Optional hook called with (error, retryCount, delay) before each retry
+ * @param {number} options.deadline - Optional timestamp after which no further retries are attempted
+ * @param {AbortSignal} options.signal - Optional signal that cuts the wait between attempts short
  * @param {Object} options.logger - Optional logger instance
  * @returns {Promise<any>} The result of the function
  */
@@ -64,6 +67,9 @@ export async function retryWithStrategy(
     maxRetries = 3,
     retryCondition = () => true,
     delayFn = (retryCount) => Math.min(1000 * Math.pow(2, retryCount), 30000),
+    onRetry = null,
+    deadline = null,
+    signal = null,
     logger = console
   } = {}
 ) {
@@ -71,7 +77,7 @@ export async function retryWithStrategy(
 
   while (true) {
     try {
-      return await fn();
+      return await fn(retries);
     } catch (error) {
       // If we've reached the maximum number of retries or the condition is not met, throw the error
       if (retries >= maxRetries || !retryCondition(error, retries)) {
@@ -81,20 +87,106 @@ export async function retryWithStrategy(
         throw error;
       }
       
-      retries++;
-      
       // Calculate the delay
-      const delay = delayFn(retries);
+      const delay = delayFn(retries + 1, error);
+      
+      // Give up if waiting would take us past the deadline
+      if (deadline && Date.now() + delay > deadline) {
+        logger.error(`Retry deadline exceeded after ${retries} retries:`, error);
+        throw error;
+      }
+      
+      retries++;
       
       logger.warn(`Retry ${retries}/${maxRetries} after ${Math.round(delay)}ms:`, error.message);
       
-      // Wait for the delay
-      await new Promise(resolve => setTimeout(resolve, delay));
+      if (onRetry) {
+        onRetry(error, retries, delay);
+      }
+      
+      // Wait for the delay, waking early if the caller aborts so the next
+      // attempt can fail fast
+      await new Promise(resolve => {
+        const timer = setTimeout(done, delay);
+        function done() {
+          clearTimeout(timer);
+          signal?.removeEventListener('abort', done);
+          resolve();
+        }
+        signal?.addEventListener('abort', done, { once: true });
+      });
     }
   }
 }
 
+/**
+ * Determine whether an OpenRouter error is worth retrying
+ * 
+ * Rate limits (429), timeouts (408), server errors (5xx) and network
+ * failures (status 0) are transient. Validation, authentication, payment
+ * and permission errors (400/401/402/403) are not.
+ * 
+ * @param {Error} error - The error to classify
+ * @returns {boolean} True if the request may succeed when retried
+ */
+export function isRetryableError(error) {
+  const status = error?.status;
+  
+  if (status === undefined || status === null) {
+    return false;
+  }
+  
+  return status === 0 || status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Get the server-requested retry delay from an error, if any
+ * 
+ * Reads `retryAfter` (in seconds) from the error data, which is populated
+ * from the `Retry-After` response header and by `OpenRouterError.rateLimitError`.
+ * 
+ * @param {Error} error - The error to inspect
+ * @returns {number|null} Delay in milliseconds, or null if none was requested
+ */
+export function getRetryAfterDelay(error) {
+  const retryAfter = error?.data?.retryAfter ?? error?.retryAfter;
+  const seconds = Number(retryAfter);
+  
+  if (retryAfter === undefined || retryAfter === null || !Number.isFinite(seconds) || seconds < 0) {
+    return null;
+  }
+  
+  return seconds * 1000;
+}
+
+/**
+ * Parse a Retry-After header value
+ * 
+ * @param {string|null} value - Header value, either delta-seconds or an HTTP date
+ * @returns {number|null} Delay in seconds, or null if the header is absent or invalid
+ */
+export function parseRetryAfterHeader(value) {
+  if (!value) {
+    return null;
+  }
+  
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds);
+  }
+  
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, (date - Date.now()) / 1000);
+  }
+  
+  return null;
+}
+
 export default {
   retry,
-  retryWithStrategy
+  retryWithStrategy,
+  isRetryableError,
+  getRetryAfterDelay,
+  parseRetryAfterHeader
 };
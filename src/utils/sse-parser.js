@@ -0,0 +1,181 @@
+/**
+ * Server-Sent Events parsing utilities
+ *
+ * Decodes the SSE wire format used by OpenRouter streaming endpoints into
+ * parsed chunk objects. Works with WHATWG ReadableStreams (browser, Node 18+
+ * fetch) as well as Node.js readable streams.
+ */
+
+import OpenRouterError from '../errors/openrouter-error.js';
+
+/**
+ * Iterate over the raw byte/string chunks of a response body
+ *
+ * @param {ReadableStream|AsyncIterable} body - Response body
+ * @returns {AsyncGenerator<Uint8Array|string>} Body chunks
+ */
+async function* readBody(body) {
+  if (body && typeof body.getReader === 'function') {
+    const reader = body.getReader();
+    let finished = false;
+
+    try {
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) {
+          finished = true;
+          return;
+        }
+        yield value;
+      }
+    } finally {
+      // Cancel the underlying connection if the consumer stopped early
+      if (!finished) {
+        await reader.cancel().catch(() => {});
+      }
+      reader.releaseLock();
+    }
+  }
+
+  if (body && typeof body[Symbol.asyncIterator] === 'function') {
+    yield* body;
+    return;
+  }
+
+  throw new TypeError('Stream body must be a ReadableStream or an async iterable');
+}
+
+/**
+ * Parse a stream of Server-Sent Events
+ *
+ * Comment lines (such as OpenRouter's `: OPENROUTER PROCESSING` keep-alives)
+ * are skipped. Multiple `data:` lines within one event are joined with a
+ * newline, as described by the SSE specification.
+ *
+ * @param {ReadableStream|AsyncIterable} body - Response body
+ * @returns {AsyncGenerator<{event: string, data: string, id: string|undefined}>} Parsed events
+ */
+export async function* parseSSE(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let event = { event: 'message', data: [], id: undefined };
+
+  const flush = () => {
+    const completed = event.data.length > 0
+      ? { event: event.event, data: event.data.join('\n'), id: event.id }
+      : null;
+    event = { event: 'message', data: [], id: undefined };
+    return completed;
+  };
+
+  const processLine = (line) => {
+    // Blank line dispatches the event
+    if (line === '') {
+      return flush();
+    }
+
+    // Comment line (keep-alive)
+    if (line.startsWith(':')) {
+      return null;
+    }
+
+    const colonIndex = line.indexOf(':');
+    const field = colonIndex === -1 ? line : line.slice(0, colonIndex);
+    let value = colonIndex === -1 ? '' : line.slice(colonIndex + 1);
+    if (value.startsWith(' ')) {
+      value = value.slice(1);
+    }
+
+    switch (field) {
+      case 'data':
+        event.data.push(value);
+        break;
+      case 'event':
+        event.event = value;
+        break;
+      case 'id':
+        event.id = value;
+        break;
+      default:
+        // Unknown fields (including `retry`) are ignored
+        break;
+    }
+
+    return null;
+  };
+
+  for await (const chunk of readBody(body)) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+
+    let newlineIndex;
+    while ((newlineIndex = buffer.search(/\r\n|\r|\n/)) !== -1) {
+      // A trailing CR may be the first half of a CRLF split across chunks
+      if (newlineIndex === buffer.length - 1 && buffer[newlineIndex] === '\r') {
+        break;
+      }
+
+      const line = buffer.slice(0, newlineIndex);
+      const separatorLength = buffer.startsWith('\r\n', newlineIndex) ? 2 : 1;
+      buffer = buffer.slice(newlineIndex + separatorLength);
+
+      const completed = processLine(line);
+      if (completed) {
+        yield completed;
+      }
+    }
+  }
+
+  // Handle a trailing event that was not terminated by a blank line
+  buffer += decoder.decode();
+  if (buffer) {
+    processLine(buffer);
+  }
+  const trailing = flush();
+  if (trailing) {
+    yield trailing;
+  }
+}
+
+/**
+ * Parse an OpenRouter chat completion stream into chunk objects
+ *
+ * Stops at the `[DONE]` sentinel and throws an OpenRouterError when the
+ * provider reports an error mid-stream.
+ *
+ * @param {ReadableStream|AsyncIterable} body - Response body
+ * @returns {AsyncGenerator<Object>} Parsed chat completion chunks
+ */
+export async function* parseChatCompletionStream(body) {
+  for await (const { data } of parseSSE(body)) {
+    if (data === '[DONE]') {
+      return;
+    }
+
+    let chunk;
+    try {
+      chunk = JSON.parse(data);
+    } catch (error) {
+      throw new OpenRouterError(
+        `Failed to parse stream chunk: ${error.message}`,
+        0,
+        { code: 'stream_parse_error', raw: data }
+      );
+    }
+
+    if (chunk.error) {
+      const status = typeof chunk.error.code === 'number' ? chunk.error.code : 500;
+      throw new OpenRouterError(
+        chunk.error.message || 'OpenRouter stream error',
+        status,
+        chunk
+      );
+    }
+
+    yield chunk;
+  }
+}
+
+export default {
+  parseSSE,
+  parseChatCompletionStream
+};
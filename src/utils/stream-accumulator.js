@@ -0,0 +1,273 @@
+/**
+ * Streaming chat completion accumulator
+ *
+ * Reassembles `chat.completion.chunk` deltas into content, reasoning and
+ * complete tool calls, and synthesizes the equivalent non-streaming
+ * `chat.completion` response once the stream ends.
+ */
+
+/**
+ * Parse tool call arguments, tolerating empty or invalid JSON
+ *
+ * @param {string} text - Raw arguments string
+ * @returns {{value: any, error: string|null}} Parsed arguments or the parse error
+ */
+function parseArguments(text) {
+  if (!text) {
+    return { value: {}, error: null };
+  }
+
+  try {
+    return { value: JSON.parse(text), error: null };
+  } catch (error) {
+    return { value: null, error: error.message };
+  }
+}
+
+/**
+ * StreamAccumulator collects chunks and reports what each one completes
+ *
+ * Events returned from push() and finish():
+ * - `{ type: 'content', choice, delta }` for each content fragment
+ * - `{ type: 'reasoning', choice, delta }` for each reasoning fragment
+ * - `{ type: 'tool_call', choice, toolCall, arguments, error }` once a tool call is complete
+ */
+export class StreamAccumulator {
+  constructor() {
+    this.id = null;
+    this.model = null;
+    this.created = null;
+    this.usage = null;
+    this.choices = new Map();
+  }
+
+  /**
+   * Get or create the state for a choice
+   *
+   * @param {number} index - Choice index
+   * @returns {Object} Choice state
+   */
+  choice(index) {
+    if (!this.choices.has(index)) {
+      this.choices.set(index, {
+        role: 'assistant',
+        content: '',
+        reasoning: '',
+        toolCalls: new Map(),
+        openToolCall: null,
+        emitted: new Set(),
+        finishReason: null
+      });
+    }
+
+    return this.choices.get(index);
+  }
+
+  /**
+   * Build the completion event for a finished tool call
+   *
+   * @param {number} choiceIndex - Choice index
+   * @param {Object} state - Choice state
+   * @param {number} toolIndex - Tool call index
+   * @returns {Object|null} Tool call event, or null if already emitted
+   */
+  completeToolCall(choiceIndex, state, toolIndex) {
+    if (state.emitted.has(toolIndex) || !state.toolCalls.has(toolIndex)) {
+      return null;
+    }
+
+    state.emitted.add(toolIndex);
+    const toolCall = state.toolCalls.get(toolIndex);
+    const { value, error } = parseArguments(toolCall.function.arguments);
+
+    return {
+      type: 'tool_call',
+      choice: choiceIndex,
+      toolCall,
+      arguments: value,
+      error
+    };
+  }
+
+  /**
+   * Add a chunk to the accumulated response
+   *
+   * A tool call is complete when the next one starts, or when its choice
+   * reports a finish reason.
+   *
+   * @param {Object} chunk - Parsed chat.completion.chunk
+   * @returns {Array<Object>} Events produced by this chunk
+   */
+  push(chunk) {
+    const events = [];
+
+    this.id = this.id || chunk.id || null;
+    this.model = this.model || chunk.model || null;
+    this.created = this.created || chunk.created || null;
+    if (chunk.usage) {
+      this.usage = chunk.usage;
+    }
+
+    (chunk.choices || []).forEach(choiceChunk => {
+      const index = choiceChunk.index ?? 0;
+      const state = this.choice(index);
+      const delta = choiceChunk.delta || {};
+
+      if (delta.role) {
+        state.role = delta.role;
+      }
+
+      if (delta.content) {
+        state.content += delta.content;
+        events.push({ type: 'content', choice: index, delta: delta.content });
+      }
+
+      if (delta.reasoning) {
+        state.reasoning += delta.reasoning;
+        events.push({ type: 'reasoning', choice: index, delta: delta.reasoning });
+      }
+
+      (delta.tool_calls || []).forEach((fragment, position) => {
+        const toolIndex = fragment.index ?? position;
+
+        if (state.openToolCall !== null && state.openToolCall !== toolIndex) {
+          const event = this.completeToolCall(index, state, state.openToolCall);
+          if (event) {
+            events.push(event);
+          }
+        }
+        state.openToolCall = toolIndex;
+
+        if (!state.toolCalls.has(toolIndex)) {
+          state.toolCalls.set(toolIndex, {
+            id: fragment.id || null,
+            type: fragment.type || 'function',
+            function: { name: '', arguments: '' }
+          });
+        }
+
+        const toolCall = state.toolCalls.get(toolIndex);
+        if (fragment.id) {
+          toolCall.id = fragment.id;
+        }
+        if (fragment.function?.name) {
+          toolCall.function.name += fragment.function.name;
+        }
+        if (fragment.function?.arguments) {
+          toolCall.function.arguments += fragment.function.arguments;
+        }
+      });
+
+      if (choiceChunk.finish_reason) {
+        state.finishReason = choiceChunk.finish_reason;
+        events.push(...this.flushChoice(index, state));
+      }
+    });
+
+    return events;
+  }
+
+  /**
+   * Complete every outstanding tool call of a choice
+   *
+   * @param {number} index - Choice index
+   * @param {Object} state - Choice state
+   * @returns {Array<Object>} Tool call events
+   */
+  flushChoice(index, state) {
+    const events = [];
+
+    Array.from(state.toolCalls.keys())
+      .sort((a, b) => a - b)
+      .forEach(toolIndex => {
+        const event = this.completeToolCall(index, state, toolIndex);
+        if (event) {
+          events.push(event);
+        }
+      });
+
+    state.openToolCall = null;
+    return events;
+  }
+
+  /**
+   * Complete any tool calls still open when the stream ends
+   *
+   * @returns {Array<Object>} Remaining tool call events
+   */
+  finish() {
+    const events = [];
+
+    this.choices.forEach((state, index) => {
+      events.push(...this.flushChoice(index, state));
+    });
+
+    return events;
+  }
+
+  /**
+   * Synthesize the non-streaming response for the chunks seen so far
+   *
+   * @returns {Object} chat.completion response
+   */
+  toResponse() {
+    const choices = Array.from(this.choices.entries())
+      .sort(([a], [b]) => a - b)
+      .map(([index, state]) => {
+        const message = {
+          role: state.role,
+          content: state.content || (state.toolCalls.size > 0 ? null : '')
+        };
+
+        if (state.reasoning) {
+          message.reasoning = state.reasoning;
+        }
+
+        if (state.toolCalls.size > 0) {
+          message.tool_calls = Array.from(state.toolCalls.entries())
+            .sort(([a], [b]) => a - b)
+            .map(([, toolCall]) => toolCall);
+        }
+
+        return {
+          index,
+          message,
+          finish_reason: state.finishReason
+        };
+      });
+
+    return {
+      id: this.id,
+      object: 'chat.completion',
+      created: this.created,
+      model: this.model,
+      choices,
+      usage: this.usage
+    };
+  }
+}
+
+/**
+ * Turn a chunk stream into content, reasoning and tool call events
+ *
+ * The last event is `{ type: 'done', response }` with the synthesized
+ * non-streaming response.
+ *
+ * @param {AsyncIterable<Object>} stream - Parsed chat completion chunks
+ * @returns {AsyncGenerator<Object>} Stream events
+ */
+export async function* accumulateStream(stream) {
+  const accumulator = new StreamAccumulator();
+
+  for await (const chunk of stream) {
+    yield* accumulator.push(chunk);
+  }
+
+  yield* accumulator.finish();
+  yield { type: 'done', response: accumulator.toResponse() };
+}
+
+export default {
+  StreamAccumulator,
+  accumulateStream
+};
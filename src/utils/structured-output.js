@@ -2,6 +2,11 @@
  * Structured output utilities
  */
 
+import OpenRouterError from '../errors/openrouter-error.js';
+import { validateJsonSchema, formatSchemaErrors } from './json-schema-validator.js';
+import { streamPartialJson } from './partial-json.js';
+import { sumCosts } from './cost.js';
+
 /**
  * StructuredOutput provides utilities for creating structured output formats
  */
@@ -23,7 +28,7 @@ export class StructuredOutput {
    * @param {Object} schema - The JSON Schema definition
    * @param {string} name - The name of the schema
    * @param {boolean} strict - Whether to enforce strict validation
-   * @returns {Object} A response format configuration with JSON Schema validation
+   * @returns {Object} A `json_schema` response format configuration
    */
   static withSchema(schema, name = 'output', strict = true) {
     if (!schema || typeof schema !== 'object') {
@@ -31,18 +36,127 @@ export class StructuredOutput {
     }
     
     return {
-      type: 'json_object',
-      schema: {
-        type: 'object',
-        properties: {
-          [name]: schema
-        },
-        required: [name]
-      },
-      strict
+      type: 'json_schema',
+      json_schema: {
+        name,
+        strict,
+        schema
+      }
     };
   }
 
+  /**
+   * Parse JSON from model output
+   * 
+   * Tolerates a surrounding Markdown code fence, which some models add even
+   * in JSON mode.
+   * 
+   * @param {string} content - Message content
+   * @returns {any} Parsed value
+   * @throws {SyntaxError} If the content is not valid JSON
+   */
+  static parse(content) {
+    const text = (content || '').trim();
+    const fenced = text.match(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/);
+    return JSON.parse(fenced ? fenced[1] : text);
+  }
+
+  /**
+   * Validate a value against a JSON Schema
+   * 
+   * @param {any} value - Value to validate
+   * @param {Object} schema - JSON Schema
+   * @returns {Array<{path: string, keyword: string, message: string}>} Validation errors (empty if valid)
+   */
+  static validate(value, schema) {
+    return validateJsonSchema(value, schema);
+  }
+
+  /**
+   * Request a completion that must match a schema, re-asking the model with
+   * the validation errors until it does
+   * 
+   * @param {Function} complete - `(params) => Promise<Object>` that creates a chat completion
+   * @param {Object} params - Chat completion parameters including `messages`
+   * @param {Object} schema - JSON Schema the output must match
+   * @param {Object} options - Structured output options
+   * @param {string} options.name - Schema name sent to the model
+   * @param {boolean} options.strict - Ask the provider to enforce the schema
+   * @param {number} options.maxRepairs - How many times to re-ask after invalid output
+   * @returns {Promise<{data: any, response: Object, attempts: number, cost: Object|null}>} Validated data, the final
+   *   response and the combined cost of all attempts
+   * @throws {OpenRouterError} With code `schema_validation_error` if no attempt matched
+   */
+  static async generate(complete, params, schema, { name = 'output', strict = true, maxRepairs = 2 } = {}) {
+    const messages = [...(params.messages || [])];
+    const responseFormat = StructuredOutput.withSchema(schema, name, strict);
+    const costs = [];
+    
+    for (let attempt = 1; ; attempt++) {
+      const response = await complete({
+        ...params,
+        messages,
+        response_format: responseFormat
+      });
+      costs.push(response.cost);
+      const content = response.choices?.[0]?.message?.content ?? '';
+      
+      let data;
+      let errors;
+      try {
+        data = StructuredOutput.parse(content);
+        errors = validateJsonSchema(data, schema);
+      } catch (error) {
+        errors = [{ path: '$', keyword: 'json', message: `is not valid JSON (${error.message})` }];
+      }
+      
+      if (errors.length === 0) {
+        return { data, response, attempts: attempt, cost: sumCosts(costs) };
+      }
+      
+      if (attempt > maxRepairs) {
+        throw OpenRouterError.schemaValidationError(
+          `Structured output did not match schema after ${attempt} attempts: ${formatSchemaErrors(errors.slice(0, 3))}`,
+          errors,
+          { raw: content, response, cost: sumCosts(costs) }
+        );
+      }
+      
+      messages.push(
+        { role: 'assistant', content },
+        {
+          role: 'user',
+          content: `Your response did not match the required JSON schema:\n${formatSchemaErrors(errors)}\n\nReply with corrected JSON only.`
+        }
+      );
+    }
+  }
+
+  /**
+   * Stream a completion that must match a schema as progressively complete objects
+   * 
+   * Partial objects close unterminated strings, arrays and objects so they
+   * can be rendered while the model is still writing. The final object is
+   * validated; streamed output is not repaired.
+   * 
+   * @param {Function} stream - `(params) => Promise<AsyncIterable<Object>>` that creates a chat completion stream
+   * @param {Object} params - Chat completion parameters including `messages`
+   * @param {Object} schema - JSON Schema the output must match
+   * @param {Object} options - Structured output options
+   * @param {string} options.name - Schema name sent to the model
+   * @param {boolean} options.strict - Ask the provider to enforce the schema
+   * @returns {Promise<AsyncGenerator<Object>>} Events of type 'partial' and finally 'complete'
+   * @throws {OpenRouterError} From the iterator, with code `schema_validation_error`, if the final output does not match
+   */
+  static async stream(stream, params, schema, { name = 'output', strict = true } = {}) {
+    const chunks = await stream({
+      ...params,
+      response_format: StructuredOutput.withSchema(schema, name, strict)
+    });
+    
+    return streamPartialJson(chunks, { schema });
+  }
+
   /**
    * Create a response format for a specific output type
    * 
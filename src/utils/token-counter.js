@@ -0,0 +1,412 @@
+/**
+ * Token counting
+ *
+ * Estimates token counts for GPT, Claude, Llama, Mistral and Gemini models
+ * without shipping their vocabularies. Text is split the way BPE
+ * pre-tokenizers split it (words, digit runs, punctuation, whitespace, CJK
+ * characters) and each piece is costed with per-family factors reflecting
+ * vocabulary size and digit handling. Chat requests also count per-message
+ * formatting overhead, tool schemas and image, audio and file parts.
+ *
+ * Counts are estimates, good for metrics, budgeting and context fitting;
+ * the provider-reported `usage` is authoritative whenever it is available.
+ */
+
+/**
+ * Per-family estimation factors
+ *
+ * - wordChars: ASCII letters per token in long words (short words are one token)
+ * - letterChars: non-ASCII letters (accented, Cyrillic, Arabic...) per token
+ * - digitChars: digits per token
+ * - cjkTokens: tokens per CJK character
+ * - messageOverhead / nameOverhead / replyOverhead: chat template tokens per message,
+ *   per `name` field, and for priming the assistant reply
+ * - toolOverhead / toolsOverhead: tokens per tool definition and for the tool block
+ * - audioTokensPerSecond: tokens per second of input audio
+ */
+export const TOKENIZER_FAMILIES = {
+  gpt: {
+    wordChars: 6, letterChars: 2.5, digitChars: 3, cjkTokens: 0.8,
+    messageOverhead: 3, nameOverhead: 1, replyOverhead: 3,
+    toolOverhead: 8, toolsOverhead: 12, audioTokensPerSecond: 10
+  },
+  claude: {
+    wordChars: 5.5, letterChars: 2, digitChars: 3, cjkTokens: 1.2,
+    messageOverhead: 5, nameOverhead: 1, replyOverhead: 3,
+    toolOverhead: 10, toolsOverhead: 300, audioTokensPerSecond: 25
+  },
+  llama: {
+    wordChars: 6, letterChars: 2.5, digitChars: 3, cjkTokens: 1,
+    messageOverhead: 5, nameOverhead: 1, replyOverhead: 5,
+    toolOverhead: 10, toolsOverhead: 30, audioTokensPerSecond: 25
+  },
+  mistral: {
+    wordChars: 4.5, letterChars: 2, digitChars: 1, cjkTokens: 1.5,
+    messageOverhead: 4, nameOverhead: 1, replyOverhead: 2,
+    toolOverhead: 10, toolsOverhead: 20, audioTokensPerSecond: 25
+  },
+  gemini: {
+    wordChars: 6.5, letterChars: 3, digitChars: 1, cjkTokens: 0.7,
+    messageOverhead: 4, nameOverhead: 1, replyOverhead: 3,
+    toolOverhead: 10, toolsOverhead: 20, audioTokensPerSecond: 32
+  },
+  default: {
+    wordChars: 5, letterChars: 2, digitChars: 3, cjkTokens: 1,
+    messageOverhead: 4, nameOverhead: 1, replyOverhead: 3,
+    toolOverhead: 10, toolsOverhead: 20, audioTokensPerSecond: 25
+  }
+};
+
+/**
+ * Tokens assumed for a PDF page (text plus layout)
+ */
+const TOKENS_PER_PDF_PAGE = 1500;
+
+/**
+ * Pre-tokenizer pattern: whitespace, ASCII words, other letters, digits, CJK, everything else
+ */
+const PIECE_PATTERN = /(\s+)|([A-Za-z]+)|([\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}])|(\p{L}+)|(\p{N}+)|([^\s\p{L}\p{N}]+)/gu;
+
+/**
+ * Get the tokenizer family for a model
+ *
+ * @param {string} model - Model ID, e.g. 'anthropic/claude-3.5-sonnet'
+ * @returns {string} 'gpt', 'claude', 'llama', 'mistral', 'gemini' or 'default'
+ */
+export function getTokenizerFamily(model = '') {
+  const id = String(model).toLowerCase();
+
+  if (id.startsWith('anthropic/') || id.includes('claude')) return 'claude';
+  if (id.startsWith('openai/') || /(^|\/)(gpt|o\d|chatgpt)/.test(id)) return 'gpt';
+  if (id.startsWith('meta-llama/') || id.includes('llama')) return 'llama';
+  if (id.startsWith('mistralai/') || /mistral|mixtral|codestral|pixtral|ministral/.test(id)) return 'mistral';
+  if (id.startsWith('google/') || /gemini|gemma/.test(id)) return 'gemini';
+  return 'default';
+}
+
+/**
+ * Estimate the tokens in a piece of text
+ *
+ * @param {string} text - Text to count
+ * @param {string} model - Model ID used to pick the tokenizer family
+ * @returns {number} Estimated token count
+ */
+export function countTextTokens(text, model) {
+  if (!text) {
+    return 0;
+  }
+
+  const family = TOKENIZER_FAMILIES[getTokenizerFamily(model)];
+  let tokens = 0;
+
+  for (const [, space, word, cjk, letters, digits, symbols] of String(text).matchAll(PIECE_PATTERN)) {
+    if (space) {
+      // A single space merges into the following word
+      tokens += space === ' ' ? 0 : Math.ceil(space.length / 4);
+    } else if (word) {
+      tokens += Math.ceil(word.length / family.wordChars);
+    } else if (cjk) {
+      tokens += family.cjkTokens;
+    } else if (letters) {
+      tokens += Math.ceil(letters.length / family.letterChars);
+    } else if (digits) {
+      tokens += Math.ceil(digits.length / family.digitChars);
+    } else if (symbols) {
+      tokens += Math.ceil(symbols.length / 2);
+    }
+  }
+
+  return Math.ceil(tokens);
+}
+
+/**
+ * Decode the start of a base64 data URL
+ *
+ * @param {string} url - Data URL
+ * @param {number} maxBytes - Maximum number of bytes to decode
+ * @returns {Uint8Array|null} Decoded bytes, or null for non-data URLs
+ */
+function decodeDataUrl(url, maxBytes = Infinity) {
+  const comma = url.indexOf(',');
+  if (!url.startsWith('data:') || comma === -1 || !url.slice(0, comma).endsWith(';base64')) {
+    return null;
+  }
+
+  const end = Number.isFinite(maxBytes) ? comma + 1 + Math.ceil(maxBytes / 3) * 4 : url.length;
+  const base64 = url.slice(comma + 1, end);
+
+  try {
+    if (typeof Buffer !== 'undefined') {
+      return new Uint8Array(Buffer.from(base64, 'base64'));
+    }
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read image dimensions from PNG, GIF or JPEG headers
+ *
+ * @param {Uint8Array} bytes - Start of the image file
+ * @returns {{width: number, height: number}|null} Dimensions, or null if unknown
+ */
+export function getImageDimensions(bytes) {
+  if (!bytes || bytes.length < 24) {
+    return null;
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  // PNG: IHDR chunk
+  if (bytes[0] === 0x89 && bytes[1] === 0x50) {
+    return { width: view.getUint32(16), height: view.getUint32(20) };
+  }
+
+  // GIF: logical screen size
+  if (bytes[0] === 0x47 && bytes[1] === 0x49 && bytes[2] === 0x46) {
+    return { width: view.getUint16(6, true), height: view.getUint16(8, true) };
+  }
+
+  // JPEG: first start-of-frame marker
+  if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < bytes.length && bytes[offset] === 0xff) {
+      const marker = bytes[offset + 1];
+      const isFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+      if (isFrame) {
+        return { width: view.getUint16(offset + 7), height: view.getUint16(offset + 5) };
+      }
+      offset += 2 + view.getUint16(offset + 2);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Estimate the tokens for an image
+ *
+ * Uses the family's published formula when the dimensions can be read from
+ * a data URL; remote images are assumed to be 1024x1024.
+ *
+ * @param {Object} imageUrl - `image_url` object with `url` and optional `detail`
+ * @param {string} model - Model ID
+ * @returns {number} Estimated token count
+ */
+export function countImageTokens(imageUrl = {}, model) {
+  const family = getTokenizerFamily(model);
+  const url = typeof imageUrl === 'string' ? imageUrl : imageUrl.url || '';
+  const detail = typeof imageUrl === 'string' ? 'auto' : imageUrl.detail || 'auto';
+  const { width, height } = getImageDimensions(decodeDataUrl(url, 64 * 1024)) || { width: 1024, height: 1024 };
+
+  if (family === 'gpt') {
+    if (detail === 'low') {
+      return 85;
+    }
+
+    // Fit within 2048x2048, then scale the shortest side down to 768
+    let scale = Math.min(1, 2048 / Math.max(width, height));
+    scale *= Math.min(1, 768 / (Math.min(width, height) * scale));
+    const tiles = Math.ceil(width * scale / 512) * Math.ceil(height * scale / 512);
+    return 85 + 170 * tiles;
+  }
+
+  if (family === 'gemini') {
+    return 258;
+  }
+
+  // Claude's formula, also a fair estimate for other vision models
+  const scale = Math.min(1, 1568 / Math.max(width, height));
+  return Math.min(1600, Math.ceil(width * scale * height * scale / 750));
+}
+
+/**
+ * Estimate the tokens for an `input_audio` part
+ *
+ * @param {Object} inputAudio - `input_audio` object with base64 `data` and `format`
+ * @param {string} model - Model ID
+ * @returns {number} Estimated token count
+ */
+function countAudioTokens(inputAudio = {}, model) {
+  const family = TOKENIZER_FAMILIES[getTokenizerFamily(model)];
+  const data = inputAudio.data || '';
+  const size = Math.floor(data.length * 3 / 4);
+
+  // WAV headers carry the byte rate; compressed formats are assumed to be 128 kbps
+  let bytesPerSecond = 16000;
+  if (inputAudio.format === 'wav') {
+    const header = decodeDataUrl(`data:audio/wav;base64,${data.slice(0, 64)}`);
+    const byteRate = header && header.length >= 32
+      ? new DataView(header.buffer, header.byteOffset, header.byteLength).getUint32(28, true)
+      : 0;
+    bytesPerSecond = byteRate || 32000;
+  }
+
+  return Math.ceil(size / bytesPerSecond * family.audioTokensPerSecond);
+}
+
+/**
+ * Estimate the tokens for a `file` part
+ *
+ * PDFs are costed per page; remote files count as one page.
+ *
+ * @param {Object} file - `file` object with `file_data`
+ * @returns {number} Estimated token count
+ */
+function countFileTokens(file = {}) {
+  const bytes = decodeDataUrl(file.file_data || '');
+  if (!bytes) {
+    return TOKENS_PER_PDF_PAGE;
+  }
+
+  let text = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    text += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  const pages = (text.match(/\/Type\s*\/Page(?!s)/g) || []).length;
+
+  return Math.max(1, pages) * TOKENS_PER_PDF_PAGE;
+}
+
+/**
+ * Estimate the tokens in message content
+ *
+ * @param {string|Array<Object>} content - String content or content parts
+ * @param {string} model - Model ID
+ * @returns {number} Estimated token count
+ */
+export function countContentTokens(content, model) {
+  if (typeof content === 'string') {
+    return countTextTokens(content, model);
+  }
+  if (!Array.isArray(content)) {
+    return 0;
+  }
+
+  return content.reduce((sum, part) => {
+    switch (part?.type) {
+      case 'image_url':
+        return sum + countImageTokens(part.image_url, model);
+      case 'input_audio':
+        return sum + countAudioTokens(part.input_audio, model);
+      case 'file':
+        return sum + countFileTokens(part.file);
+      default:
+        return sum + countTextTokens(typeof part === 'string' ? part : part?.text, model);
+    }
+  }, 0);
+}
+
+/**
+ * Estimate the prompt tokens of chat messages, including template overhead
+ *
+ * @param {Array<Object>} messages - Chat messages
+ * @param {string} model - Model ID
+ * @returns {number} Estimated prompt tokens
+ */
+export function countMessageTokens(messages = [], model) {
+  const family = TOKENIZER_FAMILIES[getTokenizerFamily(model)];
+  if (messages.length === 0) {
+    return 0;
+  }
+
+  return messages.reduce((sum, message) => {
+    let tokens = family.messageOverhead + countContentTokens(message.content, model);
+
+    if (message.name) {
+      tokens += family.nameOverhead + countTextTokens(message.name, model);
+    }
+    (message.tool_calls || []).forEach(toolCall => {
+      tokens += family.toolOverhead +
+        countTextTokens(toolCall.function?.name, model) +
+        countTextTokens(toolCall.function?.arguments, model);
+    });
+    if (message.tool_call_id) {
+      tokens += countTextTokens(message.tool_call_id, model);
+    }
+
+    return sum + tokens;
+  }, family.replyOverhead);
+}
+
+/**
+ * Estimate the prompt tokens taken by tool definitions
+ *
+ * @param {Array<Object>} tools - Tools in `{ type: 'function', function }` form
+ * @param {string} model - Model ID
+ * @returns {number} Estimated tokens
+ */
+export function countToolTokens(tools = [], model) {
+  if (!tools || tools.length === 0) {
+    return 0;
+  }
+
+  const family = TOKENIZER_FAMILIES[getTokenizerFamily(model)];
+
+  return tools.reduce((sum, tool) => {
+    const definition = tool.function || tool;
+    return sum + family.toolOverhead +
+      countTextTokens(definition.name, model) +
+      countTextTokens(definition.description, model) +
+      countTextTokens(definition.parameters ? JSON.stringify(definition.parameters) : '', model);
+  }, family.toolsOverhead);
+}
+
+/**
+ * Estimate the prompt tokens of a request body
+ *
+ * Handles chat completions (messages and tools), completions (prompt) and
+ * embeddings (input).
+ *
+ * @param {Object} body - Request body
+ * @returns {number} Estimated prompt tokens
+ */
+export function countRequestTokens(body = {}) {
+  const model = body.model;
+  let tokens = countMessageTokens(body.messages, model) + countToolTokens(body.tools, model);
+
+  [body.prompt, body.input].forEach(value => {
+    const values = Array.isArray(value) ? value : [value];
+    values.forEach(item => {
+      tokens += typeof item === 'string' ? countTextTokens(item, model) : 0;
+    });
+  });
+
+  return tokens;
+}
+
+/**
+ * Check whether a request fits in a context window
+ *
+ * @param {Object} body - Chat completion request body
+ * @param {number} contextLength - Model context window in tokens
+ * @param {Object} options - Options
+ * @param {number} options.reserveOutput - Tokens to keep free for the reply (defaults to `max_tokens`, or 0)
+ * @returns {{fits: boolean, promptTokens: number, contextLength: number, reserveOutput: number,
+ *   availableOutputTokens: number}} Fit result
+ */
+export function fitsContext(body, contextLength, { reserveOutput } = {}) {
+  const promptTokens = countRequestTokens(body);
+  const reserve = reserveOutput ?? body.max_tokens ?? 0;
+  const availableOutputTokens = Math.max(0, contextLength - promptTokens);
+
+  return {
+    fits: promptTokens + reserve <= contextLength,
+    promptTokens,
+    contextLength,
+    reserveOutput: reserve,
+    availableOutputTokens
+  };
+}
+
+export default {
+  getTokenizerFamily,
+  countTextTokens,
+  countImageTokens,
+  countContentTokens,
+  countMessageTokens,
+  countToolTokens,
+  countRequestTokens,
+  fitsContext
+};